@@ -6,16 +6,29 @@
 const API = {
   baseURL: '/api',
 
+  // Longest text-to-speech URL to send as GET; longer texts are POSTed
+  TTS_MAX_GET_URL: 2000,
+
+  // Text-to-speech formats in order of preference (Opus is the smallest)
+  TTS_FORMATS: [
+    { type: 'audio/ogg', probe: 'audio/ogg; codecs=opus' },
+    { type: 'audio/mpeg', probe: 'audio/mpeg' },
+    { type: 'audio/wav', probe: 'audio/wav' }
+  ],
+  ttsAccept: undefined,  // Worked out by audioAccept() on first use
+
   /**
    * Send a message to Claude and get a response
    * @param {string} message - The user's message
    * @param {Array} conversationHistory - Array of previous messages
+   * @param {object} options - { signal: AbortSignal to cancel the request }
    * @returns {Promise<string>} - Claude's response
    */
-  async sendMessageToClaude(message, conversationHistory = []) {
+  async sendMessageToClaude(message, conversationHistory = [], { signal } = {}) {
     try {
       const response = await fetch(`${this.baseURL}/chat`, {
         method: 'POST',
+        signal: signal,
         headers: {
           'Content-Type': 'application/json',
         },
@@ -41,6 +54,9 @@ const API = {
 
       return data.reply;
     } catch (error) {
+      // Cancelled by the caller - not an error to report
+      if (error.name === 'AbortError') throw error;
+
       console.error('API Error:', error);
 
       // Provide user-friendly error messages
@@ -53,35 +69,391 @@ const API = {
   },
 
   /**
-   * Transcribe audio using OpenAI Whisper API with language detection
+   * Send a message to Claude and stream the response as it is generated
+   * @param {string} message - The user's message
+   * @param {Array} conversationHistory - Array of previous messages
+   * @param {object} options - Stream options
+   * @param {string} options.conversationId - Stored conversation to continue (history is then ignored)
+   * @param {string} options.personaId - Persona to use when there is no stored conversation
+   * @param {object} options.settings - Generation settings for this turn { model, maxTokens, temperature, stopSequences }
+   * @param {Function} options.onDelta - Called with each text delta as it arrives
+   * @param {Function} options.onSegment - Called with each spoken segment {index, text, audioBlob, provider}
+   * @param {Function} options.onTool - Called when Claude runs a tool { name, input, output?, error? }
+   * @param {Array<string>} options.imageIds - Images from uploadAttachments to send with the message
+   * @param {object} options.speech - Ask the server to split the reply into segments
+   *   ({ synthesize: boolean, language: string, voices: object })
+   * @param {AbortSignal} options.signal - Cancels the request (the server stops generating)
+   * @returns {Promise<{reply: string, model: string, stopReason: string, context: object, tools: Array}>} - Claude's full response
+   *   (context.summarizedMessages: how many of the oldest messages were sent as a summary)
+   */
+  async streamMessageFromClaude(message, conversationHistory = [], { conversationId, personaId, settings, imageIds, onDelta, onSegment, onTool, speech, signal } = {}) {
+    try {
+      const response = await fetch(`${this.baseURL}/chat/stream`, {
+        method: 'POST',
+        signal: signal,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          message: message,
+          // The server keeps the history of stored conversations itself
+          ...(conversationId ? { conversationId: conversationId } : { conversationHistory: conversationHistory }),
+          ...(personaId && { personaId: personaId }),
+          ...(settings && { settings: settings }),
+          ...(imageIds && imageIds.length > 0 && { imageIds: imageIds }),
+          ...(speech && { speech: speech })
+        })
+      });
+
+      // Validation errors come back as plain JSON before the stream starts
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to get response from server');
+      }
+
+      let result = null;
+
+      await this.readEventStream(response, (event, data) => {
+        if (event === 'delta') {
+          if (onDelta) onDelta(data.text);
+        } else if (event === 'segment') {
+          if (onSegment) {
+            onSegment({
+              index: data.index,
+              text: data.text,
+              audioBlob: data.audio ? this.base64ToBlob(data.audio, data.mimeType) : null,
+              provider: data.provider || null
+            });
+          }
+        } else if (event === 'tool') {
+          if (onTool) onTool(data);
+        } else if (event === 'done') {
+          result = data;
+        } else if (event === 'error') {
+          throw new Error(data.message || 'Claude stream failed');
+        }
+      });
+
+      // Stream closed without a 'done' event (server crash, proxy timeout)
+      if (result === null) {
+        throw new Error('Connection closed before the response was complete');
+      }
+
+      console.log('🤖 Answered by model:', result.model);
+
+      return {
+        reply: result.reply,
+        model: result.model,
+        stopReason: result.stopReason,
+        context: result.context,
+        tools: result.tools || []
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      console.error('API Stream Error:', error);
+
+      // Provide user-friendly error messages
+      if (error.message.includes('fetch')) {
+        throw new Error('Network error: Unable to connect to server');
+      }
+
+      throw error;
+    }
+  },
+
+  /**
+   * Send a JSON request to the API and parse the JSON response
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below baseURL (e.g., '/conversations')
+   * @param {object} body - Request body (optional)
+   * @param {object} options - { signal: AbortSignal to cancel the request }
+   * @returns {Promise<object|null>} - Parsed response, or null for 204 No Content
+   */
+  async requestJSON(method, path, body = undefined, { signal } = {}) {
+    try {
+      const response = await fetch(`${this.baseURL}${path}`, {
+        method: method,
+        signal: signal,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+
+      // Check if response is ok
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.message || `Request failed (${response.status})`);
+        error.status = response.status;
+        throw error;
+      }
+
+      if (response.status === 204) {
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      console.error(`API Error (${method} ${path}):`, error);
+
+      // Provide user-friendly error messages
+      if (error.message.includes('fetch')) {
+        throw new Error('Network error: Unable to connect to server');
+      }
+
+      throw error;
+    }
+  },
+
+  /**
+   * List stored conversations, most recently updated first
+   * @returns {Promise<Array>} - Conversation summaries
+   */
+  async listConversations() {
+    const data = await this.requestJSON('GET', '/conversations');
+    return data.conversations;
+  },
+
+  /**
+   * Create a new stored conversation
+   * @param {object} fields - Optional { title, personaId }
+   * @returns {Promise<object>} - The new conversation
+   */
+  async createConversation(fields = {}) {
+    return this.requestJSON('POST', '/conversations', fields);
+  },
+
+  /**
+   * Get a stored conversation with its messages
+   * @param {string} id - Conversation id
+   * @returns {Promise<object>}
+   */
+  async getConversation(id) {
+    return this.requestJSON('GET', `/conversations/${encodeURIComponent(id)}`);
+  },
+
+  /**
+   * Rename a stored conversation and/or change its persona
+   * @param {string} id - Conversation id
+   * @param {object} changes - { title, personaId }
+   * @returns {Promise<object>} - The updated conversation
+   */
+  async updateConversation(id, changes) {
+    return this.requestJSON('PATCH', `/conversations/${encodeURIComponent(id)}`, changes);
+  },
+
+  /**
+   * Delete a stored conversation
+   * @param {string} id - Conversation id
+   */
+  async deleteConversation(id) {
+    await this.requestJSON('DELETE', `/conversations/${encodeURIComponent(id)}`);
+  },
+
+  /**
+   * Record where the user interrupted a stored conversation's last reply
+   * @param {string} id - Conversation id
+   * @param {object} position - { segments, fraction, whole } from TextToSpeechWrapper.heardPosition()
+   * @returns {Promise<{message: object}>} - The updated reply
+   */
+  async interruptReply(id, { segments, fraction, whole }) {
+    return this.requestJSON('POST', `/conversations/${encodeURIComponent(id)}/interruption`, { segments, fraction, whole });
+  },
+
+  /**
+   * List available personas
+   * @returns {Promise<{personas: Array, defaultPersonaId: string}>}
+   */
+  async listPersonas() {
+    return this.requestJSON('GET', '/personas');
+  },
+
+  /**
+   * Get the models and generation limits the server allows
+   * @returns {Promise<{models: Array, defaults: object, limits: object}>}
+   */
+  async getModelOptions() {
+    return this.requestJSON('GET', '/models');
+  },
+
+  /**
+   * List the TTS voices users can choose from
+   * @returns {Promise<{voices: Array<{id: string, provider: string, language: string|null, gender: string, tier: string}>, languages: Array<string>}>}
+   */
+  async listVoices() {
+    return this.requestJSON('GET', '/voices');
+  },
+
+  /**
+   * Translate an utterance for interpreter mode
+   * @param {string} text - What was said
+   * @param {object} options - { source, target, language (as detected), settings, signal }
+   * @returns {Promise<{translation: string, from: string, to: string, model: string}>}
+   *   Speak the translation in the `to` language
+   */
+  async translate(text, { source, target, language, settings, signal } = {}) {
+    return this.requestJSON('POST', '/translate', {
+      text: text,
+      source: source,
+      target: target,
+      ...(language && { language: language }),
+      ...(settings && { settings: settings })
+    }, { signal });
+  },
+
+  /**
+   * Upload images to attach to the next message
+   * @param {Array<Blob>} images - Image files
+   * @param {object} options - { signal: AbortSignal to cancel the upload }
+   * @returns {Promise<Array<{id: string, mediaType: string, size: number}>>} - Saved attachments, in order
+   */
+  async uploadAttachments(images, { signal } = {}) {
+    const formData = new FormData();
+    images.forEach((image, index) => formData.append('images', image, image.name || `image-${index + 1}`));
+
+    const response = await fetch(`${this.baseURL}/attachments`, {
+      method: 'POST',
+      body: formData,
+      signal: signal
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || 'Image upload failed');
+    }
+
+    console.log('🖼️ Uploaded images:', data.attachments.map(attachment => attachment.id));
+    return data.attachments;
+  },
+
+  /**
+   * Get the URL of a stored image attachment
+   * @param {string} id - Attachment id
+   * @returns {string}
+   */
+  attachmentURL(id) {
+    return `${this.baseURL}/attachments/${encodeURIComponent(id)}`;
+  },
+
+  /**
+   * Read a Server-Sent Events response body and dispatch each event
+   * @param {Response} response - Fetch response with a text/event-stream body
+   * @param {Function} onEvent - Called with (eventName, parsedData) for each event
+   */
+  async readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          let event = 'message';
+          let data = '';
+          rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+              event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+              data += line.slice(5).trim();
+            }
+          });
+
+          if (data) {
+            onEvent(event, JSON.parse(data));
+          }
+        }
+      }
+    } catch (error) {
+      // Stop downloading the rest of the stream
+      reader.cancel().catch(() => {});
+      throw error;
+    }
+  },
+
+  /**
+   * Build an Error from a failed response's JSON body
+   * Keeps the HTTP status and the server's error code (e.g. 'stt_timeout') so
+   * callers can handle failures the same way whichever provider produced them.
+   * @param {Response} response - The failed fetch response
+   * @param {string} fallbackMessage - Message when the body has none
+   * @returns {Promise<Error>}
+   */
+  async responseError(response, fallbackMessage) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || fallbackMessage);
+    error.status = response.status;
+    if (errorData.code) {
+      error.code = errorData.code;
+    }
+    return error;
+  },
+
+  /**
+   * Decode base64 audio from a stream event into a playable Blob
+   * @param {string} base64 - Base64-encoded audio
+   * @param {string} mimeType - Audio MIME type
+   * @returns {Blob}
+   */
+  base64ToBlob(base64, mimeType = 'audio/mpeg') {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+  },
+
+  /**
+   * Transcribe audio with the server's speech-to-text provider (language is detected unless locked)
    * @param {Blob} audioBlob - The audio blob to transcribe
-   * @returns {Promise<{transcript: string, language: string}>} - The transcribed text and language
+   * @param {object} options - { language, prompt, temperature } (all optional; see /api/transcribe),
+   *   and signal, an AbortSignal to cancel the request
+   * @returns {Promise<{transcript: string, language: string, quality: string, confidence: object|null}>}
+   *   The transcribed text and language; an empty transcript with quality 'no_speech' or
+   *   'low_confidence' means the recording should be repeated
+   * @throws {Error} - With code set to the server's STT error code (e.g. 'stt_rate_limited') when it has one
    */
-  async transcribeAudio(audioBlob) {
+  async transcribeAudio(audioBlob, options = {}) {
     try {
       console.log('📤 Sending audio to transcription API, size:', audioBlob.size);
 
       // Create form data
       const formData = new FormData();
       formData.append('audio', audioBlob, 'recording.webm');
+      ['language', 'prompt', 'temperature'].forEach(name => {
+        if (options[name] !== undefined && options[name] !== '') {
+          formData.append(name, String(options[name]));
+        }
+      });
 
       // Send to backend
       const response = await fetch(`${this.baseURL}/transcribe`, {
         method: 'POST',
-        body: formData
+        body: formData,
+        signal: options.signal
       });
 
       // Check if response is ok
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to transcribe audio');
+        throw await this.responseError(response, 'Failed to transcribe audio');
       }
 
       // Parse response
       const data = await response.json();
 
-      // Validate response
-      if (!data.transcript) {
+      // Validate response (an empty transcript means no usable speech)
+      if (typeof data.transcript !== 'string') {
         throw new Error('Invalid response format from transcription service');
       }
 
@@ -90,9 +462,13 @@ const API = {
 
       return {
         transcript: data.transcript,
-        language: data.language
+        language: data.language,
+        quality: data.quality || 'ok',
+        confidence: data.confidence || null
       };
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
       console.error('Transcription API Error:', error);
 
       // Provide user-friendly error messages
@@ -105,27 +481,142 @@ const API = {
   },
 
   /**
-   * Convert text to speech using OpenAI TTS API
+   * Run a whole voice turn in one request: transcription, Claude and TTS
+   * @param {Blob} audioBlob - The recorded audio
+   * @param {Array} conversationHistory - Previous messages (not including this turn)
+   * @param {object} options - { conversationId: string, personaId: string, settings: object, images: Blob[],
+   *   synthesize: boolean, voices: object (preferred voice ids keyed by language),
+   *   prosody: object (speaking style { rate, pitch, volume }),
+   *   transcription: object ({ language, prompt, temperature }, see transcribeAudio),
+   *   signal: AbortSignal (cancels the turn; the server stops wherever it has got to) }
+   * @returns {Promise<{transcript: string, language: string, quality: string, reply: string, model: string, context: object, tools: Array, images: Array, audioBlob: Blob, timings: object}>}
+   */
+  async voiceTurn(audioBlob, conversationHistory = [], { conversationId, personaId, settings, images = [], synthesize = true, voices, prosody, transcription, signal } = {}) {
+    try {
+      console.log('📤 Sending voice turn, audio size:', audioBlob.size);
+
+      const formData = new FormData();
+      formData.append('audio', audioBlob, 'recording.webm');
+      images.forEach((image, index) => formData.append('images', image, image.name || `image-${index + 1}`));
+      if (conversationId) {
+        formData.append('conversationId', conversationId);
+      } else {
+        formData.append('conversationHistory', JSON.stringify(conversationHistory));
+      }
+      if (personaId) {
+        formData.append('personaId', personaId);
+      }
+      if (settings) {
+        formData.append('settings', JSON.stringify(settings));
+      }
+      formData.append('synthesize', String(synthesize));
+      if (voices && Object.keys(voices).length > 0) {
+        formData.append('voices', JSON.stringify(voices));
+      }
+      if (prosody && Object.keys(prosody).length > 0) {
+        formData.append('prosody', JSON.stringify(prosody));
+      }
+      if (transcription && Object.keys(transcription).length > 0) {
+        formData.append('transcription', JSON.stringify(transcription));
+      }
+
+      const response = await fetch(`${this.baseURL}/voice-turn`, {
+        method: 'POST',
+        body: formData,
+        signal: signal
+      });
+
+      // Check if response is ok
+      if (!response.ok) {
+        throw await this.responseError(response, 'Voice turn failed');
+      }
+
+      const data = await response.json();
+
+      console.log('✅ Voice turn complete, timings (ms):', data.timings);
+      if (data.ttsError) {
+        console.warn('⚠️ Server TTS failed:', data.ttsError);
+      }
+
+      return {
+        transcript: data.transcript,
+        language: data.language,
+        quality: data.quality || 'ok',
+        reply: data.reply,
+        model: data.model,
+        context: data.context,
+        tools: data.tools || [],
+        images: data.images || [],
+        audioBlob: data.audio ? this.base64ToBlob(data.audio, data.mimeType) : null,
+        timings: data.timings
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      console.error('Voice Turn API Error:', error);
+
+      // Provide user-friendly error messages
+      if (error.message.includes('fetch')) {
+        throw new Error('Network error: Unable to connect to server');
+      }
+
+      throw error;
+    }
+  },
+
+  /**
+   * The Accept header for text-to-speech: the formats this browser can play, best first
+   * @returns {string|null} - e.g. 'audio/ogg, audio/mpeg;q=0.9, audio/wav;q=0.8'; null if unknown
+   */
+  audioAccept() {
+    if (this.ttsAccept === undefined) {
+      const audio = document.createElement('audio');
+      const playable = this.TTS_FORMATS.filter(format => audio.canPlayType && audio.canPlayType(format.probe) !== '');
+      this.ttsAccept = playable.length > 0
+        ? playable.map((format, index) => (index === 0 ? format.type : `${format.type};q=${(1 - index / 10).toFixed(1)}`)).join(', ')
+        : null;
+      console.log('🎧 Playable TTS formats:', this.ttsAccept || 'unknown');
+    }
+    return this.ttsAccept;
+  },
+
+  /**
+   * Convert text to speech with the server's TTS providers (Google, OpenAI, ...)
    * @param {string} text - The text to convert to speech
    * @param {string} language - The language code (e.g., 'en', 'ru')
-   * @returns {Promise<Blob>} - Audio blob (MP3)
+   * @param {string} voice - A voice id from listVoices (optional)
+   * @param {object} prosody - Speaking style { rate, pitch, volume } (optional)
+   * @param {object} options - { signal: AbortSignal to cancel the request }
+   * @returns {Promise<Blob>} - Audio blob in a format this browser can play (Opus, MP3 or WAV)
    */
-  async textToSpeech(text, language = 'en') {
+  async textToSpeech(text, language = 'en', voice = undefined, prosody = {}, { signal } = {}) {
     try {
       console.log('🔊 Requesting TTS for text:', text.substring(0, 50) + '...');
       console.log('🌍 Language:', language);
 
-      // Send to backend
-      const response = await fetch(`${this.baseURL}/text-to-speech`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          text: text,
-          language: language
-        })
-      });
+      const params = {
+        text: text,
+        language: language,
+        ...(voice && { voice: voice }),
+        ...prosody
+      };
+
+      const accept = this.audioAccept();
+      const acceptHeader = accept ? { 'Accept': accept } : {};
+
+      // Short texts use GET so the browser can reuse cached audio (ETag / Cache-Control)
+      const url = `${this.baseURL}/text-to-speech?${new URLSearchParams(params)}`;
+      const response = url.length <= this.TTS_MAX_GET_URL
+        ? await fetch(url, { headers: acceptHeader, signal: signal })
+        : await fetch(`${this.baseURL}/text-to-speech`, {
+          method: 'POST',
+          signal: signal,
+          headers: {
+            'Content-Type': 'application/json',
+            ...acceptHeader
+          },
+          body: JSON.stringify(params)
+        });
 
       // Check if response is ok
       if (!response.ok) {
@@ -136,9 +627,12 @@ const API = {
       // Get audio blob
       const audioBlob = await response.blob();
 
-      console.log('✅ Audio received, size:', audioBlob.size);
+      console.log('✅ Audio received from', response.headers.get('X-TTS-Provider') || 'server',
+        `(cache ${response.headers.get('X-TTS-Cache') || 'n/a'})`, 'size:', audioBlob.size);
       return audioBlob;
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
       console.error('TTS API Error:', error);
 
       // Provide user-friendly error messages
@@ -6,24 +6,84 @@
 // Application state
 const appState = {
   conversationHistory: [],
+  conversationId: null,  // Stored conversation on the server (null until the first turn)
+  personas: [],  // Available personas from /api/personas
+  personaId: null,  // Persona for the current conversation
+  generationSettings: {},  // Model/max tokens/temperature/stop sequences chosen for the current conversation
+  voicePreferences: {},  // Preferred TTS voice id per language, e.g. { ru: 'ru-RU-Wavenet-B' }
+  voiceCatalog: null,  // Voices and languages from /api/voices
+  prosody: {},  // Speaking style: { rate: multiplier, pitch: semitones, volume: dB }, defaults omitted
+  transcriptionSettings: {},  // { language, prompt }: locked recognition language and vocabulary, if set
+  interpreter: { enabled: false, source: 'en', target: 'ru' },  // Translate each utterance instead of chatting
+  handsFree: { enabled: false, continuous: false, threshold: -50, hangoverMs: 1200 },  // Stop recording at the end of speech
+  // (continuous: listen again after each reply, and stop the reply when the user talks over it)
+  defaultPersonaId: null,  // Persona the server uses when none is selected
   isListening: false,
   isProcessing: false,
   speechRecognition: null,
   textToSpeech: null,
   recordingRequested: false,
   silentMode: false,  // Track if silent mode is enabled (text only, no voice output)
+  voiceTurnMode: false,  // Send each turn as a single /api/voice-turn request
+  liveStreamMode: false,  // Stream audio over /api/voice-stream while recording
+  streamingTurn: null,  // The turn being streamed (live stream mode)
+  pendingInterruption: null,  // Trimming of a reply the user talked over (awaited before the next turn is sent)
+  turnAbort: null,  // AbortController shared by the requests of the turn being processed
+  pendingImages: [],  // Images attached to the next message [{ blob, url }]
   currentLanguage: 'en'  // Track detected language for TTS
 };
 
+// Images per message (matches the server's MAX_IMAGES_PER_MESSAGE default)
+const MAX_ATTACHED_IMAGES = 4;
+
+// Barge-in needs to be this much louder than normal speech, so the reply
+// coming out of the speakers doesn't interrupt itself
+const BARGE_IN_MARGIN_DB = 10;
+const BARGE_IN_ONSET_MS = 250;
+
+// Stands in for a reply with no text in histories sent by the client (Claude rejects empty replies)
+const EMPTY_REPLY_NOTE = '[No text reply.]';
+
 // DOM elements
 const elements = {
   pushToTalkButton: document.getElementById('pushToTalkButton'),
+  cancelTurnButton: document.getElementById('cancelTurnButton'),
   conversationContainer: document.getElementById('conversationContainer'),
   status: document.getElementById('status'),
   compatibilityWarning: document.getElementById('compatibilityWarning'),
   loadingSpinner: document.getElementById('loadingSpinner'),
   silentModeToggle: document.getElementById('silentModeToggle'),
-  testAudioBtn: document.getElementById('testAudioBtn')
+  voiceTurnToggle: document.getElementById('voiceTurnToggle'),
+  liveStreamToggle: document.getElementById('liveStreamToggle'),
+  testAudioBtn: document.getElementById('testAudioBtn'),
+  conversationSelect: document.getElementById('conversationSelect'),
+  newConversationBtn: document.getElementById('newConversationBtn'),
+  renameConversationBtn: document.getElementById('renameConversationBtn'),
+  deleteConversationBtn: document.getElementById('deleteConversationBtn'),
+  personaSelect: document.getElementById('personaSelect'),
+  modelSelect: document.getElementById('modelSelect'),
+  maxTokensInput: document.getElementById('maxTokensInput'),
+  temperatureInput: document.getElementById('temperatureInput'),
+  stopSequencesInput: document.getElementById('stopSequencesInput'),
+  transcriptionLanguageSelect: document.getElementById('transcriptionLanguageSelect'),
+  vocabularyInput: document.getElementById('vocabularyInput'),
+  handsFreeSelect: document.getElementById('handsFreeSelect'),
+  vadThresholdInput: document.getElementById('vadThresholdInput'),
+  vadThresholdValue: document.getElementById('vadThresholdValue'),
+  vadHangoverInput: document.getElementById('vadHangoverInput'),
+  vadHangoverValue: document.getElementById('vadHangoverValue'),
+  interpreterModeSelect: document.getElementById('interpreterModeSelect'),
+  interpreterSourceSelect: document.getElementById('interpreterSourceSelect'),
+  interpreterTargetSelect: document.getElementById('interpreterTargetSelect'),
+  voiceLanguageSelect: document.getElementById('voiceLanguageSelect'),
+  voiceSelect: document.getElementById('voiceSelect'),
+  rateInput: document.getElementById('rateInput'),
+  pitchInput: document.getElementById('pitchInput'),
+  volumeInput: document.getElementById('volumeInput'),
+  attachmentPreviews: document.getElementById('attachmentPreviews'),
+  cameraInput: document.getElementById('cameraInput'),
+  imageInput: document.getElementById('imageInput'),
+  welcomeTemplate: null  // Copy of the welcome message, restored for new conversations
 };
 
 /**
@@ -65,10 +125,29 @@ function initializeApp() {
     }
   }
 
+  // Keep a copy of the welcome message for when a new conversation is started
+  if (welcomeMessage) {
+    elements.welcomeTemplate = welcomeMessage.cloneNode(true);
+  }
+
+  // Load personas and model options, then stored conversations (works even if recording is unsupported)
+  Promise.all([setupPersonaPicker(), setupGenerationSettings()]).then(setupConversationControls);
+
+  // Recognition language lock and vocabulary, interpreter mode and the voice picker in the settings panel
+  setupTranscriptionSettings();
+  setupInterpreterSettings();
+  setupVoicePicker();
+
+  // Camera and image picker for attaching images to the next message
+  setupAttachmentControls();
+
   // Initialize speech recognition
   appState.speechRecognition = new SpeechRecognitionWrapper();
   appState.textToSpeech = new TextToSpeechWrapper();
 
+  // Speed, pitch and volume sliders in the settings panel
+  setupSpeakingStyle();
+
   // Check browser compatibility
   if (!appState.speechRecognition.isSupported()) {
     showCompatibilityWarning();
@@ -79,9 +158,15 @@ function initializeApp() {
   // Setup speech recognition callbacks
   setupSpeechRecognitionCallbacks();
 
+  // Hands-free recording settings (voice activity detection)
+  setupHandsFree();
+
   // Setup push-to-talk button
   setupPushToTalkButton();
 
+  // Cancel button for the turn being processed
+  setupCancelButton();
+
   // Setup keyboard controls (desktop only)
   if (!isTouchDevice) {
     setupKeyboardControls();
@@ -90,6 +175,12 @@ function initializeApp() {
   // Setup silent mode toggle
   setupSilentModeToggle();
 
+  // Setup single-request (voice turn) toggle
+  setupVoiceTurnToggle();
+
+  // Setup live streaming (voice socket) toggle
+  setupLiveStreamToggle();
+
   // Setup test audio button
   setupTestAudioButton();
 
@@ -107,12 +198,29 @@ function setupSpeechRecognitionCallbacks() {
     appState.isListening = true;
     updateButtonState('listening');
     updateStatus('Listening...');
+
+    // Live stream mode: the server starts transcribing while the user speaks
+    // (interpreter turns are sent once recording stops)
+    if (appState.speechRecognition.voiceStream && !appState.interpreter.enabled) {
+      startStreamingTurn(appState.speechRecognition.voiceStream);
+    }
   };
 
-  // On audio recording result (receives audio blob)
-  appState.speechRecognition.onResult = async (audioBlob) => {
+  // On audio recording result (receives audio blob, and its voice stream in live stream mode)
+  appState.speechRecognition.onResult = async (audioBlob, voiceStream) => {
     console.log('Got audio recording, size:', audioBlob.size, 'bytes');
 
+    // The audio was streamed as it was recorded; wait for the server's reply
+    if (voiceStream && appState.streamingTurn && appState.streamingTurn.voiceStream === voiceStream) {
+      await finishStreamingTurn();
+      return;
+    }
+
+    // Recording stopped before the turn was started - send the audio the usual way
+    if (voiceStream) {
+      voiceStream.cancel();
+    }
+
     // Validate audio blob
     if (!audioBlob || audioBlob.size === 0) {
       console.warn('Empty audio blob received');
@@ -121,13 +229,26 @@ function setupSpeechRecognitionCallbacks() {
       return;
     }
 
+    // Interpreter mode: translate what was said instead of answering it
+    if (appState.interpreter.enabled) {
+      await processInterpreterTurn(audioBlob);
+      return;
+    }
+
+    // Single round-trip mode: the server runs the whole turn
+    if (appState.voiceTurnMode) {
+      await processVoiceTurn(audioBlob);
+      return;
+    }
+
     // Update status
+    appState.isProcessing = true;
     updateButtonState('processing');
     updateStatus('Transcribing audio...');
 
     try {
       // Send audio to transcription API (now returns {transcript, language})
-      const result = await API.transcribeAudio(audioBlob);
+      const result = await API.transcribeAudio(audioBlob, { ...appState.transcriptionSettings, signal: turnSignal() });
 
       console.log('Transcription successful:', result.transcript);
       console.log('Detected language:', result.language);
@@ -138,32 +259,65 @@ function setupSpeechRecognitionCallbacks() {
       // Validate transcript
       if (!result.transcript || result.transcript.trim() === '') {
         console.warn('Empty transcript received');
-        updateStatus('No speech detected. Try again.');
+        askToRepeat(result.quality);
         resetToIdle();
         return;
       }
 
-      // Add user message to conversation
-      addMessageToUI('user', result.transcript);
+      // Add user message (with any attached images) to conversation
+      const images = takePendingImages();
+      const userContent = addMessageToUI('user', result.transcript, { images: images.map(image => image.url) });
+      markTranscriptQuality(userContent, result.quality);
       appState.conversationHistory.push({
         role: 'user',
         content: result.transcript
       });
 
       // Process the message with Claude
-      await processUserMessage(result.transcript);
+      await processUserMessage(result.transcript, images);
     } catch (error) {
+      if (error.name === 'AbortError') {
+        resetToIdle();
+        showNotice('Cancelled.');
+        return;
+      }
+
       console.error('Transcription failed:', error);
       updateStatus(`Transcription error: ${error.message}`);
       resetToIdle();
     }
   };
 
+  // Hands-free mode: the user started speaking
+  appState.speechRecognition.onSpeechStart = () => {
+    updateStatus('Listening... pause when you are done');
+  };
+
+  // Hands-free mode: nobody spoke, so nothing was sent
+  appState.speechRecognition.onDiscard = () => {
+    console.log('Recording had no speech, not sending it');
+
+    // The turn was started on the voice stream; take it back
+    if (appState.streamingTurn) {
+      discardStreamingTurn(appState.streamingTurn);
+      appState.streamingTurn = null;
+    }
+
+    resetToIdle();
+    askToRepeat('no_speech');
+  };
+
   // On speech recognition error
   appState.speechRecognition.onError = (error) => {
     console.error('Recognition error:', error);
     appState.recordingRequested = false;  // Reset recording request on error
 
+    // The recorder has already closed its stream
+    if (appState.streamingTurn) {
+      discardStreamingTurn(appState.streamingTurn);
+      appState.streamingTurn = null;
+    }
+
     let errorMessage = 'Error: ';
     switch (error) {
       case 'no-speech':
@@ -211,6 +365,13 @@ function setupPushToTalkButton() {
     elements.pushToTalkButton.addEventListener('touchstart', (e) => {
       console.log('Touch start');
       e.preventDefault();
+
+      // Hands-free recordings stop by themselves; a second tap stops one early
+      if (appState.handsFree.enabled && (appState.isListening || appState.recordingRequested)) {
+        appState.speechRecognition.stop();
+        return;
+      }
+
       if (touchActive || appState.isProcessing) return;
       touchActive = true;
       handleMobileStart();
@@ -262,6 +423,15 @@ function setupKeyboardControls() {
   let spacePressed = false;
 
   document.addEventListener('keydown', (e) => {
+    // ESC cancels the turn being processed
+    if (e.key === 'Escape') {
+      cancelTurn();
+      return;
+    }
+
+    // Leave typing in settings fields alone
+    if (isEditableTarget(e.target)) return;
+
     // Only respond to SPACE bar
     if (e.code === 'Space' || e.key === ' ' || e.keyCode === 32) {
       // Prevent default space behavior (page scroll)
@@ -287,6 +457,8 @@ function setupKeyboardControls() {
   }, { passive: false });
 
   document.addEventListener('keyup', (e) => {
+    if (isEditableTarget(e.target)) return;
+
     // Only respond to SPACE bar
     if (e.code === 'Space' || e.key === ' ' || e.keyCode === 32) {
       e.preventDefault();
@@ -297,6 +469,54 @@ function setupKeyboardControls() {
   console.log('Keyboard controls set up successfully');
 }
 
+/**
+ * Check whether a key event's target is a field the user types into
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+  if (!(target instanceof HTMLElement)) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Setup the button that cancels the turn being processed
+ */
+function setupCancelButton() {
+  if (!elements.cancelTurnButton) return;
+
+  elements.cancelTurnButton.addEventListener('click', (e) => {
+    e.preventDefault();
+    cancelTurn();
+  });
+}
+
+/**
+ * The AbortSignal for the turn being processed
+ * Every request a turn makes shares it, so one cancel stops them all.
+ * @returns {AbortSignal}
+ */
+function turnSignal() {
+  if (!appState.turnAbort) {
+    appState.turnAbort = new AbortController();
+  }
+  return appState.turnAbort.signal;
+}
+
+/**
+ * Cancel the turn being processed
+ * Requests in flight are aborted (so the server stops calling its providers),
+ * anything still to come fails straight away, and the reply stops playing.
+ */
+function cancelTurn() {
+  if (!appState.isProcessing) return;
+
+  console.log('⏹️ Turn cancelled');
+  turnSignal();
+  appState.turnAbort.abort();
+  appState.textToSpeech.stop();
+}
+
 /**
  * Handle mobile touch start - simple hold-to-talk mode
  */
@@ -332,7 +552,7 @@ async function handleMobileStart() {
     updateButtonState('idle');
   } else {
     console.log('Recording started - hold and speak');
-    updateStatus('Hold and speak!');
+    updateStatus(appState.handsFree.enabled ? 'Listening - just speak' : 'Hold and speak!');
   }
 }
 
@@ -340,6 +560,9 @@ async function handleMobileStart() {
  * Handle mobile touch end - stop recording immediately
  */
 function handleMobileEnd() {
+  // Hands-free recordings stop at the end of speech instead
+  if (appState.handsFree.enabled) return;
+
   console.log('Mobile: Stopping recording');
 
   if (appState.isListening || appState.recordingRequested) {
@@ -380,187 +603,929 @@ async function handleDesktopStart() {
     updateButtonState('idle');
   } else {
     console.log('Recording started - click again to stop');
-    updateStatus('Recording - click to stop');
+    updateStatus(appState.handsFree.enabled ? 'Listening - just speak' : 'Recording - click to stop');
   }
 }
 
 
+/**
+ * Create the UI handlers for a reply streamed from the server
+ * The assistant bubble is created when the first delta (or tool use) arrives
+ * and spoken segments are queued for playback as they come in.
+ * @param {boolean} speakReply - Whether the reply is being spoken
+ * @returns {{onDelta: Function, onTool: Function, onSegment: Function|null, complete: Function, fail: Function}}
+ */
+function createStreamingReply(speakReply) {
+  let assistantContent = null;
+  let replyText = '';
+  let renderScheduled = false;
+  const showAssistantBubble = () => {
+    if (!assistantContent) {
+      assistantContent = addMessageToUI('assistant', '');
+      updateStatus('Claude is responding...');
+    }
+    return assistantContent;
+  };
+
+  return {
+    onDelta(delta) {
+      showAssistantBubble();
+      replyText += delta;
+
+      // Re-render the markdown at most once per frame
+      if (!renderScheduled) {
+        renderScheduled = true;
+        requestAnimationFrame(() => {
+          renderScheduled = false;
+          setMessageContent(assistantContent, 'assistant', replyText);
+          scrollToBottom();
+        });
+      }
+    },
+
+    // Show each tool as soon as it has run
+    onTool(call) {
+      addToolUse(showAssistantBubble(), call);
+      updateStatus(`Used ${call.name}...`);
+    },
+
+    onSegment: speakReply ? (segment) => {
+      if (segment.index === 0) {
+        updateStatus('Playing audio...');
+      }
+      appState.textToSpeech.enqueueSegment(segment);
+    } : null,
+
+    /**
+     * The stream finished - only now does the reply become part of the history
+     * @param {object} result - { reply, model, context }
+     */
+    complete({ reply, model, context }) {
+      appState.conversationHistory.push({
+        role: 'assistant',
+        content: reply || EMPTY_REPLY_NOTE
+      });
+
+      // Display the final text (covers replies that arrived without deltas)
+      if (assistantContent) {
+        replyText = reply;
+        setMessageContent(assistantContent, 'assistant', reply);
+      } else {
+        assistantContent = addMessageToUI('assistant', reply);
+      }
+
+      // Show which model actually answered
+      addMessageMeta(assistantContent, model);
+      showContextNotice(context && context.summarizedMessages);
+
+      // Titles and ordering change as turns are saved
+      refreshConversationList();
+
+      if (speakReply) {
+        // Every segment is queued; let playback finish in the background
+        appState.textToSpeech.endQueue().then(() => {
+          console.log('✅ Reply playback finished');
+        });
+      } else {
+        console.log('🔇 Silent mode is ENABLED - skipping text-to-speech');
+        alert('Silent mode is ON! Voice responses are disabled.');
+      }
+
+      updateStatus('Ready');
+    },
+
+    /**
+     * The turn was cancelled - drop the partial reply without reporting an error
+     */
+    cancel() {
+      if (speakReply) {
+        appState.textToSpeech.stop();
+      }
+
+      if (assistantContent) {
+        assistantContent.closest('.message').remove();
+      }
+
+      showNotice('Cancelled.');
+    },
+
+    /**
+     * The stream failed
+     * @param {Error} error
+     */
+    fail(error) {
+      updateStatus(`Error: ${error.message}`);
+
+      // Don't keep speaking a reply that failed halfway
+      if (speakReply) {
+        appState.textToSpeech.stop();
+      }
+
+      // Drop the partial reply so the bubble doesn't look like a complete answer
+      if (assistantContent) {
+        assistantContent.closest('.message').remove();
+      }
+
+      // Show error message in chat (not part of the history)
+      addMessageToUI('assistant', `Sorry, I encountered an error: ${error.message}`)
+        .closest('.message').classList.add('message-error');
+    }
+  };
+}
+
 /**
  * Process user message and get Claude's response
+ * @param {string} message - The user's message
+ * @param {Array} images - Images attached to the message [{ blob, url }] (optional)
  */
-async function processUserMessage(message) {
+async function processUserMessage(message, images = []) {
   appState.isProcessing = true;
   updateButtonState('processing');
   updateStatus('Processing...');
 
-  try {
-    // Call API
-    const reply = await API.sendMessageToClaude(message, appState.conversationHistory);
+  // Speak the reply sentence by sentence while Claude is still writing it
+  const speakReply = !appState.silentMode;
+  const streamingReply = createStreamingReply(speakReply);
 
-    // Add assistant message to conversation
-    appState.conversationHistory.push({
-      role: 'assistant',
-      content: reply
+  console.log('=== TTS Flow Debug ===');
+  console.log('Silent mode check:', appState.silentMode);
+  console.log('Current language:', appState.currentLanguage);
+  console.log('Server audio:', appState.textToSpeech.useOpenAI);
+
+  if (speakReply) {
+    appState.textToSpeech.startQueue({
+      language: getSpeechLanguage(appState.currentLanguage)
     });
+  }
 
-    // Display message
-    addMessageToUI('assistant', reply);
+  try {
+    // Turns are saved on the server once a stored conversation exists
+    const conversationId = await ensureConversation();
+
+    // The history already ends with this message; only send what came before
+    const previousHistory = appState.conversationHistory.slice(0, -1);
+
+    const imageIds = await uploadImages(images, turnSignal());
+
+    // The previous reply may still be being trimmed after a barge-in
+    await appState.pendingInterruption;
+
+    // Stream the reply into the conversation as it is generated
+    const result = await API.streamMessageFromClaude(message, previousHistory, {
+      conversationId: conversationId,
+      personaId: appState.personaId,
+      settings: appState.generationSettings,
+      imageIds: imageIds,
+      onDelta: streamingReply.onDelta,
+      onTool: streamingReply.onTool,
+      onSegment: streamingReply.onSegment,
+      signal: turnSignal(),
+      // Desktop gets server-synthesized audio per sentence, mobile speaks
+      // the sentence text with Web Speech
+      speech: speakReply ? {
+        synthesize: appState.textToSpeech.useOpenAI,
+        language: appState.currentLanguage,
+        voices: appState.voicePreferences,
+        prosody: appState.prosody
+      } : null
+    });
 
-    // Speak the response only if silent mode is OFF
-    console.log('=== TTS Flow Debug ===');
-    console.log('Silent mode check:', appState.silentMode);
-    console.log('Reply text:', reply.substring(0, 50) + '...');
-    console.log('Current language:', appState.currentLanguage);
-    console.log('TTS object exists:', !!appState.textToSpeech);
+    streamingReply.complete(result);
+    continueConversation();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      withdrawUserMessage();
+      restorePendingImages(images);
+      streamingReply.cancel();
+      return;
+    }
 
-    if (!appState.silentMode) {
-      console.log('✅ Silent mode is OFF - attempting to play audio response');
+    console.error('Error processing message:', error);
+    streamingReply.fail(error);
+  } finally {
+    resetToIdle();
+  }
+}
 
-      // Show visual indicator
-      updateStatus('Playing audio...');
+/**
+ * Transcribe, translate and speak one utterance in interpreter mode
+ * Either person can speak: the server translates speech in the target language
+ * back into the source language. Interpreted turns are shown but not saved,
+ * and are not part of the conversation with Claude.
+ * @param {Blob} audioBlob - The recording
+ */
+async function processInterpreterTurn(audioBlob) {
+  const { source, target } = appState.interpreter;
 
-      try {
-        console.log('🎤 About to call textToSpeech.speak()...');
+  appState.isProcessing = true;
+  updateButtonState('processing');
+  updateStatus('Transcribing audio...');
+  const signal = turnSignal();
 
-        // Pass the detected language to TTS
-        const success = await appState.textToSpeech.speak(reply, {
-          language: appState.currentLanguage
-        });
+  try {
+    // Either language may be spoken, so the recognition language lock is left out
+    const { prompt } = appState.transcriptionSettings;
+    const result = await API.transcribeAudio(audioBlob, prompt ? { prompt, signal } : { signal });
 
-        console.log('🎯 speak() returned:', success);
-
-        if (!success) {
-          console.error('❌ TTS failed - speak() returned false');
-          alert('TTS failed to play audio. Check console for details.');
-        } else {
-          console.log('✅ speak() returned true - audio should be playing');
-        }
-      } catch (error) {
-        console.error('❌ TTS error caught:', error);
-        alert('TTS error: ' + error.message);
-      }
-    } else {
+    if (!result.transcript || result.transcript.trim() === '') {
+      console.warn('Empty transcript received');
+      askToRepeat(result.quality);
+      return;
+    }
+
+    updateStatus('Translating...');
+    const translation = await API.translate(result.transcript, {
+      source: source,
+      target: target,
+      language: result.language,
+      settings: appState.generationSettings,
+      signal: signal
+    });
+
+    console.log(`🌐 Translated ${translation.from} → ${translation.to}:`, translation.translation);
+    const contentDiv = addInterpretedMessage(result.transcript, translation);
+    markTranscriptQuality(contentDiv, result.quality);
+    addMessageMeta(contentDiv, translation.model);
+
+    if (appState.silentMode) {
       console.log('🔇 Silent mode is ENABLED - skipping text-to-speech');
-      alert('Silent mode is ON! Voice responses are disabled.');
+    } else {
+      updateStatus('Playing audio...');
+      await appState.textToSpeech.speak(translation.translation, {
+        language: translation.to,
+        voice: appState.voicePreferences[translation.to]
+      });
     }
 
-    updateStatus('Ready');
+    // Cancelled while the translation was being fetched for speaking
+    signal.throwIfAborted();
+    continueConversation();
   } catch (error) {
-    console.error('Error processing message:', error);
+    if (error.name === 'AbortError') {
+      showNotice('Cancelled.');
+      return;
+    }
+
+    console.error('Interpreter turn failed:', error);
     updateStatus(`Error: ${error.message}`);
 
     // Show error message in chat
-    addMessageToUI('assistant', `Sorry, I encountered an error: ${error.message}`);
+    addMessageToUI('assistant', `Sorry, I couldn't translate that: ${error.message}`)
+      .closest('.message').classList.add('message-error');
   } finally {
     resetToIdle();
   }
 }
 
 /**
- * Add a message to the UI
+ * Show an interpreted utterance: what was said, then its translation
+ * The second person's turns (spoken in the target language) sit on the left.
+ * @param {string} original - The transcript
+ * @param {object} translation - { translation, from, to } from API.translate
+ * @returns {HTMLElement} - The message content element
  */
-function addMessageToUI(role, content) {
-  // Remove welcome message if it exists
-  const welcomeMessage = elements.conversationContainer.querySelector('.welcome-message');
-  if (welcomeMessage) {
-    welcomeMessage.remove();
-  }
-
-  // Create message element
-  const messageDiv = document.createElement('div');
-  messageDiv.className = `message ${role}`;
-
-  const bubbleDiv = document.createElement('div');
-  bubbleDiv.className = 'message-bubble';
+function addInterpretedMessage(original, { translation, from, to }) {
+  const contentDiv = addMessageToUI('user', original, {
+    label: `${languageName(from)} → ${languageName(to)}`
+  });
+  contentDiv.lang = from;
 
-  const roleLabel = document.createElement('div');
-  roleLabel.className = 'message-role';
-  roleLabel.textContent = role === 'user' ? 'You' : 'Claude';
+  const messageDiv = contentDiv.closest('.message');
+  messageDiv.classList.add('message-interpreted');
+  if (from !== appState.interpreter.source) {
+    messageDiv.classList.add('message-second-speaker');
+  }
 
-  const contentDiv = document.createElement('div');
-  contentDiv.className = 'message-content';
-  contentDiv.textContent = content;
+  const translationDiv = document.createElement('div');
+  translationDiv.className = 'message-translation';
+  translationDiv.lang = to;
+  translationDiv.textContent = translation;
+  contentDiv.after(translationDiv);
 
-  bubbleDiv.appendChild(roleLabel);
-  bubbleDiv.appendChild(contentDiv);
-  messageDiv.appendChild(bubbleDiv);
+  scrollToBottom();
+  return contentDiv;
+}
 
-  elements.conversationContainer.appendChild(messageDiv);
+/**
+ * Upload images attached to a message
+ * @param {Array} images - [{ blob, url }]
+ * @param {AbortSignal} signal - Cancels the upload (optional)
+ * @returns {Promise<Array<string>>} - Attachment ids
+ */
+async function uploadImages(images, signal) {
+  if (images.length === 0) return [];
 
-  // Scroll to bottom
-  scrollToBottom();
+  updateStatus('Uploading images...');
+  const attachments = await API.uploadAttachments(images.map(image => image.blob), { signal });
+  return attachments.map(attachment => attachment.id);
 }
 
 /**
- * Update button state visually
+ * Start a turn on the recording's realtime voice stream
+ * Called as soon as recording starts, so the transcript can appear (and the
+ * conversation load on the server) while the user is still speaking.
+ * @param {VoiceStreamClient} voiceStream - The recorder's socket for this recording
  */
-function updateButtonState(state) {
-  elements.pushToTalkButton.classList.remove('listening', 'processing');
+async function startStreamingTurn(voiceStream) {
+  const speakReply = !appState.silentMode;
+  const turn = {
+    voiceStream: voiceStream,
+    images: takePendingImages(),
+    speakReply: speakReply,
+    reply: createStreamingReply(speakReply),
+    userContent: null,  // User bubble, shown once there is a partial transcript
+    transcribed: false
+  };
+  appState.streamingTurn = turn;
 
-  if (state === 'listening') {
-    elements.pushToTalkButton.classList.add('listening');
-    elements.status.classList.add('listening');
-    elements.status.classList.remove('processing');
-  } else if (state === 'processing') {
-    elements.pushToTalkButton.classList.add('processing');
-    elements.pushToTalkButton.disabled = true;
-    elements.status.classList.add('processing');
-    elements.status.classList.remove('listening');
-  } else {
-    elements.pushToTalkButton.disabled = false;
-    elements.status.classList.remove('listening', 'processing');
+  const showTranscript = (transcript) => {
+    if (!turn.userContent) {
+      turn.userContent = addMessageToUI('user', transcript, { images: turn.images.map(image => image.url) });
+    } else {
+      turn.userContent.textContent = transcript;
+    }
+    scrollToBottom();
+  };
+
+  voiceStream.handlers = {
+    onPartial: (transcript) => {
+      if (!transcript) return;
+      showTranscript(transcript);
+      turn.userContent.closest('.message').classList.add('message-partial');
+    },
+    onTranscript: ({ transcript, language, quality }) => {
+      console.log('Transcription successful:', transcript);
+      console.log('Detected language:', language);
+      appState.currentLanguage = language;
+      turn.transcribed = true;
+
+      if (!transcript) return;
+
+      showTranscript(transcript);
+      turn.userContent.closest('.message').classList.remove('message-partial');
+      markTranscriptQuality(turn.userContent, quality);
+      appState.conversationHistory.push({ role: 'user', content: transcript });
+      updateStatus('Processing...');
+
+      if (speakReply) {
+        appState.textToSpeech.startQueue({ language: getSpeechLanguage(language) });
+      }
+    },
+    onDelta: turn.reply.onDelta,
+    onTool: turn.reply.onTool,
+    onSegment: turn.reply.onSegment
+  };
+
+  try {
+    const conversationId = await ensureConversation();
+    const imageIds = await uploadImages(turn.images);
+    await appState.pendingInterruption;
+
+    voiceStream.start({
+      // The server keeps the history of stored conversations itself
+      ...(conversationId ? { conversationId: conversationId } : { conversationHistory: appState.conversationHistory }),
+      personaId: appState.personaId,
+      settings: appState.generationSettings,
+      imageIds: imageIds,
+      mimeType: appState.speechRecognition.mimeType,
+      transcription: appState.transcriptionSettings,
+      // The server speaks in the language it hears
+      speech: speakReply ? {
+        synthesize: appState.textToSpeech.useOpenAI,
+        voices: appState.voicePreferences,
+        prosody: appState.prosody
+      } : null
+    });
+  } catch (error) {
+    voiceStream.cancel(error);
   }
 }
 
 /**
- * Update status message
+ * Wait for a streamed turn's transcript and reply once recording has stopped
  */
-function updateStatus(message) {
-  elements.status.querySelector('.status-text').textContent = message;
+async function finishStreamingTurn() {
+  const turn = appState.streamingTurn;
+  appState.streamingTurn = null;
+
+  appState.isProcessing = true;
+  updateButtonState('processing');
+  updateStatus('Transcribing audio...');
+
+  // Closing the socket stops the server's work on the turn
+  const signal = turnSignal();
+  signal.addEventListener('abort', () => turn.voiceStream.cancel(), { once: true });
+
+  try {
+    const result = await turn.voiceStream.finished;
+
+    if (!result.transcript) {
+      console.warn('Empty transcript received');
+      discardStreamingTurn(turn);
+      askToRepeat(result.quality);
+      return;
+    }
+
+    turn.reply.complete(result);
+    continueConversation();
+  } catch (error) {
+    if (signal.aborted) {
+      if (turn.transcribed) {
+        withdrawUserMessage();
+        restorePendingImages(turn.images);
+      } else {
+        discardStreamingTurn(turn);
+      }
+      turn.reply.cancel();
+      return;
+    }
+
+    console.error('Voice stream turn failed:', error);
+
+    // Before the transcript, the turn never became part of the conversation
+    if (!turn.transcribed) {
+      discardStreamingTurn(turn);
+    }
+    turn.reply.fail(error);
+  } finally {
+    resetToIdle();
+  }
 }
 
 /**
- * Reset to idle state
+ * Undo the UI of a streamed turn that produced no message
+ * @param {object} turn - The streaming turn
  */
-function resetToIdle() {
-  appState.isProcessing = false;
-  appState.isListening = false;
-  appState.recordingRequested = false;
-  updateButtonState('idle');
+function discardStreamingTurn(turn) {
+  if (turn.userContent) {
+    turn.userContent.closest('.message').remove();
+  }
 
-  // Update status based on device type
-  const isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
-  updateStatus(isTouchDevice ? 'Ready - Hold to talk' : 'Ready - Click to toggle');
+  // Keep the images for the next attempt
+  restorePendingImages(turn.images);
 }
 
 /**
- * Scroll conversation to bottom
+ * Continuous mode: start listening for the next turn once the reply has been spoken
+ * While the reply plays, the microphone is watched so the user can talk over it
+ * (barge-in). Called after each successful turn.
  */
-function scrollToBottom() {
-  elements.conversationContainer.scrollTop = elements.conversationContainer.scrollHeight;
+async function continueConversation() {
+  if (!appState.handsFree.continuous) return;
+
+  const history = appState.conversationHistory;
+
+  if (appState.textToSpeech.isSpeaking()) {
+    appState.speechRecognition.startMonitoring({
+      threshold: appState.handsFree.threshold + BARGE_IN_MARGIN_DB,
+      onsetMs: BARGE_IN_ONSET_MS
+    }, bargeIn);
+  }
+
+  await appState.textToSpeech.whenDone();
+  appState.speechRecognition.stopMonitoring();
+
+  // Already listening after a barge-in, switched off, or a different conversation was opened
+  if (!appState.handsFree.continuous || appState.conversationHistory !== history) return;
+  if (appState.isListening || appState.recordingRequested || appState.isProcessing) return;
+
+  listenAgain();
 }
 
 /**
- * Show compatibility warning
+ * The user started talking over the reply: stop it and record what they say
  */
-function showCompatibilityWarning() {
-  elements.compatibilityWarning.style.display = 'block';
-  updateStatus('Browser not supported');
+function bargeIn() {
+  const position = appState.textToSpeech.heardPosition();
+  appState.textToSpeech.stop();
+  console.log('✋ Reply interrupted at:', position);
+
+  // Interpreter translations (spoken without the queue) aren't part of the history
+  if (position !== null) {
+    appState.pendingInterruption = trimInterruptedReply(position);
+  }
+
+  listenAgain();
 }
 
 /**
- * Setup silent mode toggle
+ * Record where the user interrupted the last reply, so Claude only sees what was heard
+ * Stored conversations record it on the server; otherwise the local history entry
+ * carries it, and the server cuts the reply when the history is sent.
+ * @param {object} position - { segments, fraction, whole } from heardPosition()
  */
-function setupSilentModeToggle() {
-  console.log('Setting up silent mode toggle...');
+async function trimInterruptedReply(position) {
+  const history = appState.conversationHistory;
+  const reply = history[history.length - 1];
+  if (!reply || reply.role !== 'assistant') return;
+
+  const bubbles = elements.conversationContainer.querySelectorAll('.message.assistant:not(.message-error)');
+  if (bubbles.length > 0) {
+    addMessageMeta(bubbles[bubbles.length - 1].querySelector('.message-content'), 'Interrupted');
+  }
 
-  // Load saved preference from localStorage
-  const savedSilentMode = localStorage.getItem('silentMode');
-  if (savedSilentMode !== null) {
-    appState.silentMode = savedSilentMode === 'true';
+  if (!appState.conversationId) {
+    reply.interrupted = position;
+    return;
   }
 
-  console.log('🔊 Silent mode loaded from localStorage:', appState.silentMode);
+  try {
+    await API.interruptReply(appState.conversationId, position);
+  } catch (error) {
+    console.error('Failed to record the interruption:', error);
+  }
+}
+
+/**
+ * Start a hands-free recording without a button press (continuous mode)
+ */
+async function listenAgain() {
+  appState.recordingRequested = true;
+  updateButtonState('listening');
+
+  const started = await appState.speechRecognition.start();
+
+  if (!started) {
+    console.error('Failed to start recording');
+    updateStatus('Failed to start - check microphone');
+    appState.recordingRequested = false;
+    updateButtonState('idle');
+  } else {
+    updateStatus('Listening - just speak');
+  }
+}
+
+/**
+ * Run a whole turn (transcribe, Claude, TTS) with a single /api/voice-turn request
+ */
+async function processVoiceTurn(audioBlob) {
+  appState.isProcessing = true;
+  updateButtonState('processing');
+  updateStatus('Processing...');
+
+  const speakReply = !appState.silentMode;
+  const images = takePendingImages();
+
+  try {
+    const conversationId = await ensureConversation();
+    await appState.pendingInterruption;
+
+    // Only ask the server for audio when it will actually be played
+    const result = await API.voiceTurn(audioBlob, appState.conversationHistory, {
+      conversationId: conversationId,
+      personaId: appState.personaId,
+      settings: appState.generationSettings,
+      images: images.map(image => image.blob),
+      synthesize: speakReply && appState.textToSpeech.useOpenAI,
+      voices: appState.voicePreferences,
+      prosody: appState.prosody,
+      transcription: appState.transcriptionSettings,
+      signal: turnSignal()
+    });
+
+    console.log('Transcription successful:', result.transcript);
+    console.log('Detected language:', result.language);
+
+    // Store detected language for TTS
+    appState.currentLanguage = result.language;
+
+    if (!result.transcript) {
+      console.warn('Empty transcript received');
+      askToRepeat(result.quality);
+      restorePendingImages(images);
+      return;
+    }
+
+    const userContent = addMessageToUI('user', result.transcript, { images: images.map(image => image.url) });
+    markTranscriptQuality(userContent, result.quality);
+    const replyContent = addMessageToUI('assistant', result.reply);
+    result.tools.forEach(call => addToolUse(replyContent, call));
+    addMessageMeta(replyContent, result.model);
+
+    appState.conversationHistory.push(
+      { role: 'user', content: result.transcript },
+      { role: 'assistant', content: result.reply || EMPTY_REPLY_NOTE }
+    );
+    showContextNotice(result.context && result.context.summarizedMessages);
+
+    refreshConversationList();
+
+    if (speakReply) {
+      updateStatus('Playing audio...');
+
+      // Without server audio the queue speaks the text with Web Speech
+      appState.textToSpeech.startQueue({ language: getSpeechLanguage(result.language), wholeReply: true });
+      appState.textToSpeech.enqueueSegment({
+        index: 0,
+        text: result.reply,
+        audioBlob: result.audioBlob
+      });
+      appState.textToSpeech.endQueue();
+    } else {
+      console.log('🔇 Silent mode is ENABLED - skipping text-to-speech');
+    }
+    continueConversation();
+  } catch (error) {
+    // Keep the images for the next attempt
+    restorePendingImages(images);
+
+    if (error.name === 'AbortError') {
+      showNotice('Cancelled.');
+      return;
+    }
+
+    console.error('Voice turn failed:', error);
+    updateStatus(`Error: ${error.message}`);
+
+    // Show error message in chat (not part of the history)
+    addMessageToUI('assistant', `Sorry, I encountered an error: ${error.message}`)
+      .closest('.message').classList.add('message-error');
+  } finally {
+    resetToIdle();
+  }
+}
+
+/**
+ * Add a message to the UI
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message text
+ * @param {object} options - { images: Array<string>, label: string } - Image URLs to show as thumbnails,
+ *   and a label to show instead of 'You' / 'Claude'
+ * @returns {HTMLElement} - The message content element (for streaming updates)
+ */
+function addMessageToUI(role, content, { images = [], label } = {}) {
+  // Remove welcome message (and any request to repeat) if it exists
+  elements.conversationContainer.querySelectorAll('.welcome-message, .speech-notice')
+    .forEach(element => element.remove());
+
+  // Create message element
+  const messageDiv = document.createElement('div');
+  messageDiv.className = `message ${role}`;
+
+  const bubbleDiv = document.createElement('div');
+  bubbleDiv.className = 'message-bubble';
+
+  const roleLabel = document.createElement('div');
+  roleLabel.className = 'message-role';
+  roleLabel.textContent = label || (role === 'user' ? 'You' : 'Claude');
+
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'message-content';
+  setMessageContent(contentDiv, role, content);
+
+  bubbleDiv.appendChild(roleLabel);
+
+  // Attached images, each linking to the full-size picture
+  if (images.length > 0) {
+    const imagesDiv = document.createElement('div');
+    imagesDiv.className = 'message-images';
+
+    images.forEach(url => {
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'message-thumbnail';
+      thumbnail.src = url;
+      thumbnail.alt = 'Attached image';
+
+      link.appendChild(thumbnail);
+      imagesDiv.appendChild(link);
+    });
+
+    bubbleDiv.appendChild(imagesDiv);
+  }
+
+  bubbleDiv.appendChild(contentDiv);
+  messageDiv.appendChild(bubbleDiv);
+
+  elements.conversationContainer.appendChild(messageDiv);
+
+  // Scroll to bottom
+  scrollToBottom();
+
+  return contentDiv;
+}
+
+/**
+ * Show a message's text
+ * Assistant replies are rendered as sanitized markdown; user messages stay plain text.
+ * @param {HTMLElement} contentDiv - Message content element returned by addMessageToUI
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message text
+ */
+function setMessageContent(contentDiv, role, content) {
+  if (role !== 'assistant') {
+    contentDiv.textContent = content;
+    return;
+  }
+
+  contentDiv.classList.add('markdown');
+  contentDiv.replaceChildren(Markdown.render(content));
+}
+
+/**
+ * Ask the user to say it again when the recording had no usable speech
+ * The server blanks transcripts that are silence or too unreliable to send to
+ * Claude. The notice stays in the conversation until the next message.
+ * @param {string} quality - Transcript quality from the server ('no_speech' or 'low_confidence')
+ */
+function askToRepeat(quality) {
+  showNotice(quality === 'low_confidence'
+    ? 'Sorry, I couldn\'t make that out. Please say it again.'
+    : 'No speech detected. Try again.');
+}
+
+/**
+ * Show a short notice at the end of the conversation (and in the status line)
+ * It is removed when the next message is added.
+ * @param {string} message
+ */
+function showNotice(message) {
+  elements.conversationContainer.querySelectorAll('.speech-notice').forEach(notice => notice.remove());
+
+  const notice = document.createElement('div');
+  notice.className = 'speech-notice';
+  notice.setAttribute('role', 'status');
+  notice.textContent = message;
+  elements.conversationContainer.appendChild(notice);
+  scrollToBottom();
+
+  updateStatus(message);
+}
+
+/**
+ * Mark a user message whose transcript may be wrong
+ * Only happens with STT_FILTER=flag, where unreliable transcripts are still sent.
+ * @param {HTMLElement} contentDiv - Message content element returned by addMessageToUI
+ * @param {string} quality - Transcript quality from the server
+ */
+function markTranscriptQuality(contentDiv, quality) {
+  if (!quality || quality === 'ok') return;
+
+  const messageDiv = contentDiv.closest('.message');
+  messageDiv.classList.add('message-uncertain');
+  messageDiv.title = 'This transcript may be inaccurate';
+}
+
+/**
+ * Take back the user message of a cancelled turn
+ * The server never saved it, so it leaves the local history too; its bubble
+ * stays, marked as not sent.
+ */
+function withdrawUserMessage() {
+  const history = appState.conversationHistory;
+  if (history.length === 0 || history[history.length - 1].role !== 'user') return;
+  history.pop();
+
+  const userMessages = elements.conversationContainer
+    .querySelectorAll('.message.user:not(.message-interpreted):not(.message-cancelled)');
+  const messageDiv = userMessages[userMessages.length - 1];
+  if (messageDiv) {
+    messageDiv.classList.add('message-cancelled');
+    addMessageMeta(messageDiv.querySelector('.message-content'), 'Cancelled - not sent');
+  }
+}
+
+/**
+ * Add a small metadata line (e.g., the model that answered) under a message
+ * @param {HTMLElement} contentDiv - Message content element returned by addMessageToUI
+ * @param {string} text - Metadata text
+ */
+function addMessageMeta(contentDiv, text) {
+  if (!contentDiv || !text) return;
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'message-meta';
+  metaDiv.textContent = text;
+  contentDiv.parentElement.appendChild(metaDiv);
+}
+
+/**
+ * Show a tool Claude ran as a small chip above the reply text
+ * @param {HTMLElement} contentDiv - Message content element returned by addMessageToUI
+ * @param {object} call - { name, input, output?, error? }
+ */
+function addToolUse(contentDiv, call) {
+  const bubbleDiv = contentDiv.parentElement;
+
+  let toolsDiv = bubbleDiv.querySelector('.message-tools');
+  if (!toolsDiv) {
+    toolsDiv = document.createElement('div');
+    toolsDiv.className = 'message-tools';
+    bubbleDiv.insertBefore(toolsDiv, contentDiv);
+  }
+
+  const chip = document.createElement('span');
+  chip.className = call.error ? 'tool-chip tool-chip-error' : 'tool-chip';
+  chip.textContent = `🔧 ${call.name}`;
+  chip.title = `${JSON.stringify(call.input)}\n→ ${call.error ? `Error: ${call.error}` : JSON.stringify(call.output)}`;
+  toolsDiv.appendChild(chip);
+}
+
+/**
+ * Show where earlier messages stop being sent verbatim and are summarized instead
+ * @param {number} summarizedMessages - How many of the oldest history messages are summarized
+ */
+function showContextNotice(summarizedMessages) {
+  const existing = elements.conversationContainer.querySelector('.context-notice');
+  if (existing) {
+    existing.remove();
+  }
+
+  if (!summarizedMessages) return;
+
+  // History bubbles line up with conversationHistory; error, interpreter and cancelled bubbles don't count
+  const historyMessages = elements.conversationContainer
+    .querySelectorAll('.message:not(.message-error):not(.message-interpreted):not(.message-cancelled)');
+  const firstVerbatim = historyMessages[summarizedMessages];
+  if (!firstVerbatim) return;
+
+  const notice = document.createElement('div');
+  notice.className = 'context-notice';
+  notice.textContent = `${summarizedMessages} earlier messages summarized to save context`;
+  notice.title = 'Claude sees a summary of the messages above this line, not their full text';
+  elements.conversationContainer.insertBefore(notice, firstVerbatim);
+}
+
+/**
+ * Update button state visually
+ */
+function updateButtonState(state) {
+  elements.pushToTalkButton.classList.remove('listening', 'processing');
+
+  // Only a turn being processed can be cancelled
+  if (elements.cancelTurnButton) {
+    elements.cancelTurnButton.hidden = state !== 'processing';
+  }
+
+  if (state === 'listening') {
+    elements.pushToTalkButton.classList.add('listening');
+    elements.status.classList.add('listening');
+    elements.status.classList.remove('processing');
+  } else if (state === 'processing') {
+    elements.pushToTalkButton.classList.add('processing');
+    elements.pushToTalkButton.disabled = true;
+    elements.status.classList.add('processing');
+    elements.status.classList.remove('listening');
+  } else {
+    elements.pushToTalkButton.disabled = false;
+    elements.status.classList.remove('listening', 'processing');
+  }
+}
+
+/**
+ * Update status message
+ */
+function updateStatus(message) {
+  elements.status.querySelector('.status-text').textContent = message;
+}
+
+/**
+ * Reset to idle state
+ */
+function resetToIdle() {
+  appState.isProcessing = false;
+  appState.turnAbort = null;
+  appState.isListening = false;
+  appState.recordingRequested = false;
+  updateButtonState('idle');
+
+  // Update status based on device type
+  const isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
+  updateStatus(isTouchDevice ? 'Ready - Hold to talk' : 'Ready - Click to toggle');
+}
+
+/**
+ * Scroll conversation to bottom
+ */
+function scrollToBottom() {
+  elements.conversationContainer.scrollTop = elements.conversationContainer.scrollHeight;
+}
+
+/**
+ * Show compatibility warning
+ */
+function showCompatibilityWarning() {
+  elements.compatibilityWarning.style.display = 'block';
+  updateStatus('Browser not supported');
+}
+
+/**
+ * Setup silent mode toggle
+ */
+function setupSilentModeToggle() {
+  console.log('Setting up silent mode toggle...');
+
+  // Load saved preference from localStorage
+  const savedSilentMode = localStorage.getItem('silentMode');
+  if (savedSilentMode !== null) {
+    appState.silentMode = savedSilentMode === 'true';
+  }
+
+  console.log('🔊 Silent mode loaded from localStorage:', appState.silentMode);
   console.log('📱 Silent mode state:', appState.silentMode ? 'ON (text only)' : 'OFF (voice enabled)');
 
   // Update toggle UI to match state
@@ -613,6 +1578,970 @@ function updateSilentModeUI() {
   }
 }
 
+/**
+ * Setup conversation picker and its buttons, then restore the last conversation
+ */
+async function setupConversationControls() {
+  if (elements.conversationSelect) {
+    elements.conversationSelect.addEventListener('change', () => {
+      if (appState.isProcessing || appState.isListening) {
+        // Don't switch conversations in the middle of a turn
+        elements.conversationSelect.value = appState.conversationId || '';
+        return;
+      }
+
+      const id = elements.conversationSelect.value;
+      if (id) {
+        loadConversation(id);
+      } else {
+        startNewConversation();
+      }
+    });
+  }
+
+  if (elements.newConversationBtn) {
+    elements.newConversationBtn.addEventListener('click', () => {
+      if (appState.isProcessing || appState.isListening) return;
+      startNewConversation();
+    });
+  }
+
+  if (elements.renameConversationBtn) {
+    elements.renameConversationBtn.addEventListener('click', renameCurrentConversation);
+  }
+
+  if (elements.deleteConversationBtn) {
+    elements.deleteConversationBtn.addEventListener('click', deleteCurrentConversation);
+  }
+
+  // Continue where we left off
+  const savedId = localStorage.getItem('conversationId');
+  if (savedId) {
+    await loadConversation(savedId);
+  }
+
+  await refreshConversationList();
+}
+
+/**
+ * Remember which stored conversation is active
+ * @param {string|null} id - Conversation id, or null for a new unsaved conversation
+ */
+function setActiveConversation(id) {
+  appState.conversationId = id;
+
+  if (id) {
+    localStorage.setItem('conversationId', id);
+  } else {
+    localStorage.removeItem('conversationId');
+  }
+
+  updateConversationButtons();
+}
+
+/**
+ * Create a stored conversation for the current chat if there isn't one yet
+ * @returns {Promise<string|null>} - The conversation id, or null if the server couldn't create one
+ */
+async function ensureConversation() {
+  if (appState.conversationId) {
+    return appState.conversationId;
+  }
+
+  try {
+    const conversation = await API.createConversation({
+      personaId: appState.personaId,
+      settings: appState.generationSettings
+    });
+    console.log('💾 Conversation created:', conversation.id);
+    setActiveConversation(conversation.id);
+  } catch (error) {
+    // Fall back to sending the history from the browser
+    console.warn('⚠️ Could not create a stored conversation, history will not be saved:', error);
+  }
+
+  return appState.conversationId;
+}
+
+/**
+ * Load a stored conversation and show its messages
+ * @param {string} id - Conversation id
+ */
+async function loadConversation(id) {
+  try {
+    const conversation = await API.getConversation(id);
+
+    if (appState.textToSpeech) {
+      appState.textToSpeech.stop();
+    }
+    clearConversationUI();
+
+    appState.conversationHistory = conversation.messages.map(message => ({
+      role: message.role,
+      content: message.content
+    }));
+
+    conversation.messages.forEach(message => {
+      const content = addMessageToUI(message.role, message.content, {
+        images: (message.images || []).map(image => API.attachmentURL(image.id))
+      });
+      (message.tools || []).forEach(call => addToolUse(content, call));
+      if (message.model) {
+        addMessageMeta(content, message.model);
+      }
+      if (message.interrupted) {
+        addMessageMeta(content, 'Interrupted');
+      }
+    });
+    showContextNotice(conversation.summary && conversation.summary.messageCount);
+
+    setActiveConversation(conversation.id);
+    setSelectedPersona(conversation.personaId);
+    applyGenerationSettings(conversation.settings);
+    console.log('📂 Conversation loaded:', conversation.id, `(${conversation.messages.length} messages)`);
+  } catch (error) {
+    console.error('Failed to load conversation:', error);
+
+    // Stale id from localStorage (deleted elsewhere) - start fresh
+    if (error.status === 404) {
+      setActiveConversation(null);
+    } else {
+      updateStatus(`Could not load conversation: ${error.message}`);
+    }
+  }
+
+  if (elements.conversationSelect) {
+    elements.conversationSelect.value = appState.conversationId || '';
+  }
+}
+
+/**
+ * Start a new conversation (saved on the server with its first turn)
+ */
+function startNewConversation() {
+  if (appState.textToSpeech) {
+    appState.textToSpeech.stop();
+  }
+  appState.conversationHistory = [];
+  setActiveConversation(null);
+  setSelectedPersona(localStorage.getItem('personaId'));
+  applyGenerationSettings(loadSavedGenerationSettings());
+  clearConversationUI();
+  refreshConversationList();
+}
+
+/**
+ * Clear the conversation view and show the welcome message again
+ */
+function clearConversationUI() {
+  elements.conversationContainer.innerHTML = '';
+
+  if (elements.welcomeTemplate) {
+    elements.conversationContainer.appendChild(elements.welcomeTemplate.cloneNode(true));
+  }
+}
+
+/**
+ * Reload the conversation picker from the server
+ */
+async function refreshConversationList() {
+  if (!elements.conversationSelect) return;
+
+  try {
+    const conversations = await API.listConversations();
+    const select = elements.conversationSelect;
+    select.innerHTML = '';
+
+    // Placeholder for a conversation that hasn't been saved yet
+    if (!appState.conversationId) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'New conversation';
+      select.appendChild(option);
+    }
+
+    conversations.forEach(conversation => {
+      const option = document.createElement('option');
+      option.value = conversation.id;
+      option.textContent = conversation.title;
+      select.appendChild(option);
+    });
+
+    select.value = appState.conversationId || '';
+  } catch (error) {
+    console.warn('⚠️ Could not load conversation list:', error);
+  }
+}
+
+/**
+ * Enable rename/delete only when a stored conversation is active
+ */
+function updateConversationButtons() {
+  const hasConversation = !!appState.conversationId;
+
+  if (elements.renameConversationBtn) {
+    elements.renameConversationBtn.disabled = !hasConversation;
+  }
+  if (elements.deleteConversationBtn) {
+    elements.deleteConversationBtn.disabled = !hasConversation;
+  }
+}
+
+/**
+ * Rename the active conversation
+ */
+async function renameCurrentConversation() {
+  if (!appState.conversationId) return;
+
+  const select = elements.conversationSelect;
+  const currentTitle = select && select.selectedOptions[0] ? select.selectedOptions[0].textContent : '';
+  const title = prompt('Conversation name:', currentTitle);
+
+  if (!title || title.trim() === '' || title === currentTitle) return;
+
+  try {
+    await API.updateConversation(appState.conversationId, { title: title.trim() });
+    await refreshConversationList();
+  } catch (error) {
+    alert('Could not rename conversation: ' + error.message);
+  }
+}
+
+/**
+ * Delete the active conversation after confirmation
+ */
+async function deleteCurrentConversation() {
+  if (!appState.conversationId || appState.isProcessing) return;
+
+  if (!confirm('Delete this conversation? This cannot be undone.')) return;
+
+  try {
+    await API.deleteConversation(appState.conversationId);
+    startNewConversation();
+  } catch (error) {
+    alert('Could not delete conversation: ' + error.message);
+  }
+}
+
+/**
+ * Load personas into the persona picker
+ */
+async function setupPersonaPicker() {
+  try {
+    const data = await API.listPersonas();
+    appState.personas = data.personas;
+    appState.defaultPersonaId = data.defaultPersonaId;
+  } catch (error) {
+    // The server falls back to its default persona
+    console.warn('⚠️ Could not load personas:', error);
+    return;
+  }
+
+  if (elements.personaSelect) {
+    elements.personaSelect.innerHTML = '';
+    appState.personas.forEach(persona => {
+      const option = document.createElement('option');
+      option.value = persona.id;
+      option.textContent = persona.name;
+      elements.personaSelect.appendChild(option);
+    });
+
+    elements.personaSelect.addEventListener('change', () => {
+      changePersona(elements.personaSelect.value);
+    });
+  }
+
+  // New conversations start with the last persona picked
+  setSelectedPersona(localStorage.getItem('personaId'));
+  console.log('🎭 Personas loaded:', appState.personas.map(p => p.name).join(', '));
+}
+
+/**
+ * Select a persona in the app state and picker (falls back to the default persona)
+ * @param {string|null} personaId - Persona id
+ */
+function setSelectedPersona(personaId) {
+  const persona = appState.personas.find(p => p.id === personaId) ||
+    appState.personas.find(p => p.id === appState.defaultPersonaId);
+
+  appState.personaId = persona ? persona.id : null;
+
+  if (elements.personaSelect && appState.personaId) {
+    elements.personaSelect.value = appState.personaId;
+  }
+}
+
+/**
+ * Switch the current conversation to another persona
+ * @param {string} personaId - Persona id
+ */
+async function changePersona(personaId) {
+  setSelectedPersona(personaId);
+  localStorage.setItem('personaId', appState.personaId);
+
+  const persona = getCurrentPersona();
+  console.log('🎭 Persona changed:', persona ? persona.name : appState.personaId);
+
+  // Remember the choice on the stored conversation
+  if (appState.conversationId) {
+    try {
+      await API.updateConversation(appState.conversationId, { personaId: appState.personaId });
+    } catch (error) {
+      alert('Could not change persona: ' + error.message);
+    }
+  }
+}
+
+/**
+ * Get the persona object for the current conversation
+ * @returns {object|null}
+ */
+function getCurrentPersona() {
+  return appState.personas.find(p => p.id === appState.personaId) || null;
+}
+
+/**
+ * Get the language replies should be spoken in
+ * Personas with their own language (e.g., a tutor) always speak it;
+ * otherwise replies mirror the speaker's language.
+ * @param {string} detectedLanguage - The speaker's language
+ * @returns {string}
+ */
+function getSpeechLanguage(detectedLanguage) {
+  const persona = getCurrentPersona();
+  return (persona && persona.language) || detectedLanguage;
+}
+
+/**
+ * Load allowed models and limits into the settings panel
+ */
+async function setupGenerationSettings() {
+  if (!elements.modelSelect) return;
+
+  try {
+    const options = await API.getModelOptions();
+
+    elements.modelSelect.innerHTML = '';
+    options.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model;
+      option.textContent = model + (model === options.defaults.model ? ' (default)' : '');
+      elements.modelSelect.appendChild(option);
+    });
+
+    elements.modelSelect.dataset.default = options.defaults.model;
+    elements.maxTokensInput.max = options.limits.maxTokens;
+    elements.maxTokensInput.placeholder = options.defaults.maxTokens;
+    elements.temperatureInput.min = options.limits.temperature.min;
+    elements.temperatureInput.max = options.limits.temperature.max;
+  } catch (error) {
+    console.warn('⚠️ Could not load model options:', error);
+    return;
+  }
+
+  [elements.modelSelect, elements.maxTokensInput, elements.temperatureInput, elements.stopSequencesInput]
+    .forEach(input => input.addEventListener('change', changeGenerationSettings));
+
+  applyGenerationSettings(loadSavedGenerationSettings());
+}
+
+/**
+ * Read the last generation settings picked (used for new conversations)
+ * @returns {object}
+ */
+function loadSavedGenerationSettings() {
+  try {
+    return JSON.parse(localStorage.getItem('generationSettings')) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Show generation settings in the settings panel and make them current
+ * @param {object} settings - { model, maxTokens, temperature, stopSequences } (any may be missing)
+ */
+function applyGenerationSettings(settings = {}) {
+  appState.generationSettings = { ...settings };
+
+  if (!elements.modelSelect) return;
+
+  const allowed = Array.from(elements.modelSelect.options).map(option => option.value);
+  elements.modelSelect.value = allowed.includes(settings.model) ? settings.model : (elements.modelSelect.dataset.default || '');
+  elements.maxTokensInput.value = settings.maxTokens || '';
+  elements.temperatureInput.value = typeof settings.temperature === 'number' ? settings.temperature : '';
+  elements.stopSequencesInput.value = (settings.stopSequences || []).join(', ');
+}
+
+/**
+ * Collect generation settings from the panel and save them to the conversation
+ */
+async function changeGenerationSettings() {
+  const settings = {};
+
+  if (elements.modelSelect.value && elements.modelSelect.value !== elements.modelSelect.dataset.default) {
+    settings.model = elements.modelSelect.value;
+  }
+
+  const maxTokens = parseInt(elements.maxTokensInput.value, 10);
+  if (Number.isInteger(maxTokens)) {
+    settings.maxTokens = Math.min(Math.max(maxTokens, 1), parseInt(elements.maxTokensInput.max, 10) || maxTokens);
+  }
+
+  const temperature = parseFloat(elements.temperatureInput.value);
+  if (!Number.isNaN(temperature)) {
+    settings.temperature = Math.min(Math.max(temperature, 0), 1);
+  }
+
+  const stopSequences = elements.stopSequencesInput.value
+    .split(',')
+    .map(sequence => sequence.trim())
+    .filter(Boolean);
+  if (stopSequences.length > 0) {
+    settings.stopSequences = stopSequences;
+  }
+
+  applyGenerationSettings(settings);
+  localStorage.setItem('generationSettings', JSON.stringify(settings));
+  console.log('⚙️ Generation settings changed:', settings);
+
+  if (appState.conversationId) {
+    try {
+      await API.updateConversation(appState.conversationId, { settings });
+    } catch (error) {
+      alert('Could not save settings: ' + error.message);
+    }
+  }
+}
+
+/**
+ * Name a language in the browser's language, e.g. 'ru' → 'Russian'
+ * @param {string} code - Language code
+ * @returns {string}
+ */
+function languageName(code) {
+  const languageNames = window.Intl && Intl.DisplayNames
+    ? new Intl.DisplayNames([navigator.language, 'en'], { type: 'language' })
+    : null;
+  const language = Languages.findLanguage(code);
+  return (languageNames && languageNames.of(code)) || (language ? language.name : code);
+}
+
+/**
+ * Build <option>s for every language speech-to-text knows, sorted by name
+ * @returns {Array<HTMLOptionElement>}
+ */
+function languageOptions() {
+  return Languages.LANGUAGES
+    .map(language => ({ code: language.code, name: languageName(language.code) }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ code, name }) => new Option(name, code));
+}
+
+/**
+ * Fill the recognition language picker and load the saved language lock and vocabulary
+ */
+function setupTranscriptionSettings() {
+  if (!elements.transcriptionLanguageSelect) return;
+
+  languageOptions().forEach(option => elements.transcriptionLanguageSelect.appendChild(option));
+
+  appState.transcriptionSettings = loadSavedTranscriptionSettings();
+  elements.transcriptionLanguageSelect.value = appState.transcriptionSettings.language || '';
+  elements.vocabularyInput.value = appState.transcriptionSettings.prompt || '';
+
+  elements.transcriptionLanguageSelect.addEventListener('change', changeTranscriptionSettings);
+  elements.vocabularyInput.addEventListener('change', changeTranscriptionSettings);
+
+  console.log('🎙️ Transcription settings:', appState.transcriptionSettings);
+}
+
+/**
+ * Read the language lock and vocabulary saved earlier
+ * @returns {object} - { language, prompt } (either may be missing)
+ */
+function loadSavedTranscriptionSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('transcriptionSettings')) || {};
+    return {
+      ...(typeof saved.language === 'string' && Languages.findLanguage(saved.language) && { language: saved.language }),
+      ...(typeof saved.prompt === 'string' && saved.prompt.trim() && { prompt: saved.prompt })
+    };
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save the language lock and vocabulary; they are sent with every recording
+ */
+function changeTranscriptionSettings() {
+  const language = elements.transcriptionLanguageSelect.value;
+  const prompt = elements.vocabularyInput.value.trim();
+
+  appState.transcriptionSettings = {
+    ...(language && { language }),
+    ...(prompt && { prompt })
+  };
+
+  localStorage.setItem('transcriptionSettings', JSON.stringify(appState.transcriptionSettings));
+  console.log('🎙️ Transcription settings changed:', appState.transcriptionSettings);
+}
+
+/**
+ * Load the saved hands-free settings and keep the recorder in sync with them
+ */
+function setupHandsFree() {
+  appState.handsFree = loadSavedHandsFree();
+
+  if (elements.handsFreeSelect) {
+    elements.handsFreeSelect.value = appState.handsFree.continuous ? 'continuous' : (appState.handsFree.enabled ? 'on' : 'off');
+    elements.vadThresholdInput.value = appState.handsFree.threshold;
+    elements.vadHangoverInput.value = appState.handsFree.hangoverMs;
+    showHandsFreeValues();
+
+    [elements.handsFreeSelect, elements.vadThresholdInput, elements.vadHangoverInput]
+      .forEach(control => control.addEventListener('input', changeHandsFree));
+
+    // Older browsers can't analyse microphone input
+    if (!VoiceActivityDetector.isSupported()) {
+      elements.handsFreeSelect.value = 'off';
+      elements.handsFreeSelect.disabled = true;
+    }
+  }
+
+  applyHandsFree();
+  console.log('🎧 Hands-free mode:', appState.handsFree);
+}
+
+/**
+ * Read the hands-free settings saved earlier
+ * @returns {object} - { enabled, continuous, threshold, hangoverMs }
+ */
+function loadSavedHandsFree() {
+  const settings = { enabled: false, continuous: false, threshold: -50, hangoverMs: 1200 };
+  try {
+    const saved = JSON.parse(localStorage.getItem('handsFree')) || {};
+    if (saved.enabled === true) settings.enabled = true;
+    if (saved.enabled === true && saved.continuous === true) settings.continuous = true;
+    if (Number.isFinite(saved.threshold)) settings.threshold = saved.threshold;
+    if (Number.isFinite(saved.hangoverMs)) settings.hangoverMs = saved.hangoverMs;
+  } catch (error) {
+    // Fall back to the defaults
+  }
+  return settings;
+}
+
+/**
+ * Show the threshold and pause next to their sliders
+ */
+function showHandsFreeValues() {
+  elements.vadThresholdValue.textContent = `${elements.vadThresholdInput.value} dB`;
+  elements.vadHangoverValue.textContent = `${(Number(elements.vadHangoverInput.value) / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Save the hands-free settings from the settings panel
+ */
+function changeHandsFree() {
+  appState.handsFree = {
+    enabled: elements.handsFreeSelect.value !== 'off',
+    continuous: elements.handsFreeSelect.value === 'continuous',
+    threshold: Number(elements.vadThresholdInput.value),
+    hangoverMs: Number(elements.vadHangoverInput.value)
+  };
+  showHandsFreeValues();
+  applyHandsFree();
+
+  // Leaving continuous mode stops watching for barge-in
+  if (!appState.handsFree.continuous) {
+    appState.speechRecognition.stopMonitoring();
+  }
+
+  localStorage.setItem('handsFree', JSON.stringify(appState.handsFree));
+}
+
+/**
+ * Tell the recorder whether (and how) to stop at the end of speech
+ */
+function applyHandsFree() {
+  const { enabled, threshold, hangoverMs } = appState.handsFree;
+  appState.speechRecognition.setHandsFree(enabled ? { threshold, hangoverMs } : null);
+}
+
+/**
+ * Fill the interpreter language pickers and load the saved language pair
+ */
+function setupInterpreterSettings() {
+  if (!elements.interpreterModeSelect) return;
+
+  languageOptions().forEach(option => elements.interpreterSourceSelect.appendChild(option));
+  languageOptions().forEach(option => elements.interpreterTargetSelect.appendChild(option));
+
+  appState.interpreter = loadSavedInterpreterSettings();
+  elements.interpreterModeSelect.value = appState.interpreter.enabled ? 'on' : 'off';
+  elements.interpreterSourceSelect.value = appState.interpreter.source;
+  elements.interpreterTargetSelect.value = appState.interpreter.target;
+
+  [elements.interpreterModeSelect, elements.interpreterSourceSelect, elements.interpreterTargetSelect]
+    .forEach(select => select.addEventListener('change', changeInterpreterSettings));
+
+  console.log('🌐 Interpreter mode:', appState.interpreter);
+}
+
+/**
+ * Read the interpreter mode and language pair saved earlier
+ * @returns {object} - { enabled, source, target }
+ */
+function loadSavedInterpreterSettings() {
+  const defaults = { enabled: false, source: 'en', target: 'ru' };
+  try {
+    const saved = JSON.parse(localStorage.getItem('interpreter')) || {};
+    const source = Languages.findLanguage(saved.source);
+    const target = Languages.findLanguage(saved.target);
+    if (!source || !target || source.code === target.code) return defaults;
+
+    return { enabled: saved.enabled === true, source: source.code, target: target.code };
+  } catch (error) {
+    return defaults;
+  }
+}
+
+/**
+ * Save the interpreter mode and language pair
+ * Picking the same language on both sides swaps the pair instead.
+ * @param {Event} event - The change event
+ */
+function changeInterpreterSettings(event) {
+  let source = elements.interpreterSourceSelect.value;
+  let target = elements.interpreterTargetSelect.value;
+
+  if (source === target) {
+    if (event.target === elements.interpreterSourceSelect) {
+      target = appState.interpreter.source;
+    } else {
+      source = appState.interpreter.target;
+    }
+    elements.interpreterSourceSelect.value = source;
+    elements.interpreterTargetSelect.value = target;
+  }
+
+  appState.interpreter = {
+    enabled: elements.interpreterModeSelect.value === 'on',
+    source: source,
+    target: target
+  };
+
+  localStorage.setItem('interpreter', JSON.stringify(appState.interpreter));
+  console.log('🌐 Interpreter mode changed:', appState.interpreter);
+}
+
+/**
+ * Load the voice catalog into the settings panel
+ * A voice is picked per language: choose the language, then its voice.
+ * Saved choices the server no longer offers are dropped, so turns never
+ * send a voice the server would reject.
+ */
+async function setupVoicePicker() {
+  if (!elements.voiceLanguageSelect) return;
+
+  try {
+    appState.voiceCatalog = await API.listVoices();
+  } catch (error) {
+    console.warn('⚠️ Could not load voices:', error);
+    return;
+  }
+
+  const saved = loadSavedVoicePreferences();
+  Object.keys(saved).forEach(language => {
+    if (voicesForLanguage(language).some(voice => voice.id === saved[language])) {
+      appState.voicePreferences[language] = saved[language];
+    }
+  });
+
+  const languageNames = window.Intl && Intl.DisplayNames
+    ? new Intl.DisplayNames([navigator.language, 'en'], { type: 'language' })
+    : null;
+
+  elements.voiceLanguageSelect.innerHTML = '';
+  appState.voiceCatalog.languages
+    .map(language => ({ language, name: languageNames ? languageNames.of(language) : language }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(({ language, name }) => elements.voiceLanguageSelect.appendChild(new Option(name, language)));
+
+  const currentLanguage = Languages.languageCode(appState.currentLanguage);
+  elements.voiceLanguageSelect.value = appState.voiceCatalog.languages.includes(currentLanguage) ? currentLanguage : 'en';
+  showVoicesForLanguage();
+
+  elements.voiceLanguageSelect.addEventListener('change', showVoicesForLanguage);
+  elements.voiceSelect.addEventListener('change', changeVoicePreference);
+
+  console.log('🗣️ Voice preferences:', appState.voicePreferences);
+}
+
+/**
+ * Voices from the catalog that can speak a language
+ * @param {string} language - Language code, e.g. 'de'
+ * @returns {Array<object>}
+ */
+function voicesForLanguage(language) {
+  return appState.voiceCatalog.voices.filter(voice =>
+    voice.language === null || Languages.languageCode(voice.language) === language);
+}
+
+/**
+ * Fill the voice picker with the selected language's voices
+ */
+function showVoicesForLanguage() {
+  const language = elements.voiceLanguageSelect.value;
+
+  elements.voiceSelect.innerHTML = '';
+  elements.voiceSelect.appendChild(new Option('Default', ''));
+  voicesForLanguage(language).forEach(voice => {
+    const details = [voice.provider, voice.gender, voice.tier].join(', ');
+    elements.voiceSelect.appendChild(new Option(`${voice.id} (${details})`, voice.id));
+  });
+
+  elements.voiceSelect.value = appState.voicePreferences[language] || '';
+}
+
+/**
+ * Read the voices picked earlier
+ * @returns {object} - Voice ids keyed by language
+ */
+function loadSavedVoicePreferences() {
+  try {
+    return JSON.parse(localStorage.getItem('voicePreferences')) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save the voice picked for the selected language
+ */
+function changeVoicePreference() {
+  const language = elements.voiceLanguageSelect.value;
+
+  if (elements.voiceSelect.value) {
+    appState.voicePreferences[language] = elements.voiceSelect.value;
+  } else {
+    delete appState.voicePreferences[language];
+  }
+
+  localStorage.setItem('voicePreferences', JSON.stringify(appState.voicePreferences));
+  console.log('🗣️ Voice preferences changed:', appState.voicePreferences);
+}
+
+// Speaking style sliders: setting name, default, and how to show the value
+const PROSODY_CONTROLS = [
+  { name: 'rate', input: 'rateInput', output: 'rateValue', defaultValue: 1, format: value => `${value}×` },
+  { name: 'pitch', input: 'pitchInput', output: 'pitchValue', defaultValue: 0, format: value => `${value > 0 ? '+' : ''}${value} st` },
+  { name: 'volume', input: 'volumeInput', output: 'volumeValue', defaultValue: 0, format: value => `${value > 0 ? '+' : ''}${value} dB` }
+];
+
+/**
+ * Load the saved speaking style into the sliders and the speech wrapper
+ */
+function setupSpeakingStyle() {
+  appState.prosody = loadSavedProsody();
+  appState.textToSpeech.setProsody(appState.prosody);
+
+  PROSODY_CONTROLS.forEach(control => {
+    const input = elements[control.input];
+    if (!input) return;
+
+    const value = appState.prosody[control.name] !== undefined ? appState.prosody[control.name] : control.defaultValue;
+    input.value = value;
+    showProsodyValue(control, value);
+
+    input.addEventListener('input', () => showProsodyValue(control, parseFloat(input.value)));
+    input.addEventListener('change', () => changeProsody(control, parseFloat(input.value)));
+  });
+}
+
+/**
+ * Show a slider's value next to its label
+ * @param {object} control - Entry of PROSODY_CONTROLS
+ * @param {number} value
+ */
+function showProsodyValue(control, value) {
+  const output = document.getElementById(control.output);
+  if (output) {
+    output.textContent = control.format(value);
+  }
+}
+
+/**
+ * Read the speaking style saved earlier
+ * @returns {object} - { rate, pitch, volume } (any may be missing)
+ */
+function loadSavedProsody() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('prosody')) || {};
+    const prosody = {};
+    PROSODY_CONTROLS.forEach(({ name }) => {
+      if (typeof saved[name] === 'number' && Number.isFinite(saved[name])) {
+        prosody[name] = saved[name];
+      }
+    });
+    return prosody;
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save a changed slider; defaults are left out of what is sent
+ * @param {object} control - Entry of PROSODY_CONTROLS
+ * @param {number} value
+ */
+function changeProsody(control, value) {
+  if (value === control.defaultValue) {
+    delete appState.prosody[control.name];
+  } else {
+    appState.prosody[control.name] = value;
+  }
+
+  appState.textToSpeech.setProsody(appState.prosody);
+  localStorage.setItem('prosody', JSON.stringify(appState.prosody));
+  console.log('🎚️ Speaking style changed:', appState.prosody);
+}
+
+/**
+ * Setup the camera and image picker buttons
+ */
+function setupAttachmentControls() {
+  [elements.cameraInput, elements.imageInput].forEach(input => {
+    if (!input) return;
+
+    input.addEventListener('change', async () => {
+      const files = Array.from(input.files);
+      input.value = '';  // Allow picking the same file again
+      await addPendingImages(files);
+    });
+  });
+}
+
+/**
+ * Attach images to the next message
+ * @param {Array<File>} files - Images from the camera or file picker
+ */
+async function addPendingImages(files) {
+  for (const file of files) {
+    if (appState.pendingImages.length >= MAX_ATTACHED_IMAGES) {
+      updateStatus(`At most ${MAX_ATTACHED_IMAGES} images per message`);
+      break;
+    }
+
+    try {
+      const blob = await ImageAttachments.prepare(file);
+      appState.pendingImages.push({ blob, url: URL.createObjectURL(blob) });
+    } catch (error) {
+      console.error('Could not attach image:', error);
+      updateStatus(error.message);
+    }
+  }
+
+  renderAttachmentPreviews();
+}
+
+/**
+ * Take the pending images for the message being sent
+ * @returns {Array<{blob: Blob, url: string}>}
+ */
+function takePendingImages() {
+  const images = appState.pendingImages;
+  appState.pendingImages = [];
+  renderAttachmentPreviews();
+  return images;
+}
+
+/**
+ * Put images back for the next attempt (the turn they were taken for failed)
+ * @param {Array<{blob: Blob, url: string}>} images
+ */
+function restorePendingImages(images) {
+  appState.pendingImages = [...images, ...appState.pendingImages].slice(0, MAX_ATTACHED_IMAGES);
+  renderAttachmentPreviews();
+}
+
+/**
+ * Show the pending images as removable thumbnails
+ */
+function renderAttachmentPreviews() {
+  if (!elements.attachmentPreviews) return;
+
+  elements.attachmentPreviews.innerHTML = '';
+
+  appState.pendingImages.forEach((image, index) => {
+    const preview = document.createElement('div');
+    preview.className = 'attachment-preview';
+
+    const thumbnail = document.createElement('img');
+    thumbnail.src = image.url;
+    thumbnail.alt = 'Image to send';
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'attachment-remove';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove image';
+    removeButton.addEventListener('click', () => {
+      const [removed] = appState.pendingImages.splice(index, 1);
+      URL.revokeObjectURL(removed.url);
+      renderAttachmentPreviews();
+    });
+
+    preview.appendChild(thumbnail);
+    preview.appendChild(removeButton);
+    elements.attachmentPreviews.appendChild(preview);
+  });
+}
+
+/**
+ * Setup single-request mode toggle
+ * When on, each turn uses /api/voice-turn instead of separate
+ * transcribe, chat and text-to-speech requests
+ */
+function setupVoiceTurnToggle() {
+  // Load saved preference from localStorage
+  appState.voiceTurnMode = localStorage.getItem('voiceTurnMode') === 'true';
+  console.log('⚡ Single-request mode:', appState.voiceTurnMode);
+
+  if (!elements.voiceTurnToggle) return;
+
+  elements.voiceTurnToggle.checked = appState.voiceTurnMode;
+
+  elements.voiceTurnToggle.addEventListener('change', () => {
+    appState.voiceTurnMode = elements.voiceTurnToggle.checked;
+    localStorage.setItem('voiceTurnMode', appState.voiceTurnMode);
+    console.log('⚡ Single-request mode changed:', appState.voiceTurnMode);
+  });
+}
+
+/**
+ * Setup live streaming toggle
+ * When on, audio is streamed to /api/voice-stream while recording, so the
+ * transcript and reply start sooner
+ */
+function setupLiveStreamToggle() {
+  // Load saved preference from localStorage
+  appState.liveStreamMode = localStorage.getItem('liveStreamMode') === 'true';
+  appState.speechRecognition.setStreamingMode(appState.liveStreamMode);
+  console.log('📡 Live streaming mode:', appState.liveStreamMode);
+
+  if (!elements.liveStreamToggle) return;
+
+  elements.liveStreamToggle.checked = appState.liveStreamMode;
+
+  elements.liveStreamToggle.addEventListener('change', () => {
+    appState.liveStreamMode = elements.liveStreamToggle.checked;
+    appState.speechRecognition.setStreamingMode(appState.liveStreamMode);
+    localStorage.setItem('liveStreamMode', appState.liveStreamMode);
+    console.log('📡 Live streaming mode changed:', appState.liveStreamMode);
+  });
+}
+
 /**
  * Setup test audio button for troubleshooting
  */
@@ -654,7 +2583,8 @@ function setupTestAudioButton() {
       console.log('🔊 Playing test audio:', testText);
 
       const success = await appState.textToSpeech.speak(testText, {
-        language: 'en'
+        language: 'en',
+        voice: appState.voicePreferences.en
       });
 
       console.log('🎯 Test result:', success);
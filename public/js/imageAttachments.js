@@ -0,0 +1,51 @@
+/**
+ * Image Attachments
+ * Prepares camera photos and picked images for upload
+ */
+
+const ImageAttachments = {
+  // Claude downscales anything larger, so don't upload the extra pixels
+  maxDimension: 1568,
+
+  // Server (and Claude) limit per image
+  maxBytes: 5 * 1024 * 1024,
+
+  supportedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+
+  /**
+   * Get an image ready to upload: resized if it is too large, converted to
+   * JPEG if the server can't accept its format (e.g. HEIC from a phone camera)
+   * @param {File} file - Image from the camera or file picker
+   * @returns {Promise<Blob>} - The image to upload
+   */
+  async prepare(file) {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch (error) {
+      throw new Error(`Can't read image "${file.name}"`);
+    }
+
+    const scale = Math.min(1, this.maxDimension / Math.max(bitmap.width, bitmap.height));
+    const usableAsIs = scale === 1 && file.size <= this.maxBytes && this.supportedTypes.includes(file.type);
+
+    if (usableAsIs) {
+      bitmap.close();
+      return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+    if (!blob) {
+      throw new Error(`Can't convert image "${file.name}"`);
+    }
+
+    console.log(`🖼️ Resized ${file.name}: ${file.size} → ${blob.size} bytes (${canvas.width}x${canvas.height})`);
+    return blob;
+  }
+};
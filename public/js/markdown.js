@@ -0,0 +1,498 @@
+/**
+ * Markdown Renderer
+ * Renders assistant replies as safe markdown. Output is built from DOM nodes
+ * (never innerHTML), so raw HTML in a reply shows up as text. Only the
+ * elements below are produced, and links only to http(s) and mailto.
+ * Code blocks get syntax highlighting and a copy button.
+ */
+
+const Markdown = {
+  /**
+   * Code highlighting rules per language: keywords, and how comments start
+   */
+  CODE_LANGUAGES: {
+    javascript: {
+      aliases: ['js', 'jsx', 'ts', 'tsx', 'typescript', 'json', 'mjs', 'cjs'],
+      keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof interface let new null of return static super switch this throw true try type typeof undefined var void while yield',
+      lineComment: '//',
+      blockComment: true
+    },
+    python: {
+      aliases: ['py'],
+      keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self',
+      lineComment: '#'
+    },
+    shell: {
+      aliases: ['sh', 'bash', 'zsh', 'console', 'shell-session'],
+      keywords: 'if then else elif fi for while until do done case esac function in return export local echo cd sudo',
+      lineComment: '#'
+    },
+    c: {
+      aliases: ['cpp', 'c++', 'h', 'cs', 'csharp', 'java', 'go', 'rust', 'rs', 'swift', 'kotlin', 'kt', 'php', 'dart', 'scala'],
+      keywords: 'auto bool break case catch char class const continue default do double else enum extends false final float fn for func go if impl implements import int interface let long match mod namespace new nil null package private protected pub public return self static string struct super switch this throw true try typedef use using var void while',
+      lineComment: '//',
+      blockComment: true
+    },
+    ruby: {
+      aliases: ['rb'],
+      keywords: 'begin class def do else elsif end ensure false if in module next nil not or require rescue return self then true unless until when while yield',
+      lineComment: '#'
+    },
+    sql: {
+      aliases: [],
+      keywords: 'select from where and or not insert into values update set delete create table drop alter index join left right inner outer on as group by order limit having null is in like distinct primary key',
+      lineComment: '--',
+      blockComment: true,
+      ignoreCase: true
+    },
+    css: {
+      aliases: ['scss', 'less'],
+      keywords: 'important media import from to',
+      blockComment: true
+    },
+    yaml: {
+      aliases: ['yml', 'toml', 'ini'],
+      keywords: 'true false null yes no',
+      lineComment: '#'
+    }
+  },
+
+  // Compiled token patterns, by language name
+  highlighters: {},
+
+  /**
+   * Render markdown into a fragment of safe DOM nodes
+   * @param {string} markdown - Assistant text (may be incomplete while streaming)
+   * @returns {DocumentFragment}
+   */
+  render(markdown) {
+    const fragment = document.createDocumentFragment();
+    this.renderBlocks((markdown || '').replace(/\r\n?/g, '\n').split('\n'), fragment);
+    return fragment;
+  },
+
+  /**
+   * Render block-level markdown
+   * @param {Array<string>} lines
+   * @param {Node} parent - Where to append the blocks
+   */
+  renderBlocks(lines, parent) {
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+
+      // Fenced code block (unclosed while the reply is still streaming)
+      const fence = line.match(/^\s*(```+|~~~+)\s*([\w+#.-]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        parent.appendChild(this.codeBlock(code.join('\n'), fence[2]));
+        continue;
+      }
+
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        const element = document.createElement(`h${heading[1].length}`);
+        this.renderInline(heading[2], element);
+        parent.appendChild(element);
+        i++;
+        continue;
+      }
+
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        parent.appendChild(document.createElement('hr'));
+        i++;
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+          i++;
+        }
+        const blockquote = document.createElement('blockquote');
+        this.renderBlocks(quoted, blockquote);
+        parent.appendChild(blockquote);
+        continue;
+      }
+
+      if (this.isListItem(line)) {
+        i = this.renderList(lines, i, parent);
+        continue;
+      }
+
+      // A table needs a header row followed by a separator row
+      if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+        i = this.renderTable(lines, i, parent);
+        continue;
+      }
+
+      // Paragraph: everything up to a blank line or another block
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !this.startsBlock(lines[i]))) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      const element = document.createElement('p');
+      this.renderInline(paragraph.join('\n'), element);
+      parent.appendChild(element);
+    }
+  },
+
+  /**
+   * Whether a line starts a block other than a paragraph
+   * @param {string} line
+   * @returns {boolean}
+   */
+  startsBlock(line) {
+    return /^\s*(```|~~~|#{1,6}\s|>)/.test(line) || this.isListItem(line);
+  },
+
+  /**
+   * Whether a line is a list item
+   * @param {string} line
+   * @returns {boolean}
+   */
+  isListItem(line) {
+    return /^\s*([-*+]|\d{1,9}[.)])\s+/.test(line);
+  },
+
+  /**
+   * Render a (possibly nested) list starting at a line
+   * @param {Array<string>} lines
+   * @param {number} start - Index of the first item
+   * @param {Node} parent
+   * @returns {number} - Index of the first line after the list
+   */
+  renderList(lines, start, parent) {
+    const first = lines[start].match(/^(\s*)([-*+]|\d{1,9}[.)])\s+/);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && parseInt(first[2], 10) !== 1) {
+      list.start = parseInt(first[2], 10);
+    }
+
+    let i = start;
+    while (i < lines.length) {
+      const item = lines[i].match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+      if (!item || item[1].length < indent) break;
+
+      // A deeper item starts a nested list inside the previous one
+      if (item[1].length > indent && list.lastElementChild) {
+        i = this.renderList(lines, i, list.lastElementChild);
+        continue;
+      }
+      if (item[1].length > indent || /\d/.test(item[2]) !== ordered) break;
+
+      const li = document.createElement('li');
+      const text = [item[3]];
+      i++;
+
+      // Continuation lines (indented, not a new item)
+      while (i < lines.length && lines[i].trim() !== '' && !this.isListItem(lines[i]) && /^\s+/.test(lines[i])) {
+        text.push(lines[i].trim());
+        i++;
+      }
+
+      this.renderInline(text.join('\n'), li);
+      list.appendChild(li);
+
+      // A blank line between items keeps the list going
+      if (i + 1 < lines.length && lines[i] !== undefined && lines[i].trim() === '' && this.isListItem(lines[i + 1])) {
+        i++;
+      }
+    }
+
+    parent.appendChild(list);
+    return i;
+  },
+
+  /**
+   * Render a table starting at its header row
+   * @param {Array<string>} lines
+   * @param {number} start - Index of the header row
+   * @param {Node} parent
+   * @returns {number} - Index of the first line after the table
+   */
+  renderTable(lines, start, parent) {
+    const cells = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    cells(lines[start]).forEach(cell => {
+      const th = document.createElement('th');
+      this.renderInline(cell, th);
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    let i = start + 2;
+    while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+      const row = document.createElement('tr');
+      cells(lines[i]).forEach(cell => {
+        const td = document.createElement('td');
+        this.renderInline(cell, td);
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+      i++;
+    }
+    table.appendChild(tbody);
+
+    // Wide tables scroll instead of stretching the bubble
+    const wrapper = document.createElement('div');
+    wrapper.className = 'markdown-table';
+    wrapper.appendChild(table);
+    parent.appendChild(wrapper);
+    return i;
+  },
+
+  /**
+   * Render inline markdown (code, links, emphasis, line breaks)
+   * @param {string} text
+   * @param {Node} parent
+   */
+  renderInline(text, parent) {
+    const patterns = {
+      escape: /\\([\\`*_{}[\]()#+\-.!~|>])/y,
+      code: /(`+)([\s\S]*?[^`])\1(?!`)/y,
+      link: /!?\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/y,
+      url: /https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/y,
+      strong: /(\*\*|__)(?=\S)([\s\S]*?\S)\1/y,
+      em: /(\*|_)(?=[^\s*_])([\s\S]*?[^\s*_])\1(?![*_\w])/y,
+      del: /~~(?=\S)([\s\S]*?\S)~~/y
+    };
+
+    let buffer = '';
+    const flush = () => {
+      if (buffer) {
+        parent.appendChild(document.createTextNode(buffer));
+        buffer = '';
+      }
+    };
+    const at = (name, index) => {
+      patterns[name].lastIndex = index;
+      return patterns[name].exec(text);
+    };
+
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      const previous = i > 0 ? text[i - 1] : ' ';
+      let match;
+
+      if (char === '\\' && (match = at('escape', i))) {
+        buffer += match[1];
+      } else if (char === '`' && (match = at('code', i))) {
+        flush();
+        const code = document.createElement('code');
+        code.textContent = match[2].replace(/^ (.*) $/, '$1');
+        parent.appendChild(code);
+      } else if ((char === '[' || char === '!') && (match = at('link', i))) {
+        flush();
+        parent.appendChild(this.link(match[2], match[1]));
+      } else if (char === 'h' && !/\w/.test(previous) && (match = at('url', i))) {
+        flush();
+        parent.appendChild(this.link(match[0]));
+      } else if ((char === '*' || char === '_') && !(char === '_' && /\w/.test(previous)) && (match = at('strong', i))) {
+        flush();
+        const strong = document.createElement('strong');
+        this.renderInline(match[2], strong);
+        parent.appendChild(strong);
+      } else if ((char === '*' || char === '_') && !(char === '_' && /\w/.test(previous)) && (match = at('em', i))) {
+        flush();
+        const em = document.createElement('em');
+        this.renderInline(match[2], em);
+        parent.appendChild(em);
+      } else if (char === '~' && (match = at('del', i))) {
+        flush();
+        const del = document.createElement('del');
+        this.renderInline(match[1], del);
+        parent.appendChild(del);
+      } else if (char === '\n') {
+        flush();
+        parent.appendChild(document.createElement('br'));
+      }
+
+      if (match) {
+        i += match[0].length;
+      } else {
+        if (char !== '\n') buffer += char;
+        i++;
+      }
+    }
+
+    flush();
+  },
+
+  /**
+   * Create a link, or plain text for URLs that aren't http(s) or mailto
+   * @param {string} href
+   * @param {string} label - Link text as markdown (optional; defaults to the URL)
+   * @returns {Node}
+   */
+  link(href, label) {
+    if (!/^(https?:\/\/|mailto:)/i.test(href)) {
+      return document.createTextNode(label || href);
+    }
+
+    const a = document.createElement('a');
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    if (label) {
+      this.renderInline(label, a);
+    } else {
+      a.textContent = href;
+    }
+    return a;
+  },
+
+  /**
+   * Create a highlighted code block with a copy button
+   * @param {string} code
+   * @param {string} language - The fence's language tag (may be empty)
+   * @returns {HTMLElement}
+   */
+  codeBlock(code, language) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'code-block';
+
+    const header = document.createElement('div');
+    header.className = 'code-block-header';
+
+    const label = document.createElement('span');
+    label.textContent = language || 'code';
+    header.appendChild(label);
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'code-copy-btn';
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', () => this.copy(code, copyButton));
+    header.appendChild(copyButton);
+
+    const pre = document.createElement('pre');
+    const codeElement = document.createElement('code');
+    codeElement.appendChild(this.highlight(code, language));
+    pre.appendChild(codeElement);
+
+    wrapper.appendChild(header);
+    wrapper.appendChild(pre);
+    return wrapper;
+  },
+
+  /**
+   * Copy a code block to the clipboard
+   * @param {string} code
+   * @param {HTMLButtonElement} button - Shows the result briefly
+   */
+  async copy(code, button) {
+    try {
+      await navigator.clipboard.writeText(code);
+      button.textContent = 'Copied';
+    } catch (error) {
+      console.warn('Could not copy code:', error);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+  },
+
+  /**
+   * Find the highlighting rules for a fence's language tag
+   * @param {string} language
+   * @returns {object|null} - { pattern, keywords } or null for plain text
+   */
+  highlighter(language) {
+    const tag = (language || '').toLowerCase();
+    const name = Object.keys(this.CODE_LANGUAGES).find(candidate =>
+      candidate === tag || this.CODE_LANGUAGES[candidate].aliases.includes(tag));
+    if (!name) return null;
+
+    if (!this.highlighters[name]) {
+      const rules = this.CODE_LANGUAGES[name];
+      const escape = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      const comments = [
+        rules.lineComment && `${escape(rules.lineComment)}.*`,
+        rules.blockComment && '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'
+      ].filter(Boolean);
+
+      this.highlighters[name] = {
+        // Groups: comment, string, number, word
+        pattern: new RegExp([
+          comments.length > 0 ? `(${comments.join('|')})` : '(?!)',
+          '("(?:\\\\.|[^"\\\\\\n])*"?|\'(?:\\\\.|[^\'\\\\\\n])*\'?|`(?:\\\\.|[^`\\\\])*`?)',
+          '\\b(\\d+(?:\\.\\d+)?)\\b',
+          '([A-Za-z_$][\\w$]*)'
+        ].join('|'), 'g'),
+        keywords: new Set(rules.keywords.split(' ').map(word => (rules.ignoreCase ? word.toLowerCase() : word))),
+        ignoreCase: Boolean(rules.ignoreCase)
+      };
+    }
+    return this.highlighters[name];
+  },
+
+  /**
+   * Highlight code as text nodes and classed spans
+   * @param {string} code
+   * @param {string} language
+   * @returns {DocumentFragment}
+   */
+  highlight(code, language) {
+    const fragment = document.createDocumentFragment();
+    const rules = this.highlighter(language);
+
+    if (!rules) {
+      fragment.appendChild(document.createTextNode(code));
+      return fragment;
+    }
+
+    const span = (className, text) => {
+      const element = document.createElement('span');
+      element.className = className;
+      element.textContent = text;
+      return element;
+    };
+
+    let last = 0;
+    let match;
+    rules.pattern.lastIndex = 0;
+    while ((match = rules.pattern.exec(code)) !== null) {
+      const [token, comment, string, number, word] = match;
+      let element = null;
+
+      if (comment) element = span('hl-comment', token);
+      else if (string) element = span('hl-string', token);
+      else if (number) element = span('hl-number', token);
+      else if (word && rules.keywords.has(rules.ignoreCase ? word.toLowerCase() : word)) element = span('hl-keyword', token);
+
+      if (element) {
+        if (match.index > last) fragment.appendChild(document.createTextNode(code.slice(last, match.index)));
+        fragment.appendChild(element);
+        last = match.index + token.length;
+      }
+
+      if (token.length === 0) rules.pattern.lastIndex++;
+    }
+    if (last < code.length) fragment.appendChild(document.createTextNode(code.slice(last)));
+
+    return fragment;
+  }
+};
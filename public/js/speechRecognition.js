@@ -1,8 +1,17 @@
 /**
  * Audio Recording Wrapper using MediaRecorder API
- * Handles audio recording for transcription via OpenAI Whisper API
+ * Handles audio recording for transcription by the server's speech-to-text provider.
+ * In streaming mode each chunk is also sent to the server over a
+ * VoiceStreamClient while recording is still going on. In hands-free mode a
+ * VoiceActivityDetector stops the recording once the speaker goes quiet, and
+ * recordings without any speech are discarded. Between recordings the
+ * microphone can be monitored (without recording) to notice the user talking
+ * over a reply.
  */
 
+// Hands-free recordings with no speech at all stop (and are discarded) after this long
+const HANDS_FREE_NO_SPEECH_TIMEOUT_MS = 10000;
+
 class SpeechRecognitionWrapper {
   constructor() {
     // Check for MediaRecorder API support
@@ -19,12 +28,138 @@ class SpeechRecognitionWrapper {
     this.isRecording = false;
     this.isStarting = false;
     this.pendingStop = false;
+    this.mimeType = null;
+    this.streamingMode = false;
+    this.voiceStream = null;  // Socket for the current recording (streaming mode only)
+    this.handsFree = null;  // { threshold, hangoverMs } in hands-free mode
+    this.voiceActivity = null;  // Detector for the current recording (hands-free mode only)
+    this.noSpeechTimer = null;
+    this.monitor = null;  // { stream, detector } while listening for barge-in
 
     // Callback handlers
     this.onResult = null;
     this.onError = null;
     this.onEnd = null;
     this.onStart = null;
+    this.onSpeechStart = null;  // Hands-free mode: the user started speaking
+    this.onDiscard = null;  // Hands-free mode: a recording had no speech and was dropped
+  }
+
+  /**
+   * Stop recordings automatically at the end of speech
+   * @param {object|null} options - { threshold (dBFS), hangoverMs } (see VoiceActivityDetector),
+   *   or null to stop only when asked
+   */
+  setHandsFree(options) {
+    this.handsFree = options && VoiceActivityDetector.isSupported() ? options : null;
+  }
+
+  /**
+   * Watch the current recording for speech (hands-free mode only)
+   */
+  startVoiceActivity() {
+    if (!this.handsFree) return;
+
+    this.voiceActivity = new VoiceActivityDetector(this.stream, {
+      ...this.handsFree,
+      onSpeechStart: () => {
+        clearTimeout(this.noSpeechTimer);
+        if (this.onSpeechStart) this.onSpeechStart();
+      },
+      onSpeechEnd: () => this.stop()
+    });
+
+    // Don't keep the microphone open forever if nobody speaks
+    this.noSpeechTimer = setTimeout(() => {
+      console.log('No speech heard, stopping');
+      this.stop();
+    }, HANDS_FREE_NO_SPEECH_TIMEOUT_MS);
+  }
+
+  /**
+   * Stop watching the recording for speech
+   * @returns {boolean} - Whether speech was heard (always true outside hands-free mode)
+   */
+  stopVoiceActivity() {
+    clearTimeout(this.noSpeechTimer);
+    if (!this.voiceActivity) return true;
+
+    const speechDetected = this.voiceActivity.speechDetected;
+    this.voiceActivity.stop();
+    this.voiceActivity = null;
+    return speechDetected;
+  }
+
+  /**
+   * Listen for the user starting to speak without recording anything
+   * Used to notice the user talking over a reply. Monitoring stops by itself
+   * when speech is heard or a recording starts.
+   * @param {object} options - VoiceActivityDetector options ({ threshold, onsetMs })
+   * @param {Function} onSpeech - Called once when speech starts
+   * @returns {Promise<boolean>} - Whether monitoring started
+   */
+  async startMonitoring(options, onSpeech) {
+    if (!this.supported || !VoiceActivityDetector.isSupported()) return false;
+
+    this.stopMonitoring();
+    const monitor = { stream: null, detector: null };
+    this.monitor = monitor;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+      });
+
+      // Stopped while the microphone was being opened
+      if (this.monitor !== monitor) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+      }
+
+      monitor.stream = stream;
+      monitor.detector = new VoiceActivityDetector(stream, {
+        ...options,
+        onSpeechStart: () => {
+          this.stopMonitoring();
+          onSpeech();
+        }
+      });
+      return true;
+    } catch (error) {
+      console.warn('Could not monitor the microphone:', error.message);
+      if (this.monitor === monitor) this.monitor = null;
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening for speech between recordings
+   */
+  stopMonitoring() {
+    const monitor = this.monitor;
+    if (!monitor) return;
+
+    this.monitor = null;
+    if (monitor.detector) monitor.detector.stop();
+    if (monitor.stream) monitor.stream.getTracks().forEach(track => track.stop());
+  }
+
+  /**
+   * Stream recordings to the server as they are made
+   * @param {boolean} enabled
+   */
+  setStreamingMode(enabled) {
+    this.streamingMode = enabled;
+  }
+
+  /**
+   * Give up on the current recording's stream (if any)
+   */
+  cancelStream() {
+    if (this.voiceStream) {
+      this.voiceStream.cancel();
+      this.voiceStream = null;
+    }
   }
 
   /**
@@ -42,6 +177,8 @@ class SpeechRecognitionWrapper {
       return false;
     }
 
+    this.stopMonitoring();
+
     // Check microphone permission
     try {
       if (navigator.permissions) {
@@ -64,6 +201,11 @@ class SpeechRecognitionWrapper {
       this.pendingStop = false;
       this.audioChunks = [];
 
+      // Connect while the microphone permission is being granted
+      if (this.streamingMode) {
+        this.voiceStream = new VoiceStreamClient();
+      }
+
       // Request microphone access
       this.stream = await navigator.mediaDevices.getUserMedia({
         audio: {
@@ -76,6 +218,9 @@ class SpeechRecognitionWrapper {
 
       console.log('✅ Microphone access granted');
 
+      // Hands-free mode: listen for the start and end of speech
+      this.startVoiceActivity();
+
       // Determine the best MIME type for recording
       let mimeType = 'audio/webm';
       if (MediaRecorder.isTypeSupported('audio/webm;codecs=opus')) {
@@ -87,6 +232,7 @@ class SpeechRecognitionWrapper {
       }
 
       console.log('Using MIME type:', mimeType);
+      this.mimeType = mimeType;
 
       // Create MediaRecorder
       this.mediaRecorder = new MediaRecorder(this.stream, {
@@ -98,6 +244,10 @@ class SpeechRecognitionWrapper {
         if (event.data.size > 0) {
           this.audioChunks.push(event.data);
           console.log('📦 Audio chunk received, size:', event.data.size);
+
+          if (this.voiceStream) {
+            this.voiceStream.sendAudio(event.data);
+          }
         }
       };
 
@@ -126,6 +276,7 @@ class SpeechRecognitionWrapper {
         this.isRecording = false;
         this.isStarting = false;
         this.pendingStop = false;
+        const speechDetected = this.stopVoiceActivity();
 
         // Stop all tracks
         if (this.stream) {
@@ -133,17 +284,38 @@ class SpeechRecognitionWrapper {
           this.stream = null;
         }
 
-        // Create blob from chunks
-        if (this.audioChunks.length > 0) {
+        // The stream (if any) is handed to onResult; the next recording gets a new one
+        const voiceStream = this.voiceStream;
+        this.voiceStream = null;
+
+        // Nothing was said: don't send silence to be transcribed
+        if (!speechDetected) {
+          console.log('🗑️ No speech in the recording, discarding it');
+          if (voiceStream) {
+            voiceStream.cancel();
+          }
+          if (this.onDiscard) {
+            this.onDiscard();
+          }
+        } else if (this.audioChunks.length > 0) {
+          // Create blob from chunks
           const audioBlob = new Blob(this.audioChunks, { type: mimeType });
           console.log('✅ Created audio blob, size:', audioBlob.size);
 
-          // Call onResult with the audio blob
+          // Every chunk has been streamed; ask the server for the transcript
+          if (voiceStream) {
+            voiceStream.stop();
+          }
+
+          // Call onResult with the audio blob (and its stream in streaming mode)
           if (this.onResult) {
-            this.onResult(audioBlob);
+            this.onResult(audioBlob, voiceStream);
           }
         } else {
           console.warn('⚠️ No audio chunks collected');
+          if (voiceStream) {
+            voiceStream.cancel();
+          }
           if (this.onError) {
             this.onError('no-speech');
           }
@@ -163,6 +335,8 @@ class SpeechRecognitionWrapper {
         this.isRecording = false;
         this.isStarting = false;
         this.pendingStop = false;
+        this.cancelStream();
+        this.stopVoiceActivity();
 
         // Stop stream
         if (this.stream) {
@@ -184,6 +358,8 @@ class SpeechRecognitionWrapper {
       console.error('❌ Error starting recording:', error);
       console.error('Error details:', error.message, error.name);
       this.isStarting = false;
+      this.cancelStream();
+      this.stopVoiceActivity();
 
       // Stop stream if it was created
       if (this.stream) {
@@ -236,6 +412,8 @@ class SpeechRecognitionWrapper {
       console.error('Error stopping recording:', error);
       this.isRecording = false;
       this.isStarting = false;
+      this.cancelStream();
+      this.stopVoiceActivity();
 
       // Stop stream
       if (this.stream) {
@@ -4,6 +4,9 @@
  * Falls back to Web Speech API if needed
  */
 
+// Roughly how fast Web Speech talks at rate 1, to estimate how much of a sentence was heard
+const WEB_SPEECH_CHARS_PER_SECOND = 15;
+
 class TextToSpeechWrapper {
   constructor() {
     this.supported = true; // Always supported since we use OpenAI TTS
@@ -25,6 +28,13 @@ class TextToSpeechWrapper {
     this.iosUnlocked = false;
     this.audioUnlocked = false; // Track if audio context is unlocked
 
+    // Segment playback queue (sentence-pipelined speech)
+    this.queue = null;
+    this.finishCurrentSegment = null;
+
+    // Server audio being fetched by speak() (aborted by stop())
+    this.speechRequest = null;
+
     // Default configuration
     this.config = {
       rate: 1.0,    // Speed (0.1 to 10)
@@ -33,6 +43,9 @@ class TextToSpeechWrapper {
       lang: 'en-US'
     };
 
+    // Speaking style sent to the server: { rate, pitch (semitones), volume (dB) }
+    this.prosody = {};
+
     // Web Speech API voices (fallback)
     if (window.speechSynthesis) {
       this.voices = [];
@@ -138,10 +151,27 @@ class TextToSpeechWrapper {
     }
   }
 
+  /**
+   * Set the speaking style for every path (server TTS and Web Speech)
+   * Web Speech gets the nearest equivalent: semitones become a pitch factor
+   * and dB a volume factor, within what the browser accepts.
+   * @param {object} prosody - { rate: multiplier, pitch: semitones, volume: dB } (any may be omitted)
+   */
+  setProsody(prosody = {}) {
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    this.prosody = { ...prosody };
+    this.config.rate = clamp(prosody.rate !== undefined ? prosody.rate : 1, 0.1, 10);
+    this.config.pitch = clamp(Math.pow(2, (prosody.pitch || 0) / 12), 0, 2);
+    this.config.volume = clamp(Math.pow(10, (prosody.volume || 0) / 20), 0, 1);
+
+    console.log('🎚️ Speaking style:', this.prosody, 'Web Speech:', this.config);
+  }
+
   /**
    * Speak the given text using OpenAI TTS API or Web Speech API
    * @param {string} text - The text to speak
-   * @param {object} options - Optional configuration including language
+   * @param {object} options - Optional configuration: language, and voice (a server voice id)
    * @returns {Promise<boolean>} - Success status
    */
   async speak(text, options = {}) {
@@ -179,7 +209,12 @@ class TextToSpeechWrapper {
         console.log('🌍 Language:', options.language);
 
         // Get audio blob from API
-        const audioBlob = await API.textToSpeech(text, options.language || 'en');
+        const speechRequest = new AbortController();
+        this.speechRequest = speechRequest;
+        const audioBlob = await API.textToSpeech(text, options.language || 'en', options.voice, this.prosody, {
+          signal: speechRequest.signal
+        });
+        this.speechRequest = null;
 
         console.log('✅ Received audio blob from server, size:', audioBlob.size);
         console.log('📦 Blob type:', audioBlob.type);
@@ -234,6 +269,11 @@ class TextToSpeechWrapper {
           return this.speakWithWebSpeech(text, options);
         }
       } catch (error) {
+        // Stopped while the audio was being fetched
+        if (error.name === 'AbortError') {
+          return false;
+        }
+
         console.error('❌ OpenAI TTS error:', error);
         console.error('Error stack:', error.stack);
         console.log('🔄 Falling back to Web Speech API');
@@ -301,25 +341,16 @@ class TextToSpeechWrapper {
         // Create new utterance
         this.currentUtterance = new SpeechSynthesisUtterance(text);
 
-        // Map language codes
-        let lang = 'en-US';
-        if (options.language) {
-          const detectedLang = options.language.toLowerCase();
-          console.log('🌍 Detected language from options:', detectedLang);
-
-          if (detectedLang === 'ru' || detectedLang === 'russian') {
-            lang = 'ru-RU';
-          } else if (detectedLang === 'en' || detectedLang === 'english') {
-            lang = 'en-US';
-          } else {
-            console.warn('⚠️ Unknown language, using en-US:', detectedLang);
-          }
+        // Map the detected language (e.g. 'german', 'de') to a locale (shared/languages.js)
+        const lang = Languages.languageLocale(options.language || 'en');
+        if (options.language && !Languages.findLanguage(options.language)) {
+          console.warn('⚠️ Unknown language, using', lang + ':', options.language);
         }
 
         // Apply configuration
         this.currentUtterance.rate = options.rate || this.config.rate;
         this.currentUtterance.pitch = options.pitch || this.config.pitch;
-        this.currentUtterance.volume = options.volume || 1.0;
+        this.currentUtterance.volume = options.volume || this.config.volume;
         this.currentUtterance.lang = lang;
 
         console.log('🔊 Utterance config:');
@@ -329,16 +360,16 @@ class TextToSpeechWrapper {
         console.log('  - volume:', this.currentUtterance.volume);
         console.log('  - text length:', text.length);
 
-        // Try to find a good voice for the language
+        // Try to find a good voice for the language (some browsers report 'en_US' or 'no-NO')
         if (this.voices.length > 0) {
-          const voicesForLang = this.voices.filter(voice =>
-            voice.lang.startsWith(lang.split('-')[0])
-          );
+          const code = Languages.languageCode(lang);
+          const voicesForLang = this.voices.filter(voice => Languages.languageCode(voice.lang) === code);
 
           if (voicesForLang.length > 0) {
-            // Prefer local/native voices over network voices
+            // Prefer the exact locale, then local/native voices over network voices
+            const exactVoice = voicesForLang.find(v => Languages.languageLocale(v.lang) === lang);
             const localVoice = voicesForLang.find(v => v.localService);
-            this.currentUtterance.voice = localVoice || voicesForLang[0];
+            this.currentUtterance.voice = exactVoice || localVoice || voicesForLang[0];
             console.log('🎤 Using voice:', this.currentUtterance.voice.name);
           }
         }
@@ -355,6 +386,14 @@ class TextToSpeechWrapper {
         };
 
         this.currentUtterance.onerror = (event) => {
+          // Cancelled by stop() - not a failure worth alerting about
+          if (event.error === 'interrupted' || event.error === 'canceled') {
+            console.log('🛑 Speech interrupted (Web Speech API)');
+            this.currentUtterance = null;
+            resolve(false);
+            return;
+          }
+
           console.error('❌ Speech error:', event.error);
           console.error('Error event:', event);
           this.currentUtterance = null;
@@ -401,6 +440,209 @@ class TextToSpeechWrapper {
     });
   }
 
+  /**
+   * Start a new segment playback queue, replacing any current speech
+   * Segments are played strictly in index order as soon as they arrive
+   * @param {object} options - Playback options including language, and wholeReply when
+   *   the reply is played as a single segment (heardPosition then covers the whole reply)
+   */
+  startQueue(options = {}) {
+    this.stop();
+
+    let resolveDrained;
+    const drained = new Promise((resolve) => {
+      resolveDrained = resolve;
+    });
+
+    this.queue = {
+      options: options,
+      segments: new Map(), // index -> { text, audio, audioUrl }
+      current: null,  // The segment playing now (with startedAt)
+      nextIndex: 0,
+      playing: false,
+      ended: false,
+      drained: drained,
+      resolveDrained: resolveDrained
+    };
+
+    console.log('🎶 Segment queue started');
+  }
+
+  /**
+   * Add a segment to the playback queue
+   * @param {object} segment - { index, text, audioBlob, provider } (audioBlob is null for Web Speech)
+   */
+  enqueueSegment(segment) {
+    if (!this.queue) {
+      console.warn('Segment received without an active queue, ignoring');
+      return;
+    }
+
+    const entry = { text: segment.text, audio: null, audioUrl: null };
+
+    // Preload server audio now so it starts without a gap when its turn comes
+    if (segment.audioBlob && this.useOpenAI) {
+      entry.audioUrl = URL.createObjectURL(segment.audioBlob);
+      entry.audio = new Audio(entry.audioUrl);
+      entry.audio.preload = 'auto';
+      entry.audio.load();
+    }
+
+    console.log(`📥 Segment ${segment.index} queued (${entry.audio ? segment.provider || 'audio' : 'web speech'}):`, segment.text.substring(0, 50));
+
+    this.queue.segments.set(segment.index, entry);
+    this.playNextSegment();
+  }
+
+  /**
+   * Mark the queue as complete (no more segments will arrive)
+   * @returns {Promise<void>} - Resolves when every queued segment has been played
+   */
+  endQueue() {
+    if (!this.queue) {
+      return Promise.resolve();
+    }
+
+    this.queue.ended = true;
+    const drained = this.queue.drained;
+    this.playNextSegment();
+    return drained;
+  }
+
+  /**
+   * Play the next segment in order, if it has arrived and nothing is playing
+   */
+  async playNextSegment() {
+    const queue = this.queue;
+    if (!queue || queue.playing) return;
+
+    const entry = queue.segments.get(queue.nextIndex);
+
+    if (!entry) {
+      // Nothing left to play and nothing more coming
+      if (queue.ended && queue.segments.size === 0) {
+        console.log('✅ Segment queue drained');
+        this.queue = null;
+        queue.resolveDrained();
+      }
+      return;
+    }
+
+    queue.playing = true;
+    queue.segments.delete(queue.nextIndex);
+    queue.current = { ...entry, startedAt: performance.now() };
+
+    await this.playSegment(entry, queue.options);
+
+    // Queue was stopped or replaced while this segment played
+    if (this.queue !== queue) return;
+
+    queue.current = null;
+    queue.playing = false;
+    queue.nextIndex++;
+    this.playNextSegment();
+  }
+
+  /**
+   * Play a single queued segment to completion
+   * @param {object} entry - Queue entry { text, audio, audioUrl }
+   * @param {object} options - Playback options including language
+   * @returns {Promise<boolean>} - Resolves when the segment has finished
+   */
+  playSegment(entry, options) {
+    if (!entry.audio) {
+      return this.speakWithWebSpeech(entry.text, options);
+    }
+
+    return new Promise((resolve) => {
+      const finish = (success) => {
+        if (this.finishCurrentSegment !== finish) return;
+        this.finishCurrentSegment = null;
+        URL.revokeObjectURL(entry.audioUrl);
+        this.currentAudio = null;
+        resolve(success);
+      };
+
+      // stop() calls this so an interrupted segment doesn't hang the queue
+      this.finishCurrentSegment = finish;
+      this.currentAudio = entry.audio;
+
+      entry.audio.onended = () => finish(true);
+
+      entry.audio.onerror = () => {
+        console.error('❌ Segment playback error:', entry.audio.error);
+        finish(false);
+      };
+
+      entry.audio.play().catch((playError) => {
+        console.error('❌ Segment Audio.play() failed:', playError);
+
+        if (this.finishCurrentSegment !== finish) return;
+        this.finishCurrentSegment = null;
+        URL.revokeObjectURL(entry.audioUrl);
+        this.currentAudio = null;
+
+        // Fall back to Web Speech for this segment
+        console.log('🔄 Falling back to Web Speech API for segment');
+        this.speakWithWebSpeech(entry.text, options).then(resolve);
+      });
+    });
+  }
+
+  /**
+   * Roughly how far playback of the queued reply has got
+   * The server cuts the reply at this point to learn what the listener heard.
+   * Call before stop().
+   * @returns {{segments: number, fraction: number, whole: boolean}|null} - Segments played
+   *   to the end and the share of the playing one that has elapsed (for a wholeReply
+   *   queue, the share of the whole reply); null when no queue is playing
+   */
+  heardPosition() {
+    const queue = this.queue;
+    if (!queue) return null;
+
+    const whole = !!queue.options.wholeReply;
+    const current = queue.current;
+    if (!current) {
+      return whole
+        ? { segments: 0, fraction: queue.nextIndex > 0 ? 1 : 0, whole }
+        : { segments: queue.nextIndex, fraction: 0, whole };
+    }
+
+    let progress;
+    if (current.audio && current.audio.duration) {
+      progress = current.audio.currentTime / current.audio.duration;
+    } else {
+      const seconds = (performance.now() - current.startedAt) / 1000;
+      progress = seconds * WEB_SPEECH_CHARS_PER_SECOND * this.config.rate / current.text.length;
+    }
+
+    const fraction = Math.min(1, Math.max(0, progress) || 0);
+    if (whole) {
+      return { segments: 0, fraction, whole };
+    }
+    return fraction >= 1
+      ? { segments: queue.nextIndex + 1, fraction: 0, whole }
+      : { segments: queue.nextIndex, fraction, whole };
+  }
+
+  /**
+   * Wait until nothing is being spoken (queued or not)
+   * @returns {Promise<void>}
+   */
+  whenDone() {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.isSpeaking()) {
+          setTimeout(check, 200);
+        } else {
+          resolve();
+        }
+      };
+      check();
+    });
+  }
+
   /**
    * Stop any ongoing speech
    */
@@ -410,6 +652,24 @@ class TextToSpeechWrapper {
     }
 
     try {
+      // Don't play audio that is still being fetched
+      if (this.speechRequest) {
+        this.speechRequest.abort();
+        this.speechRequest = null;
+      }
+
+      // Drop queued segments
+      if (this.queue) {
+        const queue = this.queue;
+        this.queue = null;
+
+        queue.segments.forEach(entry => {
+          if (entry.audioUrl) URL.revokeObjectURL(entry.audioUrl);
+        });
+        queue.segments.clear();
+        queue.resolveDrained();
+      }
+
       // Stop OpenAI TTS audio
       if (this.currentAudio) {
         this.currentAudio.pause();
@@ -417,6 +677,11 @@ class TextToSpeechWrapper {
         this.currentAudio = null;
       }
 
+      // Release the queue segment that was playing
+      if (this.finishCurrentSegment) {
+        this.finishCurrentSegment(false);
+      }
+
       // Stop Web Speech API
       if (this.synthesis) {
         this.synthesis.cancel();
@@ -470,6 +735,11 @@ class TextToSpeechWrapper {
   isSpeaking() {
     if (!this.supported) return false;
 
+    // Check segment queue (may be between segments)
+    if (this.queue) {
+      return true;
+    }
+
     // Check OpenAI audio
     if (this.currentAudio && !this.currentAudio.paused) {
       return true;
@@ -0,0 +1,115 @@
+/**
+ * Voice Activity Detection
+ * Watches the microphone stream with a Web Audio AnalyserNode and reports
+ * when speech starts and when the speaker has gone quiet again, so hands-free
+ * recordings can stop by themselves
+ */
+
+// How often the input level is checked
+const VAD_SAMPLE_INTERVAL_MS = 50;
+
+class VoiceActivityDetector {
+  /**
+   * Start watching a stream
+   * @param {MediaStream} stream - The microphone stream being recorded
+   * @param {object} options
+   * @param {number} options.threshold - Level in dBFS above which sound counts as speech (e.g. -50)
+   * @param {number} options.hangoverMs - Silence after speech that ends the utterance
+   * @param {number} options.onsetMs - How long the level must stay above the threshold
+   *   to count as speech (ignores clicks and bumps)
+   * @param {Function} options.onSpeechStart - Called when speech starts
+   * @param {Function} options.onSpeechEnd - Called after hangoverMs of silence following speech
+   */
+  constructor(stream, { threshold = -50, hangoverMs = 1200, onsetMs = 150, onSpeechStart, onSpeechEnd } = {}) {
+    this.threshold = threshold;
+    this.hangoverMs = hangoverMs;
+    this.onsetMs = onsetMs;
+    this.onSpeechStart = onSpeechStart || null;
+    this.onSpeechEnd = onSpeechEnd || null;
+
+    this.speechDetected = false;  // Speech was heard at some point in this recording
+    this.speaking = false;
+    this.loudSince = null;
+    this.quietSince = null;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextClass();
+    this.source = this.context.createMediaStreamSource(stream);
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.samples = new Float32Array(this.analyser.fftSize);
+
+    // Analysis only: nothing is connected to the speakers
+    this.source.connect(this.analyser);
+
+    // Safari starts contexts created outside a tap suspended
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(() => {});
+    }
+
+    this.timer = setInterval(() => this.sample(), VAD_SAMPLE_INTERVAL_MS);
+  }
+
+  /**
+   * Check whether the browser can analyse microphone input
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  /**
+   * Measure the current input level
+   * @returns {number} - RMS level in dBFS (-Infinity for digital silence)
+   */
+  level() {
+    this.analyser.getFloatTimeDomainData(this.samples);
+
+    let sum = 0;
+    for (let i = 0; i < this.samples.length; i++) {
+      sum += this.samples[i] * this.samples[i];
+    }
+    const rms = Math.sqrt(sum / this.samples.length);
+    return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  }
+
+  /**
+   * Compare the level with the threshold and track speech onset and end
+   */
+  sample() {
+    const now = performance.now();
+
+    if (this.level() >= this.threshold) {
+      this.quietSince = null;
+      if (this.loudSince === null) this.loudSince = now;
+
+      if (!this.speaking && now - this.loudSince >= this.onsetMs) {
+        this.speaking = true;
+        this.speechDetected = true;
+        console.log('🗣️ Speech started');
+        if (this.onSpeechStart) this.onSpeechStart();
+      }
+      return;
+    }
+
+    this.loudSince = null;
+    if (!this.speaking) return;
+
+    if (this.quietSince === null) this.quietSince = now;
+    if (now - this.quietSince >= this.hangoverMs) {
+      this.speaking = false;
+      this.quietSince = null;
+      console.log('🤫 Speech ended');
+      if (this.onSpeechEnd) this.onSpeechEnd();
+    }
+  }
+
+  /**
+   * Stop watching and release the audio context
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.source.disconnect();
+    this.context.close().catch(() => {});
+  }
+}
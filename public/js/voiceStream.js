@@ -0,0 +1,196 @@
+/**
+ * Realtime Voice Stream
+ * Streams a recording to /api/voice-stream while the user is speaking and
+ * receives the transcript and reply on the same WebSocket
+ */
+
+class VoiceStreamClient {
+  /**
+   * Open a socket for one turn
+   * Audio can be sent right away; it is queued until the socket is open and
+   * the turn has been started.
+   * @param {object} handlers - Event callbacks (all optional)
+   * @param {Function} handlers.onPartial - Called with the transcript so far while recording
+   * @param {Function} handlers.onTranscript - Called with the final { transcript, language, quality, confidence }
+   * @param {Function} handlers.onDelta - Called with each text delta of the reply
+   * @param {Function} handlers.onTool - Called when Claude runs a tool { name, input, output?, error? }
+   * @param {Function} handlers.onSegment - Called with each spoken segment {index, text, audioBlob, provider}
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.queue = [];
+    this.startMessage = null;
+    this.startSent = false;
+    this.settled = false;
+    this.transcript = null;  // Final { transcript, language, quality, confidence } once the server sends it
+
+    // Resolves with the 'done' event, rejects on errors and cancellation
+    this.finished = new Promise((resolve, reject) => {
+      this.resolveFinished = resolve;
+      this.rejectFinished = reject;
+    });
+
+    // Failures before anyone awaits the result are reported when they do
+    this.finished.catch(() => {});
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    this.socket = new WebSocket(`${protocol}//${window.location.host}/api/voice-stream`);
+
+    this.socket.onopen = () => {
+      console.log('🔌 Voice stream connected');
+      this.flush();
+    };
+
+    this.socket.onmessage = (event) => {
+      this.handleEvent(JSON.parse(event.data));
+    };
+
+    this.socket.onerror = () => {
+      console.error('❌ Voice stream socket error');
+    };
+
+    this.socket.onclose = () => {
+      this.settle(new Error('Connection to the server was lost'));
+    };
+  }
+
+  /**
+   * Start the turn
+   * @param {object} options - { conversationId, conversationHistory, personaId, settings,
+   *   imageIds, speech, transcription, mimeType } (see /api/chat/stream and /api/transcribe)
+   */
+  start(options) {
+    this.startMessage = { type: 'start', ...options };
+    this.flush();
+  }
+
+  /**
+   * Send a chunk of the recording
+   * @param {Blob} chunk - MediaRecorder data
+   */
+  sendAudio(chunk) {
+    this.queue.push(chunk);
+    this.flush();
+  }
+
+  /**
+   * The recording is complete; ask for the transcript and reply
+   * @returns {Promise<{transcript: string, language: string, quality: string, reply: string|null, model: string,
+   *   stopReason: string, context: object, tools: Array}>}
+   */
+  stop() {
+    this.queue.push(JSON.stringify({ type: 'stop' }));
+    this.flush();
+    return this.finished;
+  }
+
+  /**
+   * Abandon the turn (closing the socket stops the server's work on it)
+   * @param {Error} reason - Why the turn was abandoned (optional)
+   */
+  cancel(reason) {
+    let error = reason;
+    if (!error) {
+      error = new Error('Voice stream cancelled');
+      error.name = 'AbortError';
+    }
+    this.settle(error);
+  }
+
+  /**
+   * Send everything that is waiting, once the socket is open and the turn started
+   */
+  flush() {
+    if (this.socket.readyState !== WebSocket.OPEN || !this.startMessage) return;
+
+    if (!this.startSent) {
+      this.socket.send(JSON.stringify(this.startMessage));
+      this.startSent = true;
+    }
+
+    while (this.queue.length > 0) {
+      this.socket.send(this.queue.shift());
+    }
+  }
+
+  /**
+   * Handle an event from the server
+   * @param {object} event - { type, ...data }
+   */
+  handleEvent(event) {
+    const { onPartial, onTranscript, onDelta, onTool, onSegment } = this.handlers;
+
+    switch (event.type) {
+      case 'partial':
+        if (onPartial) onPartial(event.transcript);
+        break;
+      case 'transcript':
+        this.transcript = {
+          transcript: event.transcript,
+          language: event.language,
+          quality: event.quality,
+          confidence: event.confidence
+        };
+        if (onTranscript) onTranscript(this.transcript);
+        break;
+      case 'delta':
+        if (onDelta) onDelta(event.text);
+        break;
+      case 'tool':
+        if (onTool) onTool(event);
+        break;
+      case 'segment':
+        if (onSegment) {
+          onSegment({
+            index: event.index,
+            text: event.text,
+            audioBlob: event.audio ? API.base64ToBlob(event.audio, event.mimeType) : null,
+            provider: event.provider || null
+          });
+        }
+        break;
+      case 'done':
+        this.settle(null, {
+          ...this.transcript,
+          reply: event.reply,
+          model: event.model,
+          stopReason: event.stopReason,
+          context: event.context,
+          tools: event.tools || []
+        });
+        break;
+      case 'error': {
+        // Same error codes as the HTTP endpoints (e.g. 'stt_rate_limited')
+        const error = new Error(event.message || 'Voice stream failed');
+        if (event.code) {
+          error.code = event.code;
+        }
+        this.settle(error);
+        break;
+      }
+      default:
+        console.warn('Unknown voice stream event:', event.type);
+    }
+  }
+
+  /**
+   * Finish the turn and close the socket
+   * @param {Error|null} error - Why the turn failed, or null on success
+   * @param {object} result - The turn's result
+   */
+  settle(error, result) {
+    if (this.settled) return;
+    this.settled = true;
+
+    this.socket.onclose = null;
+    if (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING) {
+      this.socket.close();
+    }
+
+    if (error) {
+      this.rejectFinished(error);
+    } else {
+      this.resolveFinished(result);
+    }
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Context Window Configuration
+ * Token budgets for keeping long conversations within Claude's context window
+ */
+
+const { envInt } = require('../utils/env');
+
+// Summarize older turns once a request's history is estimated above this
+const CONTEXT_MAX_TOKENS = envInt('CONTEXT_MAX_TOKENS', 16000);
+
+// How much of the most recent history is always kept verbatim
+const CONTEXT_RECENT_TOKENS = Math.min(envInt('CONTEXT_RECENT_TOKENS', 6000), CONTEXT_MAX_TOKENS);
+
+// Model and length used for the running summary (defaults to the default chat model)
+const CONTEXT_SUMMARY_MODEL = process.env.CONTEXT_SUMMARY_MODEL || null;
+const CONTEXT_SUMMARY_MAX_TOKENS = envInt('CONTEXT_SUMMARY_MAX_TOKENS', 800);
+
+module.exports = {
+  CONTEXT_MAX_TOKENS,
+  CONTEXT_RECENT_TOKENS,
+  CONTEXT_SUMMARY_MODEL,
+  CONTEXT_SUMMARY_MAX_TOKENS
+};
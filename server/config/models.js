@@ -0,0 +1,126 @@
+/**
+ * Claude Model Configuration
+ * Operator-defined allowlist and limits for per-conversation generation settings
+ */
+
+const { envInt } = require('../utils/env');
+
+const DEFAULT_MODEL = process.env.CLAUDE_DEFAULT_MODEL || 'claude-sonnet-4-5-20250929';
+
+// Comma-separated list of models clients may pick; the default is always allowed
+const ALLOWED_MODELS = Array.from(new Set([
+  DEFAULT_MODEL,
+  ...(process.env.CLAUDE_ALLOWED_MODELS || 'claude-haiku-4-5-20251001')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean)
+]));
+
+const DEFAULT_MAX_TOKENS = envInt('CLAUDE_DEFAULT_MAX_TOKENS', 1024);
+const MAX_TOKENS_LIMIT = Math.max(envInt('CLAUDE_MAX_TOKENS_LIMIT', 4096), DEFAULT_MAX_TOKENS);
+const MAX_STOP_SEQUENCES = envInt('CLAUDE_MAX_STOP_SEQUENCES', 4);
+const STOP_SEQUENCE_MAX_LENGTH = 100;
+
+// Anthropic accepts temperatures between 0 and 1
+const TEMPERATURE_MIN = 0;
+const TEMPERATURE_MAX = 1;
+
+/**
+ * Validate client-supplied generation settings against the allowlist and limits
+ * Every field is optional; omitted fields use the defaults.
+ * @param {object} settings - { model, maxTokens, temperature, stopSequences }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateGenerationSettings(settings) {
+  if (settings === undefined || settings === null) {
+    return null;
+  }
+
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'Settings must be an object';
+  }
+
+  const { model, maxTokens, temperature, stopSequences } = settings;
+
+  if (model !== undefined && model !== null && !ALLOWED_MODELS.includes(model)) {
+    return `Model is not allowed. Choose one of: ${ALLOWED_MODELS.join(', ')}`;
+  }
+
+  if (maxTokens !== undefined && maxTokens !== null &&
+      (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT)) {
+    return `maxTokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`;
+  }
+
+  if (temperature !== undefined && temperature !== null &&
+      (typeof temperature !== 'number' || temperature < TEMPERATURE_MIN || temperature > TEMPERATURE_MAX)) {
+    return `temperature must be a number between ${TEMPERATURE_MIN} and ${TEMPERATURE_MAX}`;
+  }
+
+  if (stopSequences !== undefined && stopSequences !== null) {
+    if (!Array.isArray(stopSequences) || stopSequences.length > MAX_STOP_SEQUENCES) {
+      return `stopSequences must be an array of at most ${MAX_STOP_SEQUENCES} strings`;
+    }
+
+    const invalid = stopSequences.some(sequence =>
+      typeof sequence !== 'string' || sequence.trim() === '' || sequence.length > STOP_SEQUENCE_MAX_LENGTH
+    );
+    if (invalid) {
+      return `Each stop sequence must be a non-empty string of at most ${STOP_SEQUENCE_MAX_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Merge layers of settings (later layers win) on top of the defaults
+ * Layers that are no longer valid (e.g., a stored model the operator has since
+ * removed from the allowlist) are skipped field by field.
+ * @param {...object} layers - Settings objects, e.g. conversation then request
+ * @returns {{model: string, maxTokens: number, temperature: number|null, stopSequences: string[]}}
+ */
+function resolveGenerationSettings(...layers) {
+  const resolved = {
+    model: DEFAULT_MODEL,
+    maxTokens: DEFAULT_MAX_TOKENS,
+    temperature: null, // Use the API default
+    stopSequences: []
+  };
+
+  layers.filter(Boolean).forEach(layer => {
+    Object.keys(resolved).forEach(key => {
+      if (layer[key] === undefined || layer[key] === null) return;
+
+      if (validateGenerationSettings({ [key]: layer[key] })) {
+        console.warn(`Ignoring invalid stored setting ${key}:`, layer[key]);
+        return;
+      }
+
+      resolved[key] = layer[key];
+    });
+  });
+
+  return resolved;
+}
+
+/**
+ * Describe the allowlist and limits for clients
+ * @returns {object}
+ */
+function getModelOptions() {
+  return {
+    models: ALLOWED_MODELS,
+    defaults: resolveGenerationSettings(),
+    limits: {
+      maxTokens: MAX_TOKENS_LIMIT,
+      temperature: { min: TEMPERATURE_MIN, max: TEMPERATURE_MAX },
+      stopSequences: MAX_STOP_SEQUENCES
+    }
+  };
+}
+
+module.exports = {
+  validateGenerationSettings,
+  resolveGenerationSettings,
+  getModelOptions
+};
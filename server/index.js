@@ -5,6 +5,10 @@ const helmet = require('helmet');
 const path = require('path');
 const fs = require('fs');
 const apiRoutes = require('./routes/api');
+const conversationRoutes = require('./routes/conversations');
+const personaRoutes = require('./routes/personas');
+const attachmentRoutes = require('./routes/attachments');
+const { attachVoiceSocket } = require('./routes/voiceSocket');
 const errorHandler = require('./middleware/errorHandler');
 const basicAuth = require('./middleware/auth');
 
@@ -26,7 +30,8 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       scriptSrc: ["'self'", "'unsafe-inline'"],
       styleSrc: ["'self'", "'unsafe-inline'"],
-      connectSrc: ["'self'"],
+      connectSrc: ["'self'", "ws:", "wss:"],  // Allow the realtime voice socket
+      imgSrc: ["'self'", "blob:"],  // Allow blob URLs for image attachment previews
       mediaSrc: ["'self'", "blob:"]  // Allow blob URLs for audio playback
     }
   }
@@ -45,7 +50,13 @@ app.use(basicAuth);
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Modules shared by the server and the browser
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // API routes
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/personas', personaRoutes);
+app.use('/api/attachments', attachmentRoutes);
 app.use('/api', apiRoutes);
 
 // Error handling middleware (must be last)
@@ -59,7 +70,10 @@ if (!process.env.CLAUDE_API_KEY) {
 }
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
+
+// Realtime voice channel (WebSocket upgrades bypass the Express middleware above)
+attachVoiceSocket(server);
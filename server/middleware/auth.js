@@ -24,16 +24,8 @@ function basicAuth(req, res, next) {
     return requestAuth(res);
   }
 
-  // Parse credentials
-  const auth = Buffer.from(authHeader.split(' ')[1], 'base64').toString().split(':');
-  const username = auth[0];
-  const password = auth[1];
-
-  console.log('Received username:', username, 'Expected:', authUsername);
-  console.log('Password match:', password === authPassword);
-
   // Verify credentials
-  if (username === authUsername && password === authPassword) {
+  if (hasValidCredentials(authHeader)) {
     // Credentials are correct, allow access
     console.log('Authentication successful');
     return next();
@@ -44,6 +36,40 @@ function basicAuth(req, res, next) {
   }
 }
 
+/**
+ * Check a Basic Authorization header against AUTH_USERNAME and AUTH_PASSWORD
+ * @param {string} authHeader - The Authorization header value
+ * @returns {boolean}
+ */
+function hasValidCredentials(authHeader) {
+  const [scheme, encoded] = authHeader.split(' ');
+  if (scheme !== 'Basic' || !encoded) return false;
+
+  // Parse credentials (the password may itself contain ':')
+  const decoded = Buffer.from(encoded, 'base64').toString();
+  const separator = decoded.indexOf(':');
+  const username = decoded.substring(0, separator);
+  const password = decoded.substring(separator + 1);
+
+  return separator !== -1 &&
+    username === process.env.AUTH_USERNAME &&
+    password === process.env.AUTH_PASSWORD;
+}
+
+/**
+ * Check whether a request may use the app
+ * For connections that don't go through Express middleware (WebSocket upgrades);
+ * browsers resend the page's Basic credentials with the upgrade request.
+ * @param {object} req - Node HTTP request
+ * @returns {boolean}
+ */
+function isAuthorized(req) {
+  if (!process.env.AUTH_USERNAME || !process.env.AUTH_PASSWORD) {
+    return true;
+  }
+  return Boolean(req.headers.authorization) && hasValidCredentials(req.headers.authorization);
+}
+
 /**
  * Request authentication from the browser
  */
@@ -53,3 +79,4 @@ function requestAuth(res) {
 }
 
 module.exports = basicAuth;
+module.exports.isAuthorized = isAuthorized;
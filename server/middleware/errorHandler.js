@@ -7,13 +7,14 @@ function errorHandler(err, req, res, next) {
   console.error('Error:', err.message);
   console.error('Stack:', err.stack);
 
-  // Determine status code
-  const statusCode = err.statusCode || 500;
+  // Determine status code (upload limit errors are the client's fault)
+  const statusCode = err.statusCode || (err.name === 'MulterError' ? 400 : 500);
 
   // Send sanitized error response
   res.status(statusCode).json({
     error: true,
     message: err.message || 'Internal server error',
+    ...(err.errorCode && { code: err.errorCode }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 }
@@ -2,9 +2,25 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 const claudeService = require('../services/claudeService');
-const whisperService = require('../services/whisperService');
-const googleTTSService = require('../services/googleTTSService');
+const attachmentStore = require('../services/attachmentStore');
+const ttsCache = require('../services/ttsCache');
+const { validateGenerationSettings, getModelOptions } = require('../config/models');
+const stt = require('../stt');
+const tts = require('../tts');
+const {
+  loadTurnContext,
+  fitTurnContext,
+  contextInfo,
+  personaSpeech,
+  saveTurn,
+  streamTurn
+} = require('../services/turnService');
+const { initEventStream, sendEvent } = require('../utils/sse');
+const { abortOnDisconnect } = require('../utils/abort');
+const { prepareSpeech, validateSsml, ssmlToText } = require('../utils/speechText');
+const { findLanguage, languageCode } = require('../../shared/languages');
 
 // Configure multer for audio file uploads with proper file extensions
 const storage = multer.diskStorage({
@@ -14,6 +30,9 @@ const storage = multer.diskStorage({
   filename: (req, file, cb) => {
     // Generate unique filename with original extension
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    if (file.fieldname === 'images') {
+      return cb(null, 'image-' + uniqueSuffix + path.extname(file.originalname));
+    }
     const ext = path.extname(file.originalname) || '.webm'; // Default to .webm if no extension
     cb(null, 'audio-' + uniqueSuffix + ext);
   }
@@ -25,6 +44,16 @@ const upload = multer({
     fileSize: 25 * 1024 * 1024 // 25MB max (Whisper API limit)
   },
   fileFilter: (req, file, cb) => {
+    // Images attached to a voice turn
+    if (file.fieldname === 'images') {
+      if (file.mimetype.startsWith('image/')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Invalid file type. Only images can be attached.'));
+      }
+      return;
+    }
+
     // Accept audio files
     const allowedMimes = [
       'audio/webm',
@@ -44,20 +73,75 @@ const upload = multer({
   }
 });
 
+/**
+ * Delete an uploaded file that will not be processed
+ * @param {string} filePath - Path of the multer upload
+ */
+function removeUpload(filePath) {
+  fs.unlink(filePath, (error) => {
+    if (error) console.error('Error deleting unused upload:', error);
+  });
+}
+
+/**
+ * Read transcription options from multipart form fields
+ * Form fields are strings; an empty field counts as not given, and a
+ * temperature that isn't a number is left for validation to reject.
+ * @param {object} body - { language, prompt, temperature } from req.body
+ * @returns {object} - The options that were given
+ */
+function readTranscriptionFields({ language, prompt, temperature }) {
+  const options = {};
+  if (language) options.language = language;
+  if (prompt) options.prompt = prompt;
+  if (temperature !== undefined && temperature !== '') {
+    options.temperature = Number.isFinite(Number(temperature)) ? Number(temperature) : temperature;
+  }
+  return options;
+}
+
+/**
+ * GET /api/models
+ * List the models and generation limits clients may choose from
+ *
+ * Response:
+ * - models: array - Allowed model ids
+ * - defaults: object - { model, maxTokens, temperature, stopSequences }
+ * - limits: object - { maxTokens, temperature: { min, max }, stopSequences }
+ */
+router.get('/models', (req, res) => {
+  res.json(getModelOptions());
+});
+
 /**
  * POST /api/chat
  * Send a message to Claude and get a response
  *
  * Request body:
  * - message: string (required) - The user's message
+ * - conversationId: string (optional) - Stored conversation to continue; the
+ *   turn is appended to it and conversationHistory is ignored
  * - conversationHistory: array (optional) - Previous conversation messages
+ * - personaId: string (optional) - Persona to use when no conversationId is given
+ * - settings: object (optional) - { model, maxTokens, temperature, stopSequences } for this turn,
+ *   checked against the allowlist in GET /api/models
+ * - imageIds: array (optional) - Images uploaded with POST /api/attachments to send with the message
  *
  * Response:
  * - reply: string - Claude's response
+ * - model: string - The model that actually answered
+ * - stopReason: string - Why generation stopped (e.g., 'end_turn', 'max_tokens')
+ * - conversationId: string - Echoed back when a stored conversation was used
+ * - personaId: string - The persona that answered
+ * - context: object - { summarizedMessages, inputTokens } - How many of the oldest
+ *   messages were sent as a summary instead of verbatim, and the prompt size Claude reported
+ * - tools: array - Tools Claude ran for this reply, in order: { name, input, output?, error? }
  */
 router.post('/chat', async (req, res, next) => {
+  const abortController = abortOnDisconnect(res);
+
   try {
-    const { message, conversationHistory = [] } = req.body;
+    const { message, conversationId, conversationHistory = [], personaId, settings, imageIds = [] } = req.body;
 
     // Validate request
     if (!message || typeof message !== 'string' || message.trim() === '') {
@@ -75,30 +159,193 @@ router.post('/chat', async (req, res, next) => {
       });
     }
 
+    // Validate generation settings and attachments
+    const settingsError = validateGenerationSettings(settings) || attachmentStore.validateImageIds(imageIds);
+    if (settingsError) {
+      return res.status(400).json({
+        error: true,
+        message: settingsError
+      });
+    }
+
+    const context = await loadTurnContext({ conversationId, conversationHistory, personaId, settings });
+    if (!context) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation not found'
+      });
+    }
+
+    const images = await attachmentStore.loadImages(imageIds);
+    const turn = await fitTurnContext(context, conversationId, message, { signal: abortController.signal });
+
     // Call Claude service
-    const reply = await claudeService.sendMessage(message, conversationHistory);
+    const response = await claudeService.sendMessage(message, turn.history, {
+      system: turn.system,
+      settings: context.settings,
+      images: images,
+      signal: abortController.signal
+    });
+
+    await saveTurn(conversationId, message, response, images);
 
     // Return response
     res.json({
-      reply: reply
+      reply: response.text,
+      model: response.model,
+      stopReason: response.stopReason,
+      personaId: context.persona.id,
+      context: contextInfo(turn, response),
+      tools: response.toolCalls,
+      ...(conversationId && { conversationId })
     });
   } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Chat request cancelled by client');
+      return;
+    }
     next(error);
   }
 });
 
+/**
+ * POST /api/chat/stream
+ * Send a message to Claude and stream the response as Server-Sent Events
+ *
+ * Request body:
+ * - message: string (required) - The user's message
+ * - conversationId: string (optional) - Stored conversation to continue
+ * - conversationHistory: array (optional) - Previous conversation messages
+ * - personaId: string (optional) - Persona to use when no conversationId is given
+ * - settings: object (optional) - Generation settings for this turn (see /api/chat)
+ * - imageIds: array (optional) - Images to send with the message (see /api/chat)
+ * - speech: object (optional) - Split the reply into spoken segments
+ *   - synthesize: boolean - Include synthesized audio with each segment
+ *   - language: string - The speaker's language code (a persona's own language wins)
+ *   - voices: object - Preferred voice ids keyed by language, e.g. { "ru": "ru-RU-Wavenet-B" }
+ *     (see GET /api/voices; a persona's own voice wins)
+ *   - prosody: object - Speaking style { rate, pitch, volume } (see /api/text-to-speech)
+ *
+ * Events:
+ * - delta: { text } - A chunk of Claude's response
+ * - segment: { index, text, audio?, mimeType?, provider? } - A complete sentence, in order,
+ *   with base64 audio (and the TTS provider that made it) when synthesis was requested and succeeded
+ * - tool: { name, input, output?, error? } - Claude ran a tool (more deltas follow)
+ * - done: { reply, model, stopReason, context, tools } - The complete response, sent once at the end
+ * - error: { message } - The stream failed; no further events follow
+ */
+router.post('/chat/stream', async (req, res, next) => {
+  const { message, conversationId, conversationHistory = [], personaId, settings, imageIds = [], speech = null } = req.body;
+
+  // Validate request
+  if (!message || typeof message !== 'string' || message.trim() === '') {
+    return res.status(400).json({
+      error: true,
+      message: 'Message is required and must be a non-empty string'
+    });
+  }
+
+  // Validate conversation history format
+  if (!Array.isArray(conversationHistory)) {
+    return res.status(400).json({
+      error: true,
+      message: 'Conversation history must be an array'
+    });
+  }
+
+  // Validate generation settings, attachments, voices and speaking style
+  const settingsError = validateGenerationSettings(settings) ||
+    attachmentStore.validateImageIds(imageIds) ||
+    (speech && (tts.validateVoicePreferences(speech.voices) || tts.validateProsody(speech.prosody)));
+  if (settingsError) {
+    return res.status(400).json({
+      error: true,
+      message: settingsError
+    });
+  }
+
+  const abortController = abortOnDisconnect(res);
+
+  let context;
+  let turn;
+  let images;
+  try {
+    context = await loadTurnContext({ conversationId, conversationHistory, personaId, settings });
+    if (context) {
+      images = await attachmentStore.loadImages(imageIds);
+      turn = await fitTurnContext(context, conversationId, message, { signal: abortController.signal });
+    }
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Chat stream aborted by client');
+      return;
+    }
+    return next(error);
+  }
+
+  if (!context) {
+    return res.status(404).json({
+      error: true,
+      message: 'Conversation not found'
+    });
+  }
+
+  initEventStream(res);
+
+  try {
+    await streamTurn({
+      message,
+      conversationId,
+      context,
+      turn,
+      images,
+      speech,
+      signal: abortController.signal,
+      emit: (event, data) => sendEvent(res, event, data)
+    });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Chat stream aborted by client');
+      return;
+    }
+
+    // Headers are already sent, so report the failure in-band
+    console.error('Chat stream error:', error);
+    sendEvent(res, 'error', { message: error.message || 'Internal server error' });
+  }
+
+  res.end();
+});
+
 /**
  * POST /api/transcribe
- * Transcribe audio file using OpenAI Whisper API with language detection
+ * Transcribe audio file with the configured speech-to-text provider (STT_PROVIDER)
  *
  * Request:
  * - multipart/form-data with 'audio' field containing audio file
+ * - language: string (optional) - Transcribe in this language instead of detecting it
+ *   (e.g. 'de', 'german'); helps short utterances that get detected wrongly
+ * - prompt: string (optional) - Vocabulary to expect, e.g. product names and jargon
+ *   (at most 1000 characters)
+ * - temperature: number (optional) - Sampling temperature, 0 to 1
  *
  * Response:
- * - transcript: string - The transcribed text
- * - language: string - The detected language code
+ * - transcript: string - The transcribed text (empty for silence or an unreliable
+ *   transcript, unless STT_FILTER=flag)
+ * - language: string - The detected (or locked) language
+ * - quality: string - 'ok', 'low_confidence' or 'no_speech' (always 'ok' when the
+ *   provider reports no segment confidence)
+ * - confidence: object|null - { avgLogprob, noSpeechProb, compressionRatio } over the recording
+ * - segments: array - { text, start, end, avgLogprob, noSpeechProb, compressionRatio, dropped? };
+ *   dropped is 'no_speech' or 'repetitive' for segments left out of the transcript
+ *
+ * Errors from any provider are reported the same way: { error, message, code },
+ * where code is stt_invalid_audio (400), stt_rate_limited (429),
+ * stt_unavailable (503), stt_timeout (504) or stt_failed (502)
  */
 router.post('/transcribe', upload.single('audio'), async (req, res, next) => {
+  const abortController = abortOnDisconnect(res);
+
   try {
     // Check if file was uploaded
     if (!req.file) {
@@ -108,6 +355,16 @@ router.post('/transcribe', upload.single('audio'), async (req, res, next) => {
       });
     }
 
+    const options = readTranscriptionFields(req.body);
+    const optionsError = stt.validateTranscriptionOptions(options);
+    if (optionsError) {
+      removeUpload(req.file.path);
+      return res.status(400).json({
+        error: true,
+        message: optionsError
+      });
+    }
+
     console.log('Received audio file:', {
       originalName: req.file.originalname,
       mimetype: req.file.mimetype,
@@ -115,34 +372,298 @@ router.post('/transcribe', upload.single('audio'), async (req, res, next) => {
       path: req.file.path
     });
 
-    // Transcribe the audio with language detection
-    const result = await whisperService.transcribeAudio(req.file.path);
+    // Transcribe the audio (with language detection unless the language is locked)
+    const result = await stt.transcribeAudio(req.file.path, { ...options, signal: abortController.signal });
 
-    // Return transcript and detected language
+    // Return transcript and detected language, with how far to trust them
     res.json({
       transcript: result.text.trim(),
-      language: result.language
+      language: result.language,
+      quality: result.quality,
+      confidence: result.confidence,
+      segments: result.segments
     });
   } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Transcription cancelled by client');
+      return;
+    }
     console.error('Transcription endpoint error:', error);
     next(error);
   }
 });
 
 /**
- * POST /api/text-to-speech
- * Convert text to speech using Google Cloud TTS API
+ * POST /api/voice-turn
+ * Run a whole voice turn in one request: transcribe → Claude → text-to-speech
+ *
+ * Request:
+ * - multipart/form-data with 'audio' field containing audio file
+ * - images: files (optional) - Images to send with the spoken message (JPEG, PNG, GIF or WebP)
+ * - conversationId: string (optional) - Stored conversation to continue
+ * - conversationHistory: JSON string (optional) - Previous conversation messages
+ * - personaId: string (optional) - Persona to use when no conversationId is given
+ * - settings: JSON string (optional) - Generation settings for this turn (see /api/chat)
+ * - synthesize: 'true' | 'false' (optional, default 'true') - Include reply audio
+ * - voices: JSON string (optional) - Preferred voice ids keyed by language (see /api/chat/stream)
+ * - prosody: JSON string (optional) - Speaking style { rate, pitch, volume } (see /api/text-to-speech)
+ * - transcription: JSON string (optional) - { language, prompt, temperature } (see /api/transcribe)
+ *
+ * Response:
+ * - transcript: string - The transcribed text
+ * - language: string - The detected language code
+ * - quality: string - Transcript quality (see /api/transcribe)
+ * - confidence: object|null - Transcript confidence (see /api/transcribe)
+ * - reply: string - Claude's response (null if no speech was detected)
+ * - personaId: string - The persona that answered
+ * - model: string - The model that answered
+ * - context: object - { summarizedMessages, inputTokens } (see /api/chat)
+ * - tools: array - Tools Claude ran for this reply (see /api/chat)
+ * - images: array - Saved image attachments { id, mediaType }, in upload order
+ * - audio: string - Base64 reply audio (omitted if not requested or synthesis failed)
+ * - mimeType: string - Audio MIME type
+ * - ttsProvider: string - The TTS provider that produced the audio (e.g. 'google', 'openai')
+ * - ttsError: string - Why synthesis failed (the client can fall back to Web Speech)
+ * - timings: object - Milliseconds spent in each stage { transcribe, chat, tts, total }
+ */
+const voiceTurnUpload = upload.fields([
+  { name: 'audio', maxCount: 1 },
+  { name: 'images', maxCount: attachmentStore.MAX_IMAGES_PER_MESSAGE }
+]);
+
+router.post('/voice-turn', voiceTurnUpload, async (req, res, next) => {
+  const abortController = abortOnDisconnect(res);
+  const signal = abortController.signal;
+  const audioFile = req.files && req.files.audio ? req.files.audio[0] : null;
+  const imageFiles = (req.files && req.files.images) || [];
+
+  // Uploads not handed on yet; whatever is left when the request ends is removed
+  const pendingUploads = new Set([audioFile, ...imageFiles].filter(Boolean).map(file => file.path));
+  const discardUploads = (paths = [...pendingUploads]) => {
+    paths.forEach(filePath => {
+      if (pendingUploads.delete(filePath)) removeUpload(filePath);
+    });
+  };
+
+  try {
+    // Check if file was uploaded
+    if (!audioFile) {
+      return res.status(400).json({
+        error: true,
+        message: 'No audio file provided'
+      });
+    }
+
+    // Conversation history and the options objects arrive as JSON strings in the multipart body
+    let conversationHistory = [];
+    let settings;
+    let voices;
+    let prosody;
+    let transcriptionOptions;
+    try {
+      conversationHistory = req.body.conversationHistory ? JSON.parse(req.body.conversationHistory) : [];
+      settings = req.body.settings ? JSON.parse(req.body.settings) : undefined;
+      voices = req.body.voices ? JSON.parse(req.body.voices) : undefined;
+      prosody = req.body.prosody ? JSON.parse(req.body.prosody) : undefined;
+      transcriptionOptions = req.body.transcription ? JSON.parse(req.body.transcription) : undefined;
+    } catch (parseError) {
+      return res.status(400).json({
+        error: true,
+        message: 'conversationHistory, settings, voices, prosody and transcription must be valid JSON'
+      });
+    }
+
+    if (!Array.isArray(conversationHistory)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Conversation history must be a JSON array'
+      });
+    }
+
+    const settingsError = validateGenerationSettings(settings) ||
+      tts.validateVoicePreferences(voices) ||
+      tts.validateProsody(prosody) ||
+      stt.validateTranscriptionOptions(transcriptionOptions);
+    if (settingsError) {
+      return res.status(400).json({
+        error: true,
+        message: settingsError
+      });
+    }
+
+    const conversationId = req.body.conversationId || null;
+    const context = await loadTurnContext({
+      conversationId,
+      conversationHistory,
+      personaId: req.body.personaId,
+      settings
+    });
+    if (!context) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation not found'
+      });
+    }
+
+    // Check attached images before paying for transcription; they are only
+    // stored once there is a message to attach them to
+    const imageBuffers = await Promise.all(imageFiles.map(file => fs.promises.readFile(file.path)));
+    discardUploads(imageFiles.map(file => file.path));
+
+    const imageError = imageBuffers.map(attachmentStore.validateImage).find(Boolean);
+    if (imageError) {
+      return res.status(400).json({
+        error: true,
+        message: imageError
+      });
+    }
+
+    const synthesize = req.body.synthesize !== 'false';
+    const timings = {};
+    const turnStart = Date.now();
+
+    // Stage 1: speech-to-text (which removes the audio file when done)
+    let stageStart = Date.now();
+    pendingUploads.delete(audioFile.path);
+    const transcription = await stt.transcribeAudio(audioFile.path, { ...transcriptionOptions, signal });
+    timings.transcribe = Date.now() - stageStart;
+
+    const transcript = transcription.text.trim();
+
+    // Nothing to send to Claude
+    if (!transcript) {
+      timings.total = Date.now() - turnStart;
+      return res.json({
+        transcript: '',
+        language: transcription.language,
+        quality: transcription.quality,
+        confidence: transcription.confidence,
+        reply: null,
+        timings: timings
+      });
+    }
+
+    const images = [];
+    for (const buffer of imageBuffers) {
+      const saved = await attachmentStore.saveImage(buffer);
+      images.push({ id: saved.id, mediaType: saved.mediaType, data: buffer.toString('base64') });
+    }
+
+    // Stage 2: Claude (including any summarization of older turns)
+    stageStart = Date.now();
+    const turn = await fitTurnContext(context, conversationId, transcript, { signal });
+    const response = await claudeService.sendMessage(transcript, turn.history, {
+      system: turn.system,
+      settings: context.settings,
+      images: images,
+      signal: signal
+    });
+    const reply = response.text;
+    timings.chat = Date.now() - stageStart;
+
+    await saveTurn(conversationId, transcript, response, images);
+
+    const result = {
+      transcript: transcript,
+      language: transcription.language,
+      quality: transcription.quality,
+      confidence: transcription.confidence,
+      reply: reply,
+      personaId: context.persona.id,
+      model: response.model,
+      context: contextInfo(turn, response),
+      tools: response.toolCalls,
+      images: images.map(({ id, mediaType }) => ({ id, mediaType }))
+    };
+
+    // Stage 3: text-to-speech (a failure here still returns the text)
+    if (synthesize) {
+      stageStart = Date.now();
+      try {
+        const spoken = prepareSpeech(reply);
+        const speech = await tts.synthesize(spoken.text || reply, {
+          ...personaSpeech(context.persona, transcription.language, voices),
+          ssml: spoken.ssml,
+          prosody: prosody,
+          signal: signal
+        });
+        result.audio = speech.audio.toString('base64');
+        result.mimeType = speech.mimeType;
+        result.ttsProvider = speech.provider;
+      } catch (ttsError) {
+        if (signal.aborted) throw ttsError;
+        console.error('Voice turn TTS error:', ttsError.message);
+        result.ttsError = ttsError.message;
+      }
+      timings.tts = Date.now() - stageStart;
+    }
+
+    timings.total = Date.now() - turnStart;
+    result.timings = timings;
+
+    console.log('Voice turn timings (ms):', timings);
+
+    res.json(result);
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('Voice turn cancelled by client');
+      return;
+    }
+    console.error('Voice turn endpoint error:', error);
+    next(error);
+  } finally {
+    discardUploads();
+  }
+});
+
+/**
+ * A language's English name for prompts, e.g. 'Russian'
+ * @param {object} language - From findLanguage
+ * @returns {string}
+ */
+function displayName(language) {
+  return language.name.charAt(0).toUpperCase() + language.name.slice(1);
+}
+
+/**
+ * Work out which way to translate an interpreter-mode utterance
+ * Speech in the target language is translated back into the source language,
+ * so two people can take turns on one device; anything else counts as the source.
+ * @param {object} source - Source language (from findLanguage)
+ * @param {object} target - Target language (from findLanguage)
+ * @param {string} spoken - Language the speech-to-text provider detected (optional)
+ * @returns {{from: object, to: object}}
+ */
+function interpreterDirection(source, target, spoken) {
+  return spoken && languageCode(spoken) === target.code
+    ? { from: target, to: source }
+    : { from: source, to: target };
+}
+
+/**
+ * POST /api/translate
+ * Translate an utterance for interpreter mode. Nothing is saved, and the
+ * conversation, persona and tools are not used.
  *
  * Request body:
- * - text: string (required) - The text to convert to speech
- * - language: string (optional) - The language code (e.g., 'en', 'ru')
+ * - text: string (required) - What was said
+ * - source: string (required) - One language of the pair, e.g. 'en'
+ * - target: string (required) - The other language, e.g. 'ru'
+ * - language: string (optional) - Language the speech was detected as (from /api/transcribe);
+ *   speech in the target language is translated into the source language
+ * - settings: object (optional) - Generation settings (see /api/chat)
  *
  * Response:
- * - Audio file (MP3)
+ * - translation: string - The translated text
+ * - from: string - Language code translated from
+ * - to: string - Language code translated into (speak the translation in this language)
+ * - model: string - Model that translated
  */
-router.post('/text-to-speech', async (req, res, next) => {
+router.post('/translate', async (req, res, next) => {
+  const abortController = abortOnDisconnect(res);
+
   try {
-    const { text, language = 'en' } = req.body;
+    const { text, source, target, language, settings } = req.body;
 
     // Validate request
     if (!text || typeof text !== 'string' || text.trim() === '') {
@@ -152,19 +673,286 @@ router.post('/text-to-speech', async (req, res, next) => {
       });
     }
 
-    // Generate speech using Google Cloud TTS
-    const audioBuffer = await googleTTSService.textToSpeech(text, language);
+    const pair = [source, target].map(findLanguage);
+    if (!pair[0] || !pair[1]) {
+      return res.status(400).json({
+        error: true,
+        message: 'source and target must be supported languages, as codes or names (e.g. "en" or "russian")'
+      });
+    }
 
-    // Set response headers
-    res.set({
-      'Content-Type': 'audio/mpeg',
-      'Content-Length': audioBuffer.length,
-      'Cache-Control': 'no-cache'
+    if (pair[0].code === pair[1].code) {
+      return res.status(400).json({
+        error: true,
+        message: 'source and target must be different languages'
+      });
+    }
+
+    if (language !== undefined && typeof language !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: 'language must be a string'
+      });
+    }
+
+    const settingsError = validateGenerationSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({
+        error: true,
+        message: settingsError
+      });
+    }
+
+    const { from, to } = interpreterDirection(pair[0], pair[1], language);
+    const translation = await claudeService.translateText(text.trim(), {
+      from: displayName(from),
+      to: displayName(to),
+      settings: settings,
+      signal: abortController.signal
+    });
+
+    res.json({
+      translation: translation.text,
+      from: from.code,
+      to: to.code,
+      model: translation.model
     });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Translation cancelled by client');
+      return;
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/voices
+ * List the voices users can choose from, per provider and language
+ *
+ * Query:
+ * - language: string (optional) - Only voices that can speak this language (e.g., 'ru')
+ *
+ * Response:
+ * - voices: array - { id, provider, language, gender, tier }, in provider priority order;
+ *   language is a locale such as 'en-US', or null for voices that speak any language
+ * - languages: array - Languages to offer a voice choice for (e.g., ['en', 'ru'])
+ */
+router.get('/voices', (req, res) => {
+  const { language } = req.query;
+
+  if (language !== undefined && (typeof language !== 'string' || language.trim() === '')) {
+    return res.status(400).json({
+      error: true,
+      message: 'language must be a non-empty string'
+    });
+  }
+
+  res.json({
+    voices: tts.listVoices(language),
+    languages: tts.listLanguages()
+  });
+});
 
-    // Send audio buffer
-    res.send(audioBuffer);
+/**
+ * Read the speaking style fields of a text-to-speech request
+ * Query strings carry numbers as strings; anything that isn't a number is
+ * left as is for validateProsody to reject.
+ * @param {object} input - { rate, pitch, volume } from the body or query
+ * @returns {object} - The fields that were given
+ */
+function readProsody({ rate, pitch, volume }) {
+  const prosody = {};
+  Object.entries({ rate, pitch, volume }).forEach(([name, value]) => {
+    if (value === undefined) return;
+    prosody[name] = typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))
+      ? Number(value)
+      : value;
+  });
+  return prosody;
+}
+
+/**
+ * Speak a text-to-speech request, from the audio cache when possible
+ * @param {object} input - { text, ssml, language, voice, rate, pitch, volume, format } from the body or query
+ * @param {Array<string>} acceptTypes - Types from the Accept header, best first
+ * @param {object} res - Express response
+ * @param {AbortSignal} signal - Stops synthesis when the client goes away
+ */
+async function sendSpeech({ text, ssml, language = 'en', voice, format, ...rest }, acceptTypes, res, signal) {
+  // Validate request
+  if ((text === undefined) === (ssml === undefined)) {
+    return res.status(400).json({
+      error: true,
+      message: 'Provide either text or ssml'
+    });
+  }
+
+  if (text !== undefined && (typeof text !== 'string' || text.trim() === '')) {
+    return res.status(400).json({
+      error: true,
+      message: 'Text must be a non-empty string'
+    });
+  }
+
+  const ssmlError = ssml !== undefined ? validateSsml(ssml) : null;
+  if (ssmlError) {
+    return res.status(400).json({
+      error: true,
+      message: ssmlError
+    });
+  }
+
+  // Both forms of the input, so every provider can speak it
+  const spoken = ssml !== undefined ? { text: ssmlToText(ssml), ssml } : prepareSpeech(text);
+  if (!spoken.text) {
+    return res.status(400).json({
+      error: true,
+      message: 'There is nothing to speak in this input'
+    });
+  }
+
+  if (typeof language !== 'string' || language.trim() === '') {
+    return res.status(400).json({
+      error: true,
+      message: 'language must be a non-empty string'
+    });
+  }
+
+  if (voice !== undefined) {
+    const found = typeof voice === 'string' ? tts.findVoice(voice) : null;
+    if (!found) {
+      return res.status(400).json({
+        error: true,
+        message: `Unknown voice: ${voice} (see GET /api/voices)`
+      });
+    }
+    if (!tts.speaksLanguage(found, language)) {
+      return res.status(400).json({
+        error: true,
+        message: `Voice ${voice} does not speak ${language}`
+      });
+    }
+  }
+
+  const prosody = readProsody(rest);
+  const prosodyError = tts.validateProsody(prosody);
+  if (prosodyError) {
+    return res.status(400).json({
+      error: true,
+      message: prosodyError
+    });
+  }
+
+  // An explicit format wins over the Accept header
+  if (format !== undefined && !Object.prototype.hasOwnProperty.call(tts.FORMATS, format)) {
+    return res.status(400).json({
+      error: true,
+      message: `format must be one of: ${Object.keys(tts.FORMATS).join(', ')}`
+    });
+  }
+  const formats = format !== undefined ? [format] : tts.acceptedFormats(acceptTypes);
+  if (formats && formats.length === 0) {
+    return res.status(406).json({
+      error: true,
+      message: `Accept an audio format this server produces: ${Object.values(tts.FORMATS).map(entry => entry.mimeType).join(', ')}`
+    });
+  }
+
+  // Audio cached for any provider the request could fail over to
+  const keyFor = (provider) => ttsCache.cacheKey({
+    provider,
+    format: tts.providerFormat(provider, formats),
+    voice,
+    language,
+    prosody: tts.normalizeProsody(prosody),
+    text: spoken.text,
+    ssml: spoken.ssml
+  });
+  let speech = null;
+  for (const provider of tts.candidateProviders(language, voice)) {
+    if (!tts.providerFormat(provider, formats)) continue;
+    speech = await ttsCache.get(keyFor(provider));
+    if (speech) break;
+  }
+  const cacheStatus = speech ? 'hit' : 'miss';
+
+  // Otherwise generate speech, failing over between providers
+  if (!speech) {
+    const synthesized = await tts.synthesize(spoken.text, {
+      language,
+      voiceName: voice,
+      ssml: spoken.ssml,
+      prosody,
+      formats,
+      signal
+    });
+    speech = { ...synthesized, etag: await ttsCache.set(keyFor(synthesized.provider), synthesized) };
+  }
+
+  // Set response headers; a GET whose ETag matches If-None-Match gets 304
+  res.set({
+    'Content-Type': speech.mimeType,
+    'Content-Length': speech.audio.length,
+    'Cache-Control': `private, max-age=${ttsCache.maxAge()}`,
+    'Vary': 'Accept',
+    'ETag': speech.etag,
+    'X-TTS-Provider': speech.provider,
+    'X-TTS-Cache': cacheStatus
+  });
+
+  // Send audio buffer
+  res.send(speech.audio);
+}
+
+/**
+ * POST /api/text-to-speech
+ * GET /api/text-to-speech?text=...&language=...&voice=...
+ * Convert text to speech with the first available TTS provider
+ * Use GET for short inputs so browsers can reuse the audio from their cache.
+ *
+ * Request body or query (text or ssml is required):
+ * - text: string - Plain text or markdown; formatting is turned into pauses and emphasis,
+ *   code blocks are summarized and URLs are read as their domain
+ * - ssml: string - An SSML <speak> document, spoken as is (providers without SSML support
+ *   read its text)
+ * - language: string (optional) - The language code (e.g., 'en', 'ru')
+ * - voice: string (optional) - A voice id from GET /api/voices; its provider is tried first
+ * - rate: number (optional) - Speed multiplier, 0.25 to 4 (default 1)
+ * - pitch: number (optional) - Semitones, -20 to 20 (default 0); Google only
+ * - volume: number (optional) - Gain in dB, -96 to 16 (default 0); Google only
+ * - format: 'mp3' | 'opus' | 'wav' (optional) - Output format; otherwise the Accept header
+ *   decides (audio/mpeg, audio/ogg, audio/wav, with q-values), and without either the
+ *   provider's default (MP3, or WAV from the local provider) is used
+ *
+ * Response:
+ * - Audio file in the requested format, with its Content-Type
+ * - 406 if Accept only names audio types this server can't produce
+ * - X-TTS-Provider header - The provider that produced it
+ * - X-TTS-Cache header - 'hit' if the audio came from the server's cache, else 'miss'
+ * - ETag and Cache-Control headers - Clients may reuse the audio for the cache TTL
+ *
+ * If every provider fails: 503 { error, message, code: 'tts_unavailable' }
+ */
+router.get('/text-to-speech', async (req, res, next) => {
+  const abortController = abortOnDisconnect(res);
+
+  try {
+    await sendSpeech(req.query, req.accepts(), res, abortController.signal);
+  } catch (error) {
+    if (abortController.signal.aborted) return;
+    console.error('TTS endpoint error:', error);
+    next(error);
+  }
+});
+
+router.post('/text-to-speech', async (req, res, next) => {
+  const abortController = abortOnDisconnect(res);
+
+  try {
+    await sendSpeech(req.body, req.accepts(), res, abortController.signal);
   } catch (error) {
+    if (abortController.signal.aborted) return;
     console.error('TTS endpoint error:', error);
     next(error);
   }
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const attachmentStore = require('../services/attachmentStore');
+
+// Images are small enough to keep in memory until they are checked and saved
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentStore.IMAGE_MAX_BYTES,
+    files: attachmentStore.MAX_IMAGES_PER_MESSAGE
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images are allowed.'));
+    }
+  }
+});
+
+/**
+ * POST /api/attachments
+ * Upload images to attach to the next message
+ *
+ * Request:
+ * - multipart/form-data with one or more 'images' fields (JPEG, PNG, GIF or WebP, 5MB max each)
+ *
+ * Response:
+ * - attachments: array - { id, mediaType, size } for each image, in order;
+ *   pass the ids as imageIds to /api/chat or /api/chat/stream (201)
+ */
+router.post('/', upload.array('images'), async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: 'No images provided'
+      });
+    }
+
+    const attachments = [];
+    for (const file of req.files) {
+      attachments.push(await attachmentStore.saveImage(file.buffer));
+    }
+
+    res.status(201).json({ attachments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/attachments/:id
+ * Get an attached image
+ *
+ * Response:
+ * - The image file (never changes, so it can be cached)
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const image = await attachmentStore.readImage(req.params.id);
+    if (!image) {
+      return res.status(404).json({
+        error: true,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': image.mediaType,
+      'Content-Length': image.buffer.length,
+      'Cache-Control': 'private, max-age=31536000, immutable'
+    });
+    res.send(image.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
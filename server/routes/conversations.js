@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const conversationStore = require('../services/conversationStore');
+const personaStore = require('../services/personaStore');
+const { validateGenerationSettings } = require('../config/models');
+
+/**
+ * Check that a personaId from a request body refers to an existing persona
+ * @param {*} personaId - Value from the request body
+ * @returns {Promise<string|null>} - Error message, or null if valid (or omitted)
+ */
+async function validatePersonaId(personaId) {
+  if (personaId === undefined || personaId === null) {
+    return null;
+  }
+
+  if (typeof personaId !== 'string' || !(await personaStore.getPersona(personaId))) {
+    return 'Unknown persona';
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/conversations
+ * List all conversations, most recently updated first
+ *
+ * Response:
+ * - conversations: array - { id, title, createdAt, updatedAt, messageCount }
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const conversations = await conversationStore.listConversations();
+    res.json({ conversations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/conversations
+ * Create a new conversation
+ *
+ * Request body:
+ * - title: string (optional) - Defaults to the first message once one is sent
+ * - personaId: string (optional) - Persona to talk to (defaults to the default persona)
+ * - settings: object (optional) - Generation settings { model, maxTokens, temperature, stopSequences }
+ *
+ * Response:
+ * - The new conversation (201)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { title, personaId, settings } = req.body;
+
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({
+        error: true,
+        message: 'Title must be a string'
+      });
+    }
+
+    const personaError = await validatePersonaId(personaId);
+    if (personaError) {
+      return res.status(400).json({
+        error: true,
+        message: personaError
+      });
+    }
+
+    const settingsError = validateGenerationSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({
+        error: true,
+        message: settingsError
+      });
+    }
+
+    const conversation = await conversationStore.createConversation({ title, personaId, settings });
+    res.status(201).json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Get a conversation with all of its messages
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const conversation = await conversationStore.getConversation(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/conversations/:id
+ * Rename a conversation, change its persona or its generation settings
+ *
+ * Request body (at least one):
+ * - title: string - The new title
+ * - personaId: string | null - The persona to use from now on (null for the default)
+ * - settings: object | null - Replaces the generation settings (null for the defaults)
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const { title, personaId, settings } = req.body;
+
+    // Validate request
+    if (title === undefined && personaId === undefined && settings === undefined) {
+      return res.status(400).json({
+        error: true,
+        message: 'Nothing to update: provide a title, personaId or settings'
+      });
+    }
+
+    if (title !== undefined && (!title || typeof title !== 'string' || title.trim() === '')) {
+      return res.status(400).json({
+        error: true,
+        message: 'Title must be a non-empty string'
+      });
+    }
+
+    const personaError = await validatePersonaId(personaId);
+    if (personaError) {
+      return res.status(400).json({
+        error: true,
+        message: personaError
+      });
+    }
+
+    const settingsError = validateGenerationSettings(settings);
+    if (settingsError) {
+      return res.status(400).json({
+        error: true,
+        message: settingsError
+      });
+    }
+
+    const conversation = await conversationStore.updateConversation(req.params.id, { title, personaId, settings });
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/conversations/:id/interruption
+ * Record that the user talked over the last reply. The reply is kept, but only
+ * the part spoken before the interruption is sent to Claude, with a note.
+ *
+ * Request body:
+ * - segments: number - Speech segments of the reply played to the end
+ * - fraction: number - Share of the next segment played, from 0 to 1
+ * - whole: boolean (optional) - The reply was played as one clip and fraction is
+ *   a share of the whole reply (segments is then 0)
+ *
+ * Response:
+ * - message: object - The updated reply
+ */
+router.post('/:id/interruption', async (req, res, next) => {
+  try {
+    const { segments, fraction, whole } = req.body;
+
+    const validationError = conversationStore.validateInterruption({ segments, fraction, whole });
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const conversation = await conversationStore.markInterrupted(req.params.id, { segments, fraction, whole });
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json({ message: conversation.messages[conversation.messages.length - 1] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await conversationStore.deleteConversation(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: true,
+        message: 'Conversation not found'
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
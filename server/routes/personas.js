@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const personaStore = require('../services/personaStore');
+
+/**
+ * GET /api/personas
+ * List all personas
+ *
+ * Response:
+ * - personas: array - { id, name, systemPrompt, voice, language }
+ * - defaultPersonaId: string - Persona used when none is selected
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const personas = await personaStore.listPersonas();
+    res.json({
+      personas,
+      defaultPersonaId: personaStore.DEFAULT_PERSONA_ID
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/personas
+ * Create a persona
+ *
+ * Request body:
+ * - name: string (required) - Display name
+ * - systemPrompt: string (required) - System prompt sent to Claude
+ * - voice: string (optional) - Default Google TTS voice name (e.g., 'ru-RU-Wavenet-C')
+ * - language: string (optional) - Language to speak replies in; null mirrors the speaker
+ *
+ * Response:
+ * - The new persona (201)
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const validationError = personaStore.validatePersona(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const persona = await personaStore.createPersona(req.body);
+    res.status(201).json(persona);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/personas/:id
+ * Get a persona
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const persona = await personaStore.getPersona(req.params.id);
+
+    if (!persona) {
+      return res.status(404).json({
+        error: true,
+        message: 'Persona not found'
+      });
+    }
+
+    res.json(persona);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/personas/:id
+ * Update any of a persona's fields (name, systemPrompt, voice, language)
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const validationError = personaStore.validatePersona(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        error: true,
+        message: validationError
+      });
+    }
+
+    const persona = await personaStore.updatePersona(req.params.id, req.body);
+
+    if (!persona) {
+      return res.status(404).json({
+        error: true,
+        message: 'Persona not found'
+      });
+    }
+
+    res.json(persona);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/personas/:id
+ * Delete a persona (conversations using it fall back to the default persona)
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const deleted = await personaStore.deletePersona(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: true,
+        message: 'Persona not found'
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,381 @@
+/**
+ * Realtime Voice Socket
+ * A WebSocket endpoint (/api/voice-stream) that receives microphone audio
+ * while the user is still speaking and answers on the same socket.
+ *
+ * Client → server:
+ * - { type: 'start', conversationId?, conversationHistory?, personaId?, settings?,
+ *     imageIds?, speech?, transcription?, mimeType? } - Begin a turn (same fields as
+ *     /api/chat/stream; transcription is { language, prompt, temperature } as in /api/transcribe)
+ * - Binary messages - Chunks of the recording, in order
+ * - { type: 'stop' } - The user stopped speaking; transcribe and reply
+ * - { type: 'cancel' } - Abandon the current turn
+ *
+ * Server → client (JSON, one event per message):
+ * - { type: 'partial', transcript } - Transcript of the audio received so far
+ * - { type: 'transcript', transcript, language, quality, confidence } - Final transcript
+ *   (quality and confidence as in /api/transcribe)
+ * - { type: 'delta' | 'tool' | 'segment' | 'done', ... } - As in /api/chat/stream;
+ *   done has reply: null when no speech was detected
+ * - { type: 'error', message, code? } - The turn failed; no further events follow for it
+ *   (code is set for speech-to-text failures, as in /api/transcribe)
+ *
+ * A socket can run any number of turns, one at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const stt = require('../stt');
+const tts = require('../tts');
+const attachmentStore = require('../services/attachmentStore');
+const { loadTurnContext, fitTurnContext, streamTurn } = require('../services/turnService');
+const { validateGenerationSettings } = require('../config/models');
+const { isAuthorized } = require('../middleware/auth');
+const { envInt } = require('../utils/env');
+
+const VOICE_SOCKET_PATH = '/api/voice-stream';
+
+// Same cap as uploaded recordings (OpenAI transcription limit)
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+// Largest single message (a start message carries the client-side history)
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// How often to transcribe the audio received so far (0 = no partial transcripts).
+// Each partial is a transcription request for the whole recording up to that point.
+const PARTIAL_INTERVAL_MS = process.env.REALTIME_PARTIAL_INTERVAL_MS === '0'
+  ? 0
+  : envInt('REALTIME_PARTIAL_INTERVAL_MS', 3000);
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// STT servers work out the format from the file extension
+const EXTENSIONS = {
+  'audio/webm': '.webm',
+  'audio/mp4': '.mp4',
+  'audio/ogg': '.ogg',
+  'audio/wav': '.wav',
+  'audio/mpeg': '.mp3'
+};
+
+/**
+ * Send an event to the client, if it is still connected
+ * @param {WebSocket} ws - Client socket
+ * @param {string} type - Event type
+ * @param {object} data - Event payload
+ */
+function sendEvent(ws, type, data = {}) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ type, ...data }));
+}
+
+/**
+ * Validate a start message
+ * @param {object} message - Parsed start message
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateStart(message) {
+  if (message.conversationHistory !== undefined && !Array.isArray(message.conversationHistory)) {
+    return 'Conversation history must be an array';
+  }
+  if (message.conversationId !== undefined && message.conversationId !== null &&
+      typeof message.conversationId !== 'string') {
+    return 'conversationId must be a string';
+  }
+  return validateGenerationSettings(message.settings) ||
+    attachmentStore.validateImageIds(message.imageIds) ||
+    (message.speech && (tts.validateVoicePreferences(message.speech.voices) || tts.validateProsody(message.speech.prosody))) ||
+    stt.validateTranscriptionOptions(message.transcription);
+}
+
+/**
+ * Write a turn's audio to a temporary file and transcribe it
+ * (the STT layer deletes the file when it is done)
+ * @param {object} turn - The turn whose audio to transcribe
+ * @returns {Promise<{text: string, language: string}>}
+ */
+async function transcribeTurnAudio(turn) {
+  const baseType = (turn.mimeType || 'audio/webm').split(';')[0];
+  const filePath = path.join(UPLOADS_DIR, `stream-${crypto.randomUUID()}${EXTENSIONS[baseType] || '.webm'}`);
+
+  await fs.promises.writeFile(filePath, Buffer.concat(turn.chunks));
+  return stt.transcribeAudio(filePath, { ...turn.transcription, signal: turn.abortController.signal });
+}
+
+/**
+ * Handle one client connection
+ * @param {WebSocket} ws - Client socket
+ */
+function handleConnection(ws) {
+  // The turn in progress, or null between turns
+  let turn = null;
+
+  const endTurn = (ended) => {
+    if (turn !== ended) return;
+    clearInterval(ended.partialTimer);
+    turn = null;
+  };
+
+  const failTurn = (failed, error) => {
+    if (turn !== failed) return;
+    if (!failed.abortController.signal.aborted) {
+      console.error('Voice stream error:', error);
+      sendEvent(ws, 'error', {
+        message: error.message || 'Internal server error',
+        ...(error.errorCode && { code: error.errorCode })
+      });
+    }
+    failed.abortController.abort();
+    endTurn(failed);
+  };
+
+  const cancelTurn = () => {
+    if (!turn) return;
+    console.log('Voice stream turn cancelled');
+    turn.abortController.abort();
+    endTurn(turn);
+  };
+
+  // Transcribe what has arrived so far, one request at a time
+  const sendPartial = async (current) => {
+    if (current.partialRunning || current.stopped || current.bytes === current.partialBytes) return;
+
+    current.partialRunning = true;
+    current.partialBytes = current.bytes;
+    try {
+      const result = await transcribeTurnAudio(current);
+      if (turn === current && !current.stopped) {
+        sendEvent(ws, 'partial', { transcript: result.text.trim() });
+      }
+    } catch (error) {
+      // Partial transcripts are only a preview; the final transcript decides
+      if (!current.abortController.signal.aborted) {
+        console.error('Partial transcription failed:', error.message);
+      }
+    } finally {
+      current.partialRunning = false;
+    }
+  };
+
+  const startTurn = (message) => {
+    if (turn) {
+      sendEvent(ws, 'error', { message: 'A turn is already in progress' });
+      return;
+    }
+
+    const validationError = validateStart(message);
+    if (validationError) {
+      sendEvent(ws, 'error', { message: validationError });
+      return;
+    }
+
+    const current = {
+      mimeType: typeof message.mimeType === 'string' ? message.mimeType : 'audio/webm',
+      conversationId: message.conversationId || null,
+      speech: message.speech || null,
+      transcription: message.transcription || null,
+      chunks: [],
+      bytes: 0,
+      partialBytes: 0,
+      partialRunning: false,
+      stopped: false,
+      abortController: new AbortController(),
+      partialTimer: null,
+      prepared: null
+    };
+    turn = current;
+
+    // Load the conversation while the user is still talking
+    current.prepared = (async () => {
+      const context = await loadTurnContext({
+        conversationId: current.conversationId,
+        conversationHistory: message.conversationHistory || [],
+        personaId: message.personaId,
+        settings: message.settings
+      });
+      if (!context) {
+        throw new Error('Conversation not found');
+      }
+      const images = await attachmentStore.loadImages(message.imageIds || []);
+      return { context, images };
+    })();
+
+    // Report a bad conversation or attachment now rather than after recording
+    current.prepared.catch(error => failTurn(current, error));
+
+    if (PARTIAL_INTERVAL_MS > 0) {
+      current.partialTimer = setInterval(() => sendPartial(current), PARTIAL_INTERVAL_MS);
+    }
+  };
+
+  const receiveAudio = (data) => {
+    // Audio for a turn that already ended (failed or cancelled) is dropped
+    if (!turn || turn.stopped) return;
+
+    turn.chunks.push(data);
+    turn.bytes += data.length;
+
+    if (turn.bytes > MAX_AUDIO_BYTES) {
+      failTurn(turn, new Error(`Recordings must be at most ${MAX_AUDIO_BYTES / 1024 / 1024}MB`));
+    }
+  };
+
+  const finishTurn = async () => {
+    const current = turn;
+    if (!current || current.stopped) return;
+
+    current.stopped = true;
+    clearInterval(current.partialTimer);
+
+    try {
+      const { context, images } = await current.prepared;
+
+      if (current.bytes === 0) {
+        throw new Error('No audio received');
+      }
+
+      const transcription = await transcribeTurnAudio(current);
+      if (turn !== current) return;
+
+      const transcript = transcription.text.trim();
+      sendEvent(ws, 'transcript', {
+        transcript,
+        language: transcription.language,
+        quality: transcription.quality,
+        confidence: transcription.confidence
+      });
+
+      // Nothing to send to Claude
+      if (!transcript) {
+        sendEvent(ws, 'done', { reply: null });
+        endTurn(current);
+        return;
+      }
+
+      const fitted = await fitTurnContext(context, current.conversationId, transcript, {
+        signal: current.abortController.signal
+      });
+      if (turn !== current) return;
+
+      await streamTurn({
+        message: transcript,
+        conversationId: current.conversationId,
+        context,
+        turn: fitted,
+        images,
+        speech: current.speech && { ...current.speech, language: transcription.language },
+        signal: current.abortController.signal,
+        emit: (type, data) => {
+          if (turn === current) sendEvent(ws, type, data);
+        }
+      });
+
+      endTurn(current);
+    } catch (error) {
+      failTurn(current, error);
+    }
+  };
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      receiveAudio(data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (parseError) {
+      message = null;
+    }
+
+    // JSON.parse also accepts null, numbers and strings
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      sendEvent(ws, 'error', { message: 'Messages must be JSON objects or binary audio' });
+      return;
+    }
+
+    if (message.type === 'start') {
+      startTurn(message);
+    } else if (message.type === 'stop') {
+      finishTurn();
+    } else if (message.type === 'cancel') {
+      cancelTurn();
+    } else {
+      sendEvent(ws, 'error', { message: `Unknown message type: ${message.type}` });
+    }
+  });
+
+  ws.on('close', cancelTurn);
+
+  ws.on('error', (error) => {
+    console.error('Voice socket error:', error.message);
+  });
+}
+
+/**
+ * Check that an upgrade request comes from a page served by this app
+ * (browsers send cookies and Basic credentials with cross-site sockets too)
+ * @param {object} req - Node HTTP request
+ * @returns {boolean}
+ */
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reject an upgrade request with a plain HTTP response
+ * @param {object} socket - The request's network socket
+ * @param {number} status - HTTP status code
+ * @param {string} reason - Status text
+ */
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Serve the realtime voice socket on an HTTP server
+ * @param {object} server - The server returned by app.listen()
+ * @returns {WebSocketServer}
+ */
+function attachVoiceSocket(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  wss.on('connection', (ws) => {
+    console.log('Voice socket connected');
+    ws.on('close', () => console.log('Voice socket closed'));
+    handleConnection(ws);
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname !== VOICE_SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+    if (!isAuthorized(req)) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    if (!isSameOrigin(req)) {
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  return wss;
+}
+
+module.exports = {
+  attachVoiceSocket
+};
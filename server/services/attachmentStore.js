@@ -0,0 +1,184 @@
+/**
+ * Attachment Store
+ * Images attached to user messages, stored as files and referenced by id
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { envInt } = require('../utils/env');
+
+// Where attachment files live (override with ATTACHMENTS_DIR)
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(__dirname, '../../data/attachments');
+
+// Claude accepts images up to 5MB each
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGES_PER_MESSAGE = envInt('MAX_IMAGES_PER_MESSAGE', 4);
+
+// Only ids we generated are valid - this also keeps file paths inside ATTACHMENTS_DIR
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Create an error that the error handler reports with a status code
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Work out an image's type from its first bytes (never trust the upload's MIME type)
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} - 'image/jpeg' | 'image/png' | 'image/gif' | 'image/webp', or null
+ */
+function detectImageType(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+
+  return null;
+}
+
+/**
+ * Get the file path for an attachment id
+ * @param {string} id - Attachment id
+ * @returns {string|null} - File path, or null if the id is malformed
+ */
+function attachmentPath(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    return null;
+  }
+  return path.join(ATTACHMENTS_DIR, id);
+}
+
+/**
+ * Validate a list of attachment ids from a request body
+ * @param {Array} ids - Attachment ids
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateImageIds(ids) {
+  if (ids === undefined || ids === null) return null;
+
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    return 'imageIds must be an array of attachment ids';
+  }
+  if (ids.length > MAX_IMAGES_PER_MESSAGE) {
+    return `At most ${MAX_IMAGES_PER_MESSAGE} images can be attached to a message`;
+  }
+
+  return null;
+}
+
+/**
+ * Check that uploaded data is an image Claude accepts
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateImage(buffer) {
+  if (!detectImageType(buffer)) {
+    return 'Unsupported image type. Use JPEG, PNG, GIF or WebP.';
+  }
+  if (buffer.length > IMAGE_MAX_BYTES) {
+    return `Images must be at most ${IMAGE_MAX_BYTES / 1024 / 1024}MB`;
+  }
+  return null;
+}
+
+/**
+ * Save an uploaded image
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<{id: string, mediaType: string, size: number}>}
+ */
+async function saveImage(buffer) {
+  const validationError = validateImage(buffer);
+  if (validationError) {
+    throw httpError(validationError, 400);
+  }
+
+  const mediaType = detectImageType(buffer);
+  await fs.promises.mkdir(ATTACHMENTS_DIR, { recursive: true });
+
+  const id = crypto.randomUUID();
+  await fs.promises.writeFile(attachmentPath(id), buffer);
+  console.log('Image attachment saved:', id, mediaType, buffer.length, 'bytes');
+
+  return { id, mediaType, size: buffer.length };
+}
+
+/**
+ * Read an image attachment
+ * @param {string} id - Attachment id
+ * @returns {Promise<{id: string, mediaType: string, buffer: Buffer}|null>} - Null if it doesn't exist
+ */
+async function readImage(id) {
+  const filePath = attachmentPath(id);
+  if (!filePath) return null;
+
+  try {
+    const buffer = await fs.promises.readFile(filePath);
+    return { id, mediaType: detectImageType(buffer), buffer };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    console.error('Error reading attachment:', id, error);
+    throw new Error('Failed to read attachment');
+  }
+}
+
+/**
+ * Load images for a Claude request
+ * @param {Array<string>} ids - Attachment ids
+ * @returns {Promise<Array<{id: string, mediaType: string, data: string}>>} - Base64 image data
+ */
+async function loadImages(ids = []) {
+  const images = await Promise.all(ids.map(readImage));
+
+  const missing = ids.find((id, index) => !images[index]);
+  if (missing) {
+    throw httpError(`Attachment not found: ${missing}`, 404);
+  }
+
+  return images.map(image => ({
+    id: image.id,
+    mediaType: image.mediaType,
+    data: image.buffer.toString('base64')
+  }));
+}
+
+/**
+ * Delete image attachments (missing files are ignored)
+ * @param {Array<string>} ids - Attachment ids
+ */
+async function deleteImages(ids) {
+  await Promise.all(ids.map(async (id) => {
+    const filePath = attachmentPath(id);
+    if (!filePath) return;
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error deleting attachment:', id, error);
+      }
+    }
+  }));
+}
+
+module.exports = {
+  IMAGE_MAX_BYTES,
+  MAX_IMAGES_PER_MESSAGE,
+  validateImageIds,
+  validateImage,
+  saveImage,
+  readImage,
+  loadImages,
+  deleteImages
+};
@@ -0,0 +1,112 @@
+/**
+ * Context Manager
+ * Keeps conversation history within the context budget by folding older
+ * turns into a running summary and sending recent turns verbatim
+ */
+
+const claudeService = require('./claudeService');
+const { CONTEXT_MAX_TOKENS, CONTEXT_RECENT_TOKENS } = require('../config/context');
+
+/**
+ * Find where the verbatim tail of the history should start
+ * Walks back from the newest message until the recent budget is used up, then
+ * moves forward to a user message so the kept history still starts with the user.
+ * @param {Array} messages - Messages in { role, content } format
+ * @returns {number} - Index of the first message to keep verbatim
+ */
+function findRecentStart(messages) {
+  let start = messages.length;
+  let tokens = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    tokens += claudeService.estimateMessagesTokens([messages[i]]);
+    if (tokens > CONTEXT_RECENT_TOKENS) break;
+    start = i;
+  }
+
+  while (start < messages.length && messages[start].role !== 'user') {
+    start++;
+  }
+
+  return start;
+}
+
+/**
+ * Fit a conversation's history into the context budget for the next turn
+ * Messages already covered by the summary are never sent again. When what is
+ * left is still over budget, the older part is summarized and only the recent
+ * turns are kept. If summarization fails the unsummarized history is used.
+ * @param {Array} history - Every message of the conversation so far
+ * @param {object} summary - Existing summary { text, messageCount } (optional)
+ * @param {string} message - The new user message
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Aborts summarization (the abort is rethrown)
+ * @returns {Promise<{history: Array, summary: object|null, compacted: boolean}>}
+ *   The messages to send, the summary to use and whether it changed
+ */
+async function fitHistory(history, summary, message, { signal } = {}) {
+  const summarizedCount = summary ? Math.min(summary.messageCount, history.length) : 0;
+  const current = {
+    history: history.slice(summarizedCount),
+    summary: summary || null,
+    compacted: false
+  };
+
+  const estimated = claudeService.estimateMessagesTokens(current.history) +
+    claudeService.estimateTokens(message) +
+    claudeService.estimateTokens(summary && summary.text);
+
+  if (estimated <= CONTEXT_MAX_TOKENS) {
+    return current;
+  }
+
+  const keepFrom = findRecentStart(current.history);
+  if (keepFrom === 0) {
+    return current;
+  }
+
+  try {
+    const text = await claudeService.summarizeConversation(
+      current.history.slice(0, keepFrom),
+      summary && summary.text,
+      { signal }
+    );
+
+    console.log(`Summarized ${keepFrom} older messages (~${estimated} tokens, budget ${CONTEXT_MAX_TOKENS})`);
+
+    return {
+      history: current.history.slice(keepFrom),
+      summary: {
+        text: text,
+        messageCount: summarizedCount + keepFrom,
+        updatedAt: new Date().toISOString()
+      },
+      compacted: true
+    };
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+
+    console.error('Context summarization failed, sending full history:', error.message);
+    return current;
+  }
+}
+
+/**
+ * Add the conversation summary to a system prompt
+ * @param {string} system - The persona's system prompt (optional)
+ * @param {object} summary - Conversation summary { text } (optional)
+ * @returns {string|undefined} - The combined system prompt
+ */
+function withSummary(system, summary) {
+  if (!summary || !summary.text) return system;
+
+  const summaryBlock = `Summary of the earlier part of this conversation (older messages are not shown):\n${summary.text}`;
+  return system ? `${system}\n\n${summaryBlock}` : summaryBlock;
+}
+
+module.exports = {
+  fitHistory,
+  withSummary
+};
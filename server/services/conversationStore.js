@@ -0,0 +1,383 @@
+/**
+ * Conversation Store
+ * File-backed persistence for conversations (one JSON file per conversation)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const attachmentStore = require('./attachmentStore');
+const { spokenPrefix } = require('../utils/speechText');
+
+// Where conversation files live (override with CONVERSATIONS_DIR)
+const STORE_DIR = process.env.CONVERSATIONS_DIR || path.join(__dirname, '../../data/conversations');
+
+const DEFAULT_TITLE = 'New conversation';
+const TITLE_MAX_LENGTH = 60;
+
+// Appended to a reply the user talked over, so Claude knows where they stopped listening
+const INTERRUPTION_NOTE = '[The user interrupted here and did not hear the rest of this reply.]';
+
+// Stands in for a reply with no text (only tool calls, or a stop sequence at the start):
+// Claude rejects empty assistant messages anywhere but at the end
+const EMPTY_REPLY_NOTE = '[No text reply.]';
+
+// Only ids we generated are valid - this also keeps file paths inside STORE_DIR
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Per-conversation write queues so concurrent updates don't clobber each other
+const writeQueues = new Map();
+
+/**
+ * Make sure the store directory exists
+ */
+function ensureStoreDir() {
+  if (!fs.existsSync(STORE_DIR)) {
+    fs.mkdirSync(STORE_DIR, { recursive: true });
+    console.log('Created conversation store directory:', STORE_DIR);
+  }
+}
+
+/**
+ * Get the file path for a conversation id
+ * @param {string} id - Conversation id
+ * @returns {string|null} - File path, or null if the id is malformed
+ */
+function conversationPath(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    return null;
+  }
+  return path.join(STORE_DIR, `${id}.json`);
+}
+
+/**
+ * Read a conversation file
+ * @param {string} id - Conversation id
+ * @returns {Promise<object|null>} - The conversation, or null if it doesn't exist
+ */
+async function readConversation(id) {
+  const filePath = conversationPath(id);
+  if (!filePath) return null;
+
+  try {
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    console.error('Error reading conversation:', id, error);
+    throw new Error('Failed to read conversation');
+  }
+}
+
+/**
+ * Write a conversation file atomically (write to temp file, then rename)
+ * @param {object} conversation - The conversation to save
+ */
+async function writeConversation(conversation) {
+  ensureStoreDir();
+  const filePath = conversationPath(conversation.id);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.promises.writeFile(tempPath, JSON.stringify(conversation, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Run a read-modify-write update on a conversation, one at a time per id
+ * @param {string} id - Conversation id
+ * @param {Function} updater - Receives the conversation and mutates it
+ * @returns {Promise<object|null>} - The updated conversation, or null if not found
+ */
+function updateWithLock(id, updater) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const conversation = await readConversation(id);
+    if (!conversation) return null;
+
+    updater(conversation);
+    conversation.updatedAt = new Date().toISOString();
+
+    await writeConversation(conversation);
+    return conversation;
+  });
+
+  writeQueues.set(id, next);
+
+  // Drop the queue entry once nothing else is waiting on it
+  next.catch(() => {}).then(() => {
+    if (writeQueues.get(id) === next) {
+      writeQueues.delete(id);
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Make a short title from the first user message
+ * @param {string} text - The message text
+ * @returns {string}
+ */
+function titleFromMessage(text) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= TITLE_MAX_LENGTH) return singleLine;
+  return singleLine.substring(0, TITLE_MAX_LENGTH - 1).trim() + '…';
+}
+
+/**
+ * Create a new, empty conversation
+ * @param {object} options - { title, personaId, settings }
+ * @returns {Promise<object>} - The new conversation
+ */
+async function createConversation({ title, personaId, settings } = {}) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    title: (title && title.trim()) || DEFAULT_TITLE,
+    personaId: personaId || null,
+    settings: settings || {},
+    createdAt: now,
+    updatedAt: now,
+    messages: []
+  };
+
+  await writeConversation(conversation);
+  console.log('Conversation created:', conversation.id);
+
+  return conversation;
+}
+
+/**
+ * List all conversations (without their messages), most recently updated first
+ * @returns {Promise<Array>} - Conversation summaries
+ */
+async function listConversations() {
+  ensureStoreDir();
+
+  const files = (await fs.promises.readdir(STORE_DIR)).filter(file => file.endsWith('.json'));
+  const conversations = await Promise.all(
+    files.map(file => readConversation(path.basename(file, '.json')).catch(() => null))
+  );
+
+  return conversations
+    .filter(Boolean)
+    .map(conversation => ({
+      id: conversation.id,
+      title: conversation.title,
+      personaId: conversation.personaId || null,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation.messages.length,
+      summarizedMessages: conversation.summary ? conversation.summary.messageCount : 0
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get a conversation with all of its messages
+ * @param {string} id - Conversation id
+ * @returns {Promise<object|null>}
+ */
+async function getConversation(id) {
+  return readConversation(id);
+}
+
+/**
+ * Rename a conversation, change its persona or its generation settings
+ * @param {string} id - Conversation id
+ * @param {object} changes - { title, personaId, settings } (any may be omitted)
+ * @returns {Promise<object|null>} - The updated conversation, or null if not found
+ */
+async function updateConversation(id, { title, personaId, settings } = {}) {
+  return updateWithLock(id, (conversation) => {
+    if (title !== undefined) {
+      conversation.title = title.trim();
+    }
+    if (personaId !== undefined) {
+      conversation.personaId = personaId || null;
+    }
+    if (settings !== undefined) {
+      conversation.settings = settings || {};
+    }
+  });
+}
+
+/**
+ * Delete a conversation and its image attachments
+ * @param {string} id - Conversation id
+ * @returns {Promise<boolean>} - True if it existed
+ */
+async function deleteConversation(id) {
+  const filePath = conversationPath(id);
+  if (!filePath) return false;
+
+  // Wait for pending writes so a delete can't be undone by a late append
+  await (writeQueues.get(id) || Promise.resolve()).catch(() => {});
+
+  const conversation = await readConversation(id);
+
+  try {
+    await fs.promises.unlink(filePath);
+    console.log('Conversation deleted:', id);
+
+    if (conversation) {
+      await attachmentStore.deleteImages(
+        conversation.messages.flatMap(message => (message.images || []).map(image => image.id))
+      );
+    }
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    console.error('Error deleting conversation:', id, error);
+    throw new Error('Failed to delete conversation');
+  }
+}
+
+/**
+ * Append messages to a conversation
+ * The first user message also becomes the title if none was given.
+ * @param {string} id - Conversation id
+ * @param {Array} messages - Messages in { role, content, images? } format
+ * @returns {Promise<object|null>} - The updated conversation, or null if not found
+ */
+async function appendMessages(id, messages) {
+  const now = new Date().toISOString();
+
+  return updateWithLock(id, (conversation) => {
+    if (conversation.title === DEFAULT_TITLE && conversation.messages.length === 0) {
+      const firstUserMessage = messages.find(message => message.role === 'user');
+      if (firstUserMessage) {
+        conversation.title = titleFromMessage(firstUserMessage.content);
+      }
+    }
+
+    messages.forEach(message => {
+      conversation.messages.push({ ...message, createdAt: now });
+    });
+  });
+}
+
+/**
+ * Record where the user talked over the last reply
+ * The reply is kept as written; Claude is only sent the part that was spoken.
+ * @param {string} id - Conversation id
+ * @param {object} position - { segments, fraction, whole } where playback stopped (see spokenPrefix)
+ * @returns {Promise<object|null>} - The updated conversation, or null if not found
+ */
+async function markInterrupted(id, { segments, fraction, whole = false }) {
+  return updateWithLock(id, (conversation) => {
+    const last = conversation.messages[conversation.messages.length - 1];
+    if (!last || last.role !== 'assistant') {
+      const error = new Error('The conversation does not end with a reply');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    last.interrupted = { segments, fraction, ...(whole && { whole }) };
+  });
+}
+
+/**
+ * Validate where playback of a reply stopped
+ * @param {object} position - { segments, fraction, whole }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateInterruption(position) {
+  if (!position || typeof position !== 'object') {
+    return 'The interruption must be an object with segments and fraction';
+  }
+
+  const { segments, fraction, whole } = position;
+  if (!Number.isInteger(segments) || segments < 0) {
+    return 'segments must be a non-negative integer';
+  }
+  if (typeof fraction !== 'number' || !(fraction >= 0 && fraction <= 1)) {
+    return 'fraction must be a number from 0 to 1';
+  }
+  if (whole !== undefined && typeof whole !== 'boolean') {
+    return 'whole must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * The text Claude is sent for an interrupted reply: what was spoken, then a note
+ * @param {string} content - The reply as written
+ * @param {object|boolean} interrupted - { segments, fraction, whole }; anything else (such as
+ *   true for a reply that was cut down when it was stored) keeps the whole text
+ * @returns {string}
+ */
+function interruptedContent(content, interrupted) {
+  const heard = validateInterruption(interrupted) ? content : spokenPrefix(content, interrupted);
+  return `${heard} ${INTERRUPTION_NOTE}`.trim();
+}
+
+/**
+ * Store the running summary of a conversation's older messages
+ * @param {string} id - Conversation id
+ * @param {object} summary - { text, messageCount, updatedAt } where messageCount is
+ *   how many of the oldest messages the summary covers
+ * @returns {Promise<object|null>} - The updated conversation, or null if not found
+ */
+async function saveSummary(id, summary) {
+  return updateWithLock(id, (conversation) => {
+    conversation.summary = summary;
+  });
+}
+
+/**
+ * Convert a stored conversation into Claude API message format
+ * Attached images are loaded and sent as image blocks before the text,
+ * interrupted replies are cut to what was spoken and end with a note saying so,
+ * and empty replies saved by older versions are replaced with EMPTY_REPLY_NOTE.
+ * @param {object} conversation - A stored conversation
+ * @returns {Promise<Array>} - Messages with only role and content
+ */
+async function toClaudeMessages(conversation) {
+  return Promise.all(conversation.messages.map(async (message) => {
+    if (message.interrupted) {
+      return { role: message.role, content: interruptedContent(message.content, message.interrupted) };
+    }
+
+    if (message.role === 'assistant' && !message.content.trim()) {
+      return { role: message.role, content: EMPTY_REPLY_NOTE };
+    }
+
+    if (!message.images || message.images.length === 0) {
+      return { role: message.role, content: message.content };
+    }
+
+    const images = await Promise.all(message.images.map(image => attachmentStore.readImage(image.id)));
+    const available = images.filter(Boolean);
+    const missingNote = available.length < images.length
+      ? `[${images.length - available.length} attached image(s) no longer available] `
+      : '';
+
+    return {
+      role: message.role,
+      content: [
+        ...available.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mediaType, data: image.buffer.toString('base64') }
+        })),
+        { type: 'text', text: missingNote + message.content }
+      ]
+    };
+  }));
+}
+
+module.exports = {
+  createConversation,
+  listConversations,
+  getConversation,
+  updateConversation,
+  deleteConversation,
+  appendMessages,
+  markInterrupted,
+  saveSummary,
+  toClaudeMessages,
+  validateInterruption,
+  interruptedContent,
+  EMPTY_REPLY_NOTE
+};
@@ -0,0 +1,121 @@
+/**
+ * Note Store
+ * A small local notes store used by the notes tools.
+ * Stored in a single JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Where notes are saved (override with NOTES_FILE)
+const NOTES_FILE = process.env.NOTES_FILE || path.join(__dirname, '../../data/notes.json');
+
+const NOTE_MAX_LENGTH = 2000;
+
+// Serializes writes to the notes file
+let writeQueue = Promise.resolve();
+
+/**
+ * Read all notes from disk
+ * @returns {Promise<Array>}
+ */
+async function readNotes() {
+  try {
+    const data = await fs.promises.readFile(NOTES_FILE, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    console.error('Error reading notes file:', error);
+    throw new Error('Failed to read notes');
+  }
+}
+
+/**
+ * Write all notes to disk atomically
+ * @param {Array} notes
+ */
+async function writeNotes(notes) {
+  await fs.promises.mkdir(path.dirname(NOTES_FILE), { recursive: true });
+  const tempPath = `${NOTES_FILE}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(notes, null, 2));
+  await fs.promises.rename(tempPath, NOTES_FILE);
+}
+
+/**
+ * Run a read-modify-write on the notes file, one at a time
+ * @param {Function} updater - Receives the notes array; its return value is passed through
+ * @returns {Promise<*>}
+ */
+function updateNotes(updater) {
+  const next = writeQueue.catch(() => {}).then(async () => {
+    const notes = await readNotes();
+    const result = updater(notes);
+    await writeNotes(notes);
+    return result;
+  });
+
+  writeQueue = next;
+  return next;
+}
+
+/**
+ * Save a new note
+ * @param {string} text - The note text
+ * @returns {Promise<object>} - The saved note { id, text, createdAt }
+ */
+async function addNote(text) {
+  if (!text || typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Note text is required');
+  }
+  if (text.length > NOTE_MAX_LENGTH) {
+    throw new Error(`Note must be at most ${NOTE_MAX_LENGTH} characters`);
+  }
+
+  const note = {
+    id: crypto.randomUUID().slice(0, 8),
+    text: text.trim(),
+    createdAt: new Date().toISOString()
+  };
+
+  await updateNotes(notes => notes.push(note));
+  console.log('Note saved:', note.id);
+
+  return note;
+}
+
+/**
+ * Find notes containing every word of a query (all notes if no query), newest first
+ * @param {string} query - Words to search for (optional)
+ * @returns {Promise<Array>}
+ */
+async function searchNotes(query) {
+  const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const notes = await readNotes();
+
+  return notes
+    .filter(note => words.every(word => note.text.toLowerCase().includes(word)))
+    .reverse();
+}
+
+/**
+ * Delete a note
+ * @param {string} id - Note id
+ * @returns {Promise<boolean>} - True if it existed
+ */
+async function deleteNote(id) {
+  return updateNotes(notes => {
+    const index = notes.findIndex(note => note.id === id);
+    if (index === -1) return false;
+
+    notes.splice(index, 1);
+    console.log('Note deleted:', id);
+    return true;
+  });
+}
+
+module.exports = {
+  addNote,
+  searchNotes,
+  deleteNote
+};
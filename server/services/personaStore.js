@@ -0,0 +1,272 @@
+/**
+ * Persona Store
+ * Named personas with their own system prompt, TTS voice and language.
+ * Stored in a single JSON file, seeded with a few built-in personas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const tts = require('../tts');
+const { findLanguage } = require('../../shared/languages');
+
+// Where personas are saved (override with PERSONAS_FILE)
+const PERSONAS_FILE = process.env.PERSONAS_FILE || path.join(__dirname, '../../data/personas.json');
+
+// Used when a conversation has no persona (or its persona was deleted)
+const DEFAULT_PERSONA_ID = 'assistant';
+
+// Personas written to the file the first time the store is used
+const BUILT_IN_PERSONAS = [
+  {
+    id: 'assistant',
+    name: 'Voice Assistant',
+    systemPrompt: 'You are a helpful voice assistant. Your replies are spoken aloud, so keep them ' +
+      'short and conversational: a few sentences, no markdown, no lists unless asked. ' +
+      'Answer in the language the user speaks.',
+    voice: null,
+    language: null // Mirror the speaker's language
+  },
+  {
+    id: 'russian-tutor',
+    name: 'Russian Tutor',
+    systemPrompt: 'You are a patient Russian language tutor. Speak mostly in simple Russian suited to ' +
+      'the learner\'s level. When the learner makes a mistake, repeat the corrected phrase and briefly ' +
+      'explain the correction in English. Keep each reply short so it works well as speech, and end ' +
+      'with a question that keeps the conversation going.',
+    voice: 'ru-RU-Wavenet-C',
+    language: 'ru'
+  },
+  {
+    id: 'interview-coach',
+    name: 'Interview Coach',
+    systemPrompt: 'You are an experienced interview coach running a mock job interview. Ask one ' +
+      'question at a time, wait for the answer, then give brief, specific feedback on structure, ' +
+      'clarity and content before asking the next question. Keep replies concise because they are ' +
+      'spoken aloud.',
+    voice: 'en-US-Neural2-D',
+    language: 'en'
+  }
+];
+
+const NAME_MAX_LENGTH = 80;
+const SYSTEM_PROMPT_MAX_LENGTH = 10000;
+
+// Serializes writes to the personas file
+let writeQueue = Promise.resolve();
+
+/**
+ * Read all personas from disk, seeding the file with built-ins on first use
+ * @returns {Promise<Array>}
+ */
+async function readPersonas() {
+  try {
+    const data = await fs.promises.readFile(PERSONAS_FILE, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading personas file:', error);
+      throw new Error('Failed to read personas');
+    }
+
+    await writePersonas(BUILT_IN_PERSONAS);
+    console.log('Personas file created with built-in personas:', PERSONAS_FILE);
+    return BUILT_IN_PERSONAS.map(persona => ({ ...persona }));
+  }
+}
+
+/**
+ * Write all personas to disk atomically
+ * @param {Array} personas
+ */
+async function writePersonas(personas) {
+  await fs.promises.mkdir(path.dirname(PERSONAS_FILE), { recursive: true });
+  const tempPath = `${PERSONAS_FILE}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(personas, null, 2));
+  await fs.promises.rename(tempPath, PERSONAS_FILE);
+}
+
+/**
+ * Run a read-modify-write on the personas file, one at a time
+ * @param {Function} updater - Receives the personas array; its return value is passed through
+ * @returns {Promise<*>}
+ */
+function updatePersonas(updater) {
+  const next = writeQueue.catch(() => {}).then(async () => {
+    const personas = await readPersonas();
+    const result = updater(personas);
+    await writePersonas(personas);
+    return result;
+  });
+
+  writeQueue = next;
+  return next;
+}
+
+/**
+ * Validate persona fields from a request body
+ * @param {object} fields - { name, systemPrompt, voice, language }
+ * @param {boolean} partial - Allow missing required fields (for updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validatePersona(fields, partial = false) {
+  const { name, systemPrompt, voice, language } = fields;
+
+  if (!partial || name !== undefined) {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return 'Name is required and must be a non-empty string';
+    }
+    if (name.length > NAME_MAX_LENGTH) {
+      return `Name must be at most ${NAME_MAX_LENGTH} characters`;
+    }
+  }
+
+  if (!partial || systemPrompt !== undefined) {
+    if (!systemPrompt || typeof systemPrompt !== 'string' || systemPrompt.trim() === '') {
+      return 'System prompt is required and must be a non-empty string';
+    }
+    if (systemPrompt.length > SYSTEM_PROMPT_MAX_LENGTH) {
+      return `System prompt must be at most ${SYSTEM_PROMPT_MAX_LENGTH} characters`;
+    }
+  }
+
+  // A made-up voice would only fail at the provider (and count against its circuit breaker)
+  if (voice !== undefined && voice !== null) {
+    if (typeof voice !== 'string') {
+      return 'Voice must be a string or null';
+    }
+    if (voice && !tts.findVoice(voice)) {
+      return `Unknown voice: ${voice} (see GET /api/voices)`;
+    }
+  }
+
+  if (language !== undefined && language !== null) {
+    if (typeof language !== 'string') {
+      return 'Language must be a string or null';
+    }
+    if (language && !findLanguage(language)) {
+      return `Unknown language: ${language}`;
+    }
+  }
+
+  if (voice && language && !tts.listVoices(language).some(candidate => candidate.id === voice)) {
+    return `Voice ${voice} does not speak ${language}`;
+  }
+
+  return null;
+}
+
+/**
+ * Pick only the editable persona fields from a request body
+ * @param {object} fields
+ * @returns {object}
+ */
+function pickPersonaFields({ name, systemPrompt, voice, language }) {
+  const picked = {};
+  if (name !== undefined) picked.name = name.trim();
+  if (systemPrompt !== undefined) picked.systemPrompt = systemPrompt.trim();
+  if (voice !== undefined) picked.voice = voice || null;
+  if (language !== undefined) picked.language = language || null;
+  return picked;
+}
+
+/**
+ * List all personas
+ * @returns {Promise<Array>}
+ */
+async function listPersonas() {
+  return readPersonas();
+}
+
+/**
+ * Get a persona by id
+ * @param {string} id - Persona id
+ * @returns {Promise<object|null>}
+ */
+async function getPersona(id) {
+  const personas = await readPersonas();
+  return personas.find(persona => persona.id === id) || null;
+}
+
+/**
+ * Get the persona to use for a turn, falling back to the default persona
+ * @param {string} id - Persona id (optional)
+ * @returns {Promise<object>}
+ */
+async function resolvePersona(id) {
+  const personas = await readPersonas();
+  return personas.find(persona => persona.id === id) ||
+    personas.find(persona => persona.id === DEFAULT_PERSONA_ID) ||
+    BUILT_IN_PERSONAS[0];
+}
+
+/**
+ * Create a persona
+ * @param {object} fields - { name, systemPrompt, voice, language }
+ * @returns {Promise<object>} - The new persona
+ */
+async function createPersona(fields) {
+  const picked = pickPersonaFields(fields);
+  const persona = {
+    id: crypto.randomUUID(),
+    name: picked.name,
+    systemPrompt: picked.systemPrompt,
+    voice: picked.voice || null,
+    language: picked.language || null
+  };
+
+  await updatePersonas(personas => {
+    personas.push(persona);
+  });
+
+  console.log('Persona created:', persona.id, persona.name);
+  return persona;
+}
+
+/**
+ * Update a persona
+ * @param {string} id - Persona id
+ * @param {object} fields - Any of { name, systemPrompt, voice, language }
+ * @returns {Promise<object|null>} - The updated persona, or null if not found
+ */
+async function updatePersona(id, fields) {
+  return updatePersonas(personas => {
+    const persona = personas.find(p => p.id === id);
+    if (!persona) return null;
+
+    Object.assign(persona, pickPersonaFields(fields));
+    return persona;
+  });
+}
+
+/**
+ * Delete a persona (the default persona cannot be deleted)
+ * @param {string} id - Persona id
+ * @returns {Promise<boolean>} - True if it existed and was deleted
+ */
+async function deletePersona(id) {
+  if (id === DEFAULT_PERSONA_ID) {
+    const error = new Error('The default persona cannot be deleted');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return updatePersonas(personas => {
+    const index = personas.findIndex(persona => persona.id === id);
+    if (index === -1) return false;
+
+    personas.splice(index, 1);
+    return true;
+  });
+}
+
+module.exports = {
+  DEFAULT_PERSONA_ID,
+  validatePersona,
+  listPersonas,
+  getPersona,
+  resolvePersona,
+  createPersona,
+  updatePersona,
+  deletePersona
+};
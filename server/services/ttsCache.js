@@ -0,0 +1,259 @@
+/**
+ * TTS Cache
+ * Synthesized audio stored on disk, addressed by a hash of everything that
+ * shapes it (provider, format, voice, language, speaking style and the text
+ * or SSML). Entries expire after TTS_CACHE_TTL_HOURS; when the cache grows past
+ * TTS_CACHE_MAX_MB the least recently used entries are removed.
+ *
+ * Each entry is two files: <key>.audio and <key>.json ({ provider, mimeType,
+ * etag, size, createdAt }). The file's modification time records when it was
+ * last used, so recency survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { envInt } = require('../utils/env');
+
+// Where cached audio lives (override with TTS_CACHE_DIR)
+const CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(__dirname, '../../data/tts-cache');
+
+const CACHE_CONFIG = {
+  enabled: process.env.TTS_CACHE !== 'off',
+  maxBytes: envInt('TTS_CACHE_MAX_MB', 100) * 1024 * 1024,
+  ttl: envInt('TTS_CACHE_TTL_HOURS', 24 * 7) * 60 * 60 * 1000
+};
+
+// Keys are sha256 hex digests - this also keeps file paths inside CACHE_DIR
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Entries by key, least recently used first: { size, createdAt }
+let index = null;
+let indexLoading = null;
+
+/**
+ * Compute the cache key for a synthesis
+ * @param {object} input
+ * @param {string} input.provider - Provider name
+ * @param {string} input.format - Output format, e.g. 'mp3'
+ * @param {string} input.voice - Requested voice id (optional)
+ * @param {string} input.language - Requested language
+ * @param {object} input.prosody - Speaking style { rate, pitch, volume } with defaults filled in
+ * @param {string} input.text - Text to speak
+ * @param {string} input.ssml - SSML to speak (optional)
+ * @returns {string} - Hex digest
+ */
+function cacheKey({ provider, format, voice, language, prosody, text, ssml }) {
+  const { rate, pitch, volume } = prosody;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([provider, format, voice || null, language, rate, pitch, volume, text, ssml || null]))
+    .digest('hex');
+}
+
+/**
+ * Get the file paths of an entry
+ * @param {string} key
+ * @returns {{audio: string, meta: string}}
+ */
+function entryPaths(key) {
+  return {
+    audio: path.join(CACHE_DIR, `${key}.audio`),
+    meta: path.join(CACHE_DIR, `${key}.json`)
+  };
+}
+
+/**
+ * Load the index of cached entries from disk (once)
+ * @returns {Promise<Map>}
+ */
+function loadIndex() {
+  if (index) return Promise.resolve(index);
+
+  if (!indexLoading) {
+    indexLoading = (async () => {
+      const entries = [];
+      let files = [];
+      try {
+        files = await fs.promises.readdir(CACHE_DIR);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Error reading TTS cache:', error);
+        }
+      }
+
+      await Promise.all(files.filter(file => file.endsWith('.json')).map(async (file) => {
+        const key = file.slice(0, -'.json'.length);
+        if (!KEY_PATTERN.test(key)) return;
+
+        try {
+          const paths = entryPaths(key);
+          const meta = JSON.parse(await fs.promises.readFile(paths.meta, 'utf8'));
+          const stats = await fs.promises.stat(paths.audio);
+          entries.push({ key, size: stats.size, createdAt: meta.createdAt, usedAt: stats.mtimeMs });
+        } catch (error) {
+          // Half-written entries are cleaned up below
+          await removeFiles(key);
+        }
+      }));
+
+      index = new Map(entries
+        .sort((a, b) => a.usedAt - b.usedAt)
+        .map(({ key, size, createdAt }) => [key, { size, createdAt }]));
+
+      console.log(`TTS cache: ${index.size} entries, ${Math.round(totalSize() / 1024)}KB`);
+      await evict();
+      return index;
+    })();
+  }
+
+  return indexLoading;
+}
+
+/**
+ * Total size of the cached audio
+ * @returns {number} - Bytes
+ */
+function totalSize() {
+  let size = 0;
+  index.forEach(entry => { size += entry.size; });
+  return size;
+}
+
+/**
+ * Delete an entry's files (missing files are ignored)
+ * @param {string} key
+ */
+async function removeFiles(key) {
+  const paths = entryPaths(key);
+  await Promise.all([paths.audio, paths.meta].map(async (filePath) => {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error deleting TTS cache file:', filePath, error);
+      }
+    }
+  }));
+}
+
+/**
+ * Remove an entry from the index and disk
+ * @param {string} key
+ */
+async function remove(key) {
+  index.delete(key);
+  await removeFiles(key);
+}
+
+/**
+ * Remove expired entries, then least recently used ones until the cache fits
+ */
+async function evict() {
+  const now = Date.now();
+  const removals = [];
+
+  index.forEach((entry, key) => {
+    if (now - entry.createdAt > CACHE_CONFIG.ttl) {
+      removals.push(key);
+    }
+  });
+  removals.forEach(key => index.delete(key));
+
+  // Map iteration is oldest use first
+  let size = totalSize();
+  for (const [key, entry] of index) {
+    if (size <= CACHE_CONFIG.maxBytes) break;
+    size -= entry.size;
+    removals.push(key);
+    index.delete(key);
+  }
+
+  await Promise.all(removals.map(removeFiles));
+}
+
+/**
+ * Look up cached audio
+ * @param {string} key - From cacheKey()
+ * @returns {Promise<{audio: Buffer, mimeType: string, provider: string, etag: string}|null>}
+ *   Null on a miss (or when the cache is off)
+ */
+async function get(key) {
+  if (!CACHE_CONFIG.enabled || !KEY_PATTERN.test(key)) return null;
+
+  await loadIndex();
+  const entry = index.get(key);
+  if (!entry) return null;
+
+  if (Date.now() - entry.createdAt > CACHE_CONFIG.ttl) {
+    await remove(key);
+    return null;
+  }
+
+  try {
+    const paths = entryPaths(key);
+    const [audio, meta] = await Promise.all([
+      fs.promises.readFile(paths.audio),
+      fs.promises.readFile(paths.meta, 'utf8').then(JSON.parse)
+    ]);
+
+    // Most recently used goes to the end
+    index.delete(key);
+    index.set(key, entry);
+    const now = new Date();
+    fs.promises.utimes(paths.audio, now, now).catch(() => {});
+
+    return { audio, mimeType: meta.mimeType, provider: meta.provider, etag: meta.etag };
+  } catch (error) {
+    console.error('Error reading TTS cache entry:', key, error.message);
+    await remove(key);
+    return null;
+  }
+}
+
+/**
+ * Store synthesized audio
+ * Failures are logged, never thrown - the audio is still good to send.
+ * @param {string} key - From cacheKey()
+ * @param {object} speech - { audio: Buffer, mimeType: string, provider: string }
+ * @returns {Promise<string>} - The audio's ETag
+ */
+async function set(key, { audio, mimeType, provider }) {
+  const etag = `"${crypto.createHash('sha1').update(audio).digest('hex')}"`;
+  if (!CACHE_CONFIG.enabled || !KEY_PATTERN.test(key) || audio.length > CACHE_CONFIG.maxBytes) {
+    return etag;
+  }
+
+  try {
+    await loadIndex();
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+
+    const paths = entryPaths(key);
+    const createdAt = Date.now();
+    await fs.promises.writeFile(paths.audio, audio);
+    await fs.promises.writeFile(paths.meta, JSON.stringify({ provider, mimeType, etag, size: audio.length, createdAt }));
+
+    index.delete(key);
+    index.set(key, { size: audio.length, createdAt });
+    await evict();
+  } catch (error) {
+    console.error('Error writing TTS cache entry:', key, error.message);
+  }
+
+  return etag;
+}
+
+/**
+ * How long clients may reuse cached audio
+ * @returns {number} - Seconds
+ */
+function maxAge() {
+  return Math.floor(CACHE_CONFIG.ttl / 1000);
+}
+
+module.exports = {
+  cacheKey,
+  get,
+  set,
+  maxAge
+};
@@ -0,0 +1,274 @@
+/**
+ * Turn Service
+ * The steps of a conversation turn shared by the HTTP routes and the
+ * realtime voice socket: loading context, streaming Claude's reply,
+ * speaking it sentence by sentence and saving the result
+ */
+
+const claudeService = require('./claudeService');
+const conversationStore = require('./conversationStore');
+const personaStore = require('./personaStore');
+const contextManager = require('./contextManager');
+const tts = require('../tts');
+const { resolveGenerationSettings } = require('../config/models');
+const { createSentenceSegmenter } = require('../utils/sentenceSegmenter');
+const { prepareSpeech } = require('../utils/speechText');
+
+/**
+ * Load the history, persona and generation settings to use for a turn
+ * A stored conversation is the source of truth; the client-supplied
+ * conversationHistory and personaId are only used when no conversationId is given.
+ * Client-supplied replies marked interrupted ({ segments, fraction, whole }) are cut to
+ * what was spoken, as stored ones are.
+ * Request settings override the conversation's stored settings for this turn only.
+ * @param {object} request - Fields from the request body
+ * @param {string} request.conversationId - Stored conversation id (optional)
+ * @param {Array} request.conversationHistory - Client-supplied history (fallback)
+ * @param {string} request.personaId - Client-selected persona (fallback)
+ * @param {object} request.settings - Generation settings for this turn (already validated)
+ * @returns {Promise<{history: Array, summary: object|null, persona: object, settings: object}|null>}
+ *   Null if the conversation doesn't exist
+ */
+async function loadTurnContext({ conversationId, conversationHistory, personaId, settings }) {
+  if (!conversationId) {
+    return {
+      history: conversationHistory.map(clientHistoryEntry),
+      summary: null,
+      persona: await personaStore.resolvePersona(personaId),
+      settings: resolveGenerationSettings(settings)
+    };
+  }
+
+  const conversation = await conversationStore.getConversation(conversationId);
+  if (!conversation) return null;
+
+  return {
+    history: await conversationStore.toClaudeMessages(conversation),
+    summary: conversation.summary || null,
+    persona: await personaStore.resolvePersona(conversation.personaId),
+    settings: resolveGenerationSettings(conversation.settings, settings)
+  };
+}
+
+/**
+ * Turn an entry of a client-supplied history into a Claude message
+ * Only a text reply can be cut at an interruption; on anything else the field is dropped.
+ * @param {object} entry - { role, content, interrupted? }
+ * @returns {object}
+ */
+function clientHistoryEntry(entry) {
+  if (!entry || !entry.interrupted) return entry;
+
+  const { role, content, interrupted } = entry;
+  if (role !== 'assistant' || typeof content !== 'string') {
+    return { role, content };
+  }
+  return { role, content: conversationStore.interruptedContent(content, interrupted) };
+}
+
+/**
+ * Fit a turn's history into the context window
+ * Older turns are folded into a running summary, which is saved with a stored
+ * conversation; client-supplied histories are summarized again on every turn
+ * that goes over budget.
+ * @param {object} context - Result of loadTurnContext
+ * @param {string} conversationId - Stored conversation id (optional)
+ * @param {string} message - The new user message
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Aborts summarization (optional)
+ * @returns {Promise<{history: Array, system: string, summarizedMessages: number}>}
+ */
+async function fitTurnContext(context, conversationId, message, { signal } = {}) {
+  const fitted = await contextManager.fitHistory(context.history, context.summary, message, { signal });
+
+  if (fitted.compacted && conversationId) {
+    await conversationStore.saveSummary(conversationId, fitted.summary);
+  }
+
+  return {
+    history: fitted.history,
+    system: contextManager.withSummary(context.persona.systemPrompt, fitted.summary),
+    summarizedMessages: fitted.summary ? fitted.summary.messageCount : 0
+  };
+}
+
+/**
+ * Describe how a turn's context was built, for the client
+ * @param {object} turn - Result of fitTurnContext
+ * @param {object} response - Claude's response { usage }
+ * @returns {{summarizedMessages: number, inputTokens: number}}
+ */
+function contextInfo(turn, response) {
+  return {
+    summarizedMessages: turn.summarizedMessages,
+    inputTokens: response.usage ? response.usage.input_tokens : null
+  };
+}
+
+/**
+ * Work out the TTS language and voice for a persona
+ * Personas with a language always speak it (with their voice, if set);
+ * personas without one mirror the speaker's language. Otherwise the user's
+ * preferred voice for the language is used.
+ * @param {object} persona - The turn's persona
+ * @param {string} language - The speaker's language
+ * @param {object} voices - The user's preferred voice ids keyed by language (optional)
+ * @returns {{language: string, voiceName: string|undefined}}
+ */
+function personaSpeech(persona, language, voices) {
+  if (persona.language) {
+    return {
+      language: persona.language,
+      voiceName: persona.voice || tts.preferredVoice(voices, persona.language)
+    };
+  }
+  return { language: language, voiceName: tts.preferredVoice(voices, language) };
+}
+
+/**
+ * Persist a completed turn to its stored conversation (if any)
+ * @param {string} conversationId - Stored conversation id (optional)
+ * @param {string} message - The user's message
+ * @param {object} response - Claude's response { text, model, toolCalls }
+ * @param {Array} images - Images attached to the user's message { id, mediaType } (optional)
+ */
+async function saveTurn(conversationId, message, response, images = []) {
+  if (!conversationId) return;
+
+  await conversationStore.appendMessages(conversationId, [
+    {
+      role: 'user',
+      content: message,
+      ...(images.length > 0 && { images: images.map(({ id, mediaType }) => ({ id, mediaType })) })
+    },
+    {
+      role: 'assistant',
+      content: response.text || conversationStore.EMPTY_REPLY_NOTE,
+      model: response.model,
+      ...(response.toolCalls.length > 0 && { tools: response.toolCalls })
+    }
+  ]);
+}
+
+/**
+ * Build a pipeline that turns streamed text into ordered 'segment' events
+ * Each sentence is synthesized as soon as it is complete; syntheses run in
+ * parallel but segments are always sent in order. Segments carry the spoken
+ * form of the sentence (no markdown; code blocks summarized), and sentences
+ * with nothing to say are skipped.
+ * @param {function(string, object): void} emit - Sends an event to the client
+ * @param {object} speech - Speech options from the request, and the turn's AbortSignal
+ * @returns {{push: function(string): void, finish: function(): Promise<void>}}
+ */
+function createSpeechPipeline(emit, { synthesize = false, language = 'en', voiceName, prosody, signal } = {}) {
+  const segmenter = createSentenceSegmenter();
+  let nextIndex = 0;
+  let sendChain = Promise.resolve();
+
+  const queueSegment = (sentence) => {
+    const { text, ssml } = prepareSpeech(sentence);
+    if (!text) return;
+
+    const index = nextIndex++;
+
+    // Start synthesis right away; a failed segment is still sent as text
+    // so the browser can speak it with Web Speech instead
+    const synthesis = synthesize
+      ? tts.synthesize(text, { language, voiceName, ssml, prosody, signal }).catch((error) => {
+        if (!signal || !signal.aborted) {
+          console.error(`Segment ${index} synthesis failed:`, error.message);
+        }
+        return null;
+      })
+      : Promise.resolve(null);
+
+    sendChain = sendChain.then(async () => {
+      const speech = await synthesis;
+      emit('segment', {
+        index,
+        text,
+        ...(speech && {
+          audio: speech.audio.toString('base64'),
+          mimeType: speech.mimeType,
+          provider: speech.provider
+        })
+      });
+    });
+  };
+
+  return {
+    push(text) {
+      segmenter.push(text).forEach(queueSegment);
+    },
+    finish() {
+      segmenter.flush().forEach(queueSegment);
+      return sendChain;
+    }
+  };
+}
+
+/**
+ * Stream Claude's reply to a message as events, then save the turn
+ * Emits delta, tool and (when speech is requested) segment events while the
+ * reply is produced, and a single done event at the end. Errors are thrown
+ * for the caller to report.
+ * @param {object} options
+ * @param {string} options.message - The user's message
+ * @param {string} options.conversationId - Stored conversation id (optional)
+ * @param {object} options.context - Result of loadTurnContext
+ * @param {object} options.turn - Result of fitTurnContext
+ * @param {Array} options.images - Loaded images for the message
+ * @param {object} options.speech - { synthesize, language, voices, prosody } to speak the reply (optional)
+ * @param {AbortSignal} options.signal - Aborts the Claude request and speech synthesis
+ * @param {function(string, object): void} options.emit - Sends an event to the client
+ * @returns {Promise<object>} - Claude's response
+ */
+async function streamTurn({ message, conversationId, context, turn, images, speech, signal, emit }) {
+  const speechPipeline = speech
+    ? createSpeechPipeline(emit, {
+      synthesize: speech.synthesize,
+      prosody: speech.prosody,
+      signal: signal,
+      ...personaSpeech(context.persona, speech.language || 'en', speech.voices)
+    })
+    : null;
+
+  const response = await claudeService.streamMessage(message, turn.history, {
+    system: turn.system,
+    settings: context.settings,
+    images: images,
+    onText: (text) => {
+      emit('delta', { text });
+      if (speechPipeline) speechPipeline.push(text);
+    },
+    onTool: (call) => emit('tool', call),
+    signal: signal
+  });
+
+  // Persist before 'done' so the client can reload the conversation right away
+  await saveTurn(conversationId, message, response, images);
+
+  // Speak the trailing sentence and wait for every segment to go out
+  if (speechPipeline) {
+    await speechPipeline.finish();
+  }
+
+  emit('done', {
+    reply: response.text,
+    model: response.model,
+    stopReason: response.stopReason,
+    context: contextInfo(turn, response),
+    tools: response.toolCalls
+  });
+
+  return response;
+}
+
+module.exports = {
+  loadTurnContext,
+  fitTurnContext,
+  contextInfo,
+  personaSpeech,
+  saveTurn,
+  streamTurn
+};
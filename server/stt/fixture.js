@@ -0,0 +1,99 @@
+/**
+ * Fixture Provider
+ * A deterministic offline stand-in for development and tests: the same audio
+ * always gets the same transcript, and nothing leaves the machine.
+ *
+ * Transcripts come from STT_FIXTURES_FILE, a JSON object keyed by the SHA-256
+ * (hex) of the audio file, plus an optional "default" entry for any other audio:
+ *
+ *   {
+ *     "default": { "text": "What's the weather like?", "language": "english" },
+ *     "3a7bd3e2...": { "text": "Tell me a joke", "language": "english" },
+ *     "60303ae2...": { "text": "Thank you for watching.", "language": "english",
+ *       "segments": [{ "text": "Thank you for watching.", "start": 0, "end": 2,
+ *         "avgLogprob": -1.3, "noSpeechProb": 0.9, "compressionRatio": 0.8 }] },
+ *     "9f86d081...": { "error": { "status": 429, "message": "Rate limit reached" } }
+ *   }
+ *
+ * An "error" entry fails like a provider would with that HTTP status, and
+ * "segments" (optional) stand in for Whisper's per-segment confidence. The hash
+ * of every transcribed file is logged, so new fixtures can be recorded from the app.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Used without a fixtures file, or when it has no "default" entry
+const DEFAULT_FIXTURE = { text: 'This is a test transcript.', language: 'english' };
+
+/**
+ * Load and check the fixtures file
+ * @param {string} filePath - STT_FIXTURES_FILE
+ * @returns {object} - Fixtures keyed by audio hash
+ */
+function loadFixtures(filePath) {
+  if (!filePath) return {};
+
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load STT_FIXTURES_FILE ${filePath}: ${error.message}`);
+  }
+
+  if (!fixtures || typeof fixtures !== 'object' || Array.isArray(fixtures)) {
+    throw new Error('STT_FIXTURES_FILE must contain a JSON object');
+  }
+
+  for (const [key, fixture] of Object.entries(fixtures)) {
+    if (!fixture || (typeof fixture.text !== 'string' && !fixture.error)) {
+      throw new Error(`STT fixture "${key}" needs a text or an error`);
+    }
+    if (fixture.segments !== undefined && !Array.isArray(fixture.segments)) {
+      throw new Error(`STT fixture "${key}" segments must be an array`);
+    }
+  }
+
+  return fixtures;
+}
+
+module.exports = {
+  name: 'fixture',
+
+  /**
+   * @param {object} config - STT configuration from the registry
+   */
+  create(config) {
+    const fixtures = loadFixtures(config.fixturesFile);
+
+    return {
+      name: 'fixture',
+
+      async transcribe(audioFilePath, { language, signal } = {}) {
+        const audio = await fs.promises.readFile(audioFilePath, { signal });
+
+        // Nothing recorded, nothing said
+        if (audio.length === 0) {
+          return { text: '', language: language || DEFAULT_FIXTURE.language };
+        }
+
+        const hash = crypto.createHash('sha256').update(audio).digest('hex');
+        const fixture = fixtures[hash] || fixtures.default || DEFAULT_FIXTURE;
+        console.log('Fixture STT: audio', hash, fixtures[hash] ? '(matched)' : '(default)');
+
+        if (fixture.error) {
+          const error = new Error(fixture.error.message || 'Fixture transcription error');
+          error.status = fixture.error.status;
+          throw error;
+        }
+
+        // A locked language is reported back, as Whisper does
+        return {
+          text: fixture.text,
+          language: language || fixture.language || DEFAULT_FIXTURE.language,
+          ...(fixture.segments && { segments: fixture.segments })
+        };
+      }
+    };
+  }
+};
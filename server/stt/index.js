@@ -0,0 +1,276 @@
+/**
+ * Speech-to-Text Providers
+ * Routes transcribe through this module; STT_PROVIDER picks the implementation.
+ *
+ * A provider module exports:
+ * - name: string - The STT_PROVIDER value that selects it
+ * - create(config): object - Returns { name, transcribe(audioFilePath, options) }, where
+ *   transcribe resolves to { text, language, segments? }; throw at create() time if the
+ *   provider is misconfigured
+ *
+ * segments, when the provider has them, are { text, start, end, avgLogprob,
+ * noSpeechProb, compressionRatio } as in Whisper's verbose_json. They are checked
+ * against the STT_*_THRESHOLD settings to catch silence and hallucinated text.
+ *
+ * options is { language, prompt, temperature, signal }, each optional: language
+ * (an ISO-639-1 code) skips detection, prompt is vocabulary to expect,
+ * temperature is the sampling temperature (0 to 1) and signal is an AbortSignal
+ * that fires when the transcript is no longer wanted.
+ *
+ * transcribe() failures should carry the upstream HTTP status in error.status,
+ * or a network error code (ETIMEDOUT, ECONNREFUSED, ...) in error.code.
+ *
+ * To add a provider, create a module in this directory and add it to PROVIDER_MODULES.
+ */
+
+const fs = require('fs');
+const { envInt, envNumber } = require('../utils/env');
+const { findLanguage, languageCode } = require('../../shared/languages');
+
+const PROVIDER_MODULES = [
+  require('./openai'),
+  require('./openaiCompatible'),
+  require('./fixture')
+];
+
+const STT_CONFIG = {
+  provider: process.env.STT_PROVIDER || 'openai',
+  baseURL: process.env.STT_BASE_URL || null,
+  apiKey: process.env.STT_API_KEY || null,
+  model: process.env.STT_MODEL || null,
+  timeout: envInt('STT_TIMEOUT_MS', 60000),
+  fixturesFile: process.env.STT_FIXTURES_FILE || null
+};
+
+// When a transcript counts as silence or as unreliable (Whisper's own defaults).
+// A segment is silence when noSpeechProb is above noSpeech and avgLogprob is
+// below logprob; a compression ratio above compressionRatio means repeated,
+// likely hallucinated text. filter is 'reject' (blank such transcripts) or
+// 'flag' (keep them and report the quality).
+const CONFIDENCE_CONFIG = {
+  filter: process.env.STT_FILTER === 'flag' ? 'flag' : 'reject',
+  noSpeech: envNumber('STT_NO_SPEECH_THRESHOLD', 0.6),
+  logprob: envNumber('STT_LOGPROB_THRESHOLD', -1),
+  compressionRatio: envNumber('STT_COMPRESSION_RATIO_THRESHOLD', 2.4)
+};
+
+// Longest vocabulary prompt accepted (Whisper only reads the last 224 tokens or so)
+const MAX_PROMPT_LENGTH = 1000;
+
+// Error codes sent to the client, with the status and message for each
+const ERRORS = {
+  stt_invalid_audio: { statusCode: 400, message: 'The recording could not be transcribed. Try recording again.' },
+  stt_rate_limited: { statusCode: 429, message: 'The speech-to-text service is busy. Try again in a moment.' },
+  stt_unavailable: { statusCode: 503, message: 'The speech-to-text service is unavailable.' },
+  stt_timeout: { statusCode: 504, message: 'The speech-to-text service took too long to respond.' },
+  stt_failed: { statusCode: 502, message: 'The speech-to-text service failed.' }
+};
+
+const providerModule = PROVIDER_MODULES.find(candidate => candidate.name === STT_CONFIG.provider);
+if (!providerModule) {
+  throw new Error(`Unknown STT_PROVIDER "${STT_CONFIG.provider}" ` +
+    `(expected one of: ${PROVIDER_MODULES.map(candidate => candidate.name).join(', ')})`);
+}
+
+const provider = providerModule.create(STT_CONFIG);
+console.log('Speech-to-text provider:', provider.name);
+
+/**
+ * Work out the error code for a provider failure
+ * @param {Error} error - The provider's error
+ * @returns {string} - A key of ERRORS
+ */
+function classifyError(error) {
+  const status = error.status;
+
+  if (status === 408 || error.code === 'ETIMEDOUT') {
+    return 'stt_timeout';
+  }
+  if (status === 400 || status === 413 || status === 415 || status === 422) return 'stt_invalid_audio';
+  if (status === 429) return 'stt_rate_limited';
+
+  // Bad credentials or an unreachable server are the operator's problem, not the user's
+  if (status === 401 || status === 403 || status === 404 || status === 503 ||
+      ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND'].includes(error.code)) {
+    return 'stt_unavailable';
+  }
+
+  return 'stt_failed';
+}
+
+/**
+ * Turn a provider failure into an error the error handler and clients understand
+ * @param {Error} error - The provider's error
+ * @returns {Error} - With statusCode and errorCode set
+ */
+function normalizeError(error) {
+  const errorCode = classifyError(error);
+  const normalized = new Error(ERRORS[errorCode].message);
+  normalized.statusCode = ERRORS[errorCode].statusCode;
+  normalized.errorCode = errorCode;
+  normalized.cause = error;
+  return normalized;
+}
+
+/**
+ * Average a segment field, weighting each segment by its length
+ * @param {Array} segments - Segments with start and end times
+ * @param {string} field - e.g. 'avgLogprob'
+ * @returns {number}
+ */
+function weightedAverage(segments, field) {
+  let total = 0;
+  let weight = 0;
+  segments.forEach(segment => {
+    const duration = Math.max(segment.end - segment.start, 0) || 1;
+    total += segment[field] * duration;
+    weight += duration;
+  });
+  return total / weight;
+}
+
+/**
+ * Judge how far a transcript can be trusted from its segments
+ * Silent and repetitive segments are left out; the transcript is low
+ * confidence when what remains has an average log probability below the
+ * threshold, and no speech when nothing remains because of silence.
+ * @param {string} text - The provider's transcript
+ * @param {Array} segments - The provider's segments (optional)
+ * @returns {{text: string, quality: string, confidence: object|null, segments: Array|undefined}}
+ *   text without the dropped segments; quality is 'ok', 'low_confidence' or 'no_speech';
+ *   confidence is { avgLogprob, noSpeechProb, compressionRatio }, or null without segments
+ */
+function assessTranscript(text, segments) {
+  const scored = (segments || []).filter(segment =>
+    [segment.avgLogprob, segment.noSpeechProb, segment.compressionRatio].every(Number.isFinite));
+
+  if (scored.length === 0 || scored.length !== segments.length) {
+    return { text, quality: 'ok', confidence: null, segments };
+  }
+
+  const marked = scored.map(segment => {
+    const silent = segment.noSpeechProb > CONFIDENCE_CONFIG.noSpeech && segment.avgLogprob < CONFIDENCE_CONFIG.logprob;
+    const repetitive = segment.compressionRatio > CONFIDENCE_CONFIG.compressionRatio;
+    return { ...segment, ...((silent || repetitive) && { dropped: silent ? 'no_speech' : 'repetitive' }) };
+  });
+  const kept = marked.filter(segment => !segment.dropped);
+
+  let quality = 'ok';
+  if (kept.length === 0) {
+    quality = marked.every(segment => segment.dropped === 'no_speech') ? 'no_speech' : 'low_confidence';
+  } else if (weightedAverage(kept, 'avgLogprob') < CONFIDENCE_CONFIG.logprob) {
+    quality = 'low_confidence';
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    text: kept.length === marked.length ? text : kept.map(segment => segment.text).join('').trim(),
+    quality,
+    confidence: {
+      avgLogprob: round(weightedAverage(marked, 'avgLogprob')),
+      noSpeechProb: round(weightedAverage(marked, 'noSpeechProb')),
+      compressionRatio: round(Math.max(...marked.map(segment => segment.compressionRatio)))
+    },
+    segments: marked
+  };
+}
+
+/**
+ * Validate transcription options, e.g. { language: 'de', prompt: 'Kubernetes, Grafana', temperature: 0 }
+ * @param {object} options - Any of language, prompt and temperature (optional)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateTranscriptionOptions(options) {
+  if (options === undefined || options === null) return null;
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return 'transcription must be an object with language, prompt and/or temperature';
+  }
+
+  const unknown = Object.keys(options).find(name => !['language', 'prompt', 'temperature'].includes(name));
+  if (unknown) {
+    return `Unknown transcription setting: ${unknown} (expected language, prompt or temperature)`;
+  }
+
+  const { language, prompt, temperature } = options;
+  if (language !== undefined && (typeof language !== 'string' || !findLanguage(language))) {
+    return `Unknown transcription language: ${language}`;
+  }
+  if (prompt !== undefined && (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH)) {
+    return `prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters`;
+  }
+  if (temperature !== undefined &&
+      (typeof temperature !== 'number' || !Number.isFinite(temperature) || temperature < 0 || temperature > 1)) {
+    return 'temperature must be a number from 0 to 1';
+  }
+
+  return null;
+}
+
+/**
+ * Transcribe an audio file with the configured provider
+ * The file is deleted afterwards, whether or not transcription succeeded.
+ * @param {string} audioFilePath - Path to the audio file
+ * @param {object} options - Validated transcription options (optional)
+ * @param {string} options.language - Transcribe in this language instead of detecting it
+ * @param {string} options.prompt - Vocabulary to expect (product names, jargon)
+ * @param {number} options.temperature - Sampling temperature, 0 to 1
+ * @param {AbortSignal} options.signal - Cancels the provider request (the abort is rethrown as is)
+ * @returns {Promise<{text: string, language: string, quality: string, confidence: object|null, segments: Array}>}
+ *   Transcribed text and detected language, with the transcript's quality (see assessTranscript).
+ *   With STT_FILTER=reject the text is empty unless the quality is 'ok'.
+ */
+async function transcribeAudio(audioFilePath, { language, prompt, temperature, signal } = {}) {
+  try {
+    console.log(`Transcribing audio file with ${provider.name}:`, audioFilePath,
+      language ? `(language locked to ${languageCode(language)})` : '');
+    const result = await provider.transcribe(audioFilePath, {
+      ...(language && { language: languageCode(language) }),
+      ...(prompt && prompt.trim() && { prompt: prompt.trim() }),
+      ...(temperature !== undefined && { temperature }),
+      ...(signal && { signal })
+    });
+    console.log('Transcription successful:', result.text);
+    console.log('Detected language:', result.language);
+
+    const assessed = assessTranscript(result.text || '', result.segments);
+    if (assessed.quality !== 'ok') {
+      console.log(`Transcript quality: ${assessed.quality}`, assessed.confidence,
+        CONFIDENCE_CONFIG.filter === 'reject' ? '(rejected)' : '(flagged)');
+    }
+
+    // Rejecting also drops silent and repetitive segments from a good transcript
+    let text = result.text || '';
+    if (CONFIDENCE_CONFIG.filter === 'reject') {
+      text = assessed.quality === 'ok' ? assessed.text : '';
+    }
+
+    // Not every server detects the language
+    return {
+      text: text,
+      language: result.language || 'en',
+      quality: assessed.quality,
+      confidence: assessed.confidence,
+      segments: assessed.segments || []
+    };
+  } catch (error) {
+    if (signal && signal.aborted) {
+      console.log(`Transcription with ${provider.name} cancelled`);
+      throw error;
+    }
+
+    console.error(`Transcription with ${provider.name} failed:`, error.message);
+    throw normalizeError(error);
+  } finally {
+    fs.unlink(audioFilePath, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Error deleting temporary audio file:', error);
+      }
+    });
+  }
+}
+
+module.exports = {
+  transcribeAudio,
+  validateTranscriptionOptions
+};
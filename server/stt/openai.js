@@ -0,0 +1,26 @@
+/**
+ * OpenAI Whisper Provider
+ * Transcribes with OpenAI's hosted whisper-1 model
+ */
+
+const { createWhisperProvider } = require('./whisperClient');
+
+module.exports = {
+  name: 'openai',
+
+  /**
+   * @param {object} config - STT configuration from the registry
+   */
+  create(config) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('STT_PROVIDER=openai requires OPENAI_API_KEY');
+    }
+
+    return createWhisperProvider({
+      name: 'openai',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: config.model || 'whisper-1',
+      timeout: config.timeout
+    });
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * OpenAI-Compatible Whisper Provider
+ * Transcribes with a self-hosted server that implements the OpenAI
+ * /v1/audio/transcriptions API (e.g. faster-whisper-server, LocalAI)
+ */
+
+const { createWhisperProvider } = require('./whisperClient');
+
+module.exports = {
+  name: 'openai-compatible',
+
+  /**
+   * @param {object} config - STT configuration from the registry
+   */
+  create(config) {
+    if (!config.baseURL) {
+      throw new Error('STT_PROVIDER=openai-compatible requires STT_BASE_URL (e.g. http://localhost:8000/v1)');
+    }
+
+    return createWhisperProvider({
+      name: 'openai-compatible',
+      // Most self-hosted servers ignore the key, but the client needs one
+      apiKey: config.apiKey || 'not-needed',
+      baseURL: config.baseURL,
+      model: config.model || 'whisper-1',
+      timeout: config.timeout
+    });
+  }
+};
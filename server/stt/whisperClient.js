@@ -0,0 +1,84 @@
+/**
+ * Whisper API Client
+ * Transcription through the OpenAI audio API, shared by the OpenAI provider
+ * and OpenAI-compatible self-hosted servers
+ */
+
+const OpenAI = require('openai');
+const fs = require('fs');
+
+/**
+ * Convert verbose_json segments to the registry's segment format
+ * Servers that leave out the confidence fields give segments without them.
+ * @param {Array} segments - Whisper segments (optional)
+ * @returns {Array<{text: string, start: number, end: number, avgLogprob: number,
+ *   noSpeechProb: number, compressionRatio: number}>|undefined}
+ */
+function toSegments(segments) {
+  if (!Array.isArray(segments)) return undefined;
+
+  return segments.map(segment => ({
+    text: segment.text,
+    start: segment.start,
+    end: segment.end,
+    avgLogprob: segment.avg_logprob,
+    noSpeechProb: segment.no_speech_prob,
+    compressionRatio: segment.compression_ratio
+  }));
+}
+
+/**
+ * Create a provider that calls an OpenAI-style /audio/transcriptions endpoint
+ * @param {object} options
+ * @param {string} options.name - Provider name (for logs and errors)
+ * @param {string} options.apiKey - API key sent as a bearer token
+ * @param {string} options.baseURL - API base URL (optional, defaults to OpenAI)
+ * @param {string} options.model - Transcription model
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {{name: string, transcribe: function(string, object): Promise<{text: string, language: string, segments: Array}>}}
+ */
+function createWhisperProvider({ name, apiKey, baseURL, model, timeout }) {
+  const client = new OpenAI({
+    apiKey: apiKey,
+    ...(baseURL && { baseURL }),
+    timeout: timeout,
+    maxRetries: 1
+  });
+
+  return {
+    name,
+
+    async transcribe(audioFilePath, { language, prompt, temperature, signal } = {}) {
+      let transcription;
+      try {
+        // verbose_json includes the detected language and per-segment confidence
+        transcription = await client.audio.transcriptions.create({
+          file: fs.createReadStream(audioFilePath),
+          model: model,
+          response_format: 'verbose_json',
+          ...(language && { language }),
+          ...(prompt && { prompt }),
+          ...(temperature !== undefined && { temperature })
+        }, { signal });
+      } catch (error) {
+        // Report SDK connection failures with the network error codes the registry understands
+        if (error instanceof OpenAI.APIConnectionTimeoutError) {
+          error.code = 'ETIMEDOUT';
+        } else if (error instanceof OpenAI.APIConnectionError) {
+          error.code = 'ECONNREFUSED';
+        }
+        throw error;
+      }
+
+      return {
+        text: transcription.text,
+        language: transcription.language,
+        segments: toSegments(transcription.segments)
+      };
+    }
+  };
+}
+
+module.exports = {
+  createWhisperProvider
+};
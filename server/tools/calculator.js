@@ -0,0 +1,173 @@
+/**
+ * Calculator Tool
+ * Evaluates arithmetic expressions with a small parser (never eval)
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const EXPRESSION_MAX_LENGTH = 500;
+
+/**
+ * Split an expression into number, name and operator tokens
+ * @param {string} expression
+ * @returns {Array<string>}
+ */
+function tokenize(expression) {
+  const tokens = expression.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|\*\*|[-+*/%^(),]|\S/gi) || [];
+
+  const invalid = tokens.find(token => !/^(\d*\.?\d+(e[+-]?\d+)?|[a-z]+|\*\*|[-+*/%^(),])$/i.test(token));
+  if (invalid) {
+    throw new Error(`Unexpected character: ${invalid}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression
+ * Supports + - * / % ^ (or **), parentheses, unary minus, the functions in
+ * FUNCTIONS and the constants pi and e.
+ * @param {string} expression - e.g. "2 * (3 + 4) ^ 2"
+ * @returns {number}
+ */
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  // expression := term (('+' | '-') term)*
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  // term := unary (('*' | '/' | '%') unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+
+  // unary := ('-' | '+') unary | power
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // power := primary (('^' | '**') unary)?  (right-associative)
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  // primary := number | constant | function '(' expression ')' | '(' expression ')'
+  function parsePrimary() {
+    const token = next();
+
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) {
+      return parseFloat(token);
+    }
+
+    const name = token.toLowerCase();
+    if (CONSTANTS[name] !== undefined) {
+      return CONSTANTS[name];
+    }
+    if (FUNCTIONS[name]) {
+      expect('(');
+      const value = parseExpression();
+      expect(')');
+      return FUNCTIONS[name](value);
+    }
+
+    throw new Error(`Unknown name or symbol: ${token}`);
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Use this for any calculation instead of doing ' +
+    'math in your head. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan ' +
+    '(radians), ln, log (base 10), exp, and the constants pi and e.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(12.5 * 4) / 3"'
+      }
+    },
+    required: ['expression']
+  },
+
+  async run({ expression }) {
+    if (expression.length > EXPRESSION_MAX_LENGTH) {
+      throw new Error(`Expression must be at most ${EXPRESSION_MAX_LENGTH} characters`);
+    }
+
+    const result = evaluate(expression);
+    if (!Number.isFinite(result)) {
+      throw new Error('The result is not a finite number (division by zero?)');
+    }
+
+    return { expression, result };
+  }
+};
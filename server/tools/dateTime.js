@@ -0,0 +1,52 @@
+/**
+ * Date/Time Tool
+ * Lets Claude know the current date and time (it has no clock of its own)
+ */
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  name: 'get_current_time',
+  description: 'Get the current date, time and day of the week. Use this whenever the answer depends on ' +
+    'today\'s date or the current time. Pass an IANA time zone (e.g. "Europe/Berlin") if the user asks ' +
+    'about a specific place; otherwise the server\'s time zone is used.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      timeZone: {
+        type: 'string',
+        description: 'IANA time zone name, e.g. "America/New_York"'
+      }
+    }
+  },
+
+  async run({ timeZone }) {
+    const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!isValidTimeZone(zone)) {
+      throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+
+    const now = new Date();
+    const format = (options) => new Intl.DateTimeFormat('en-US', { timeZone: zone, ...options }).format(now);
+
+    return {
+      timeZone: zone,
+      date: format({ year: 'numeric', month: 'long', day: 'numeric' }),
+      weekday: format({ weekday: 'long' }),
+      time: format({ hour: '2-digit', minute: '2-digit', hour12: false }),
+      iso: now.toISOString()
+    };
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * Tool Registry
+ * Server-side tools Claude can call during a turn.
+ *
+ * A tool is a plain object:
+ * - name: string - The name Claude sees (letters, digits, _ and -)
+ * - description: string - What it does and when to use it
+ * - inputSchema: object - JSON Schema for its input
+ * - run: async function(input) - Returns a JSON-serializable result; throw to
+ *   report an error back to Claude
+ *
+ * To add a tool, create a module in this directory that exports a tool (or an
+ * array of tools) and add it to TOOL_MODULES.
+ */
+
+const TOOL_MODULES = [
+  require('./dateTime'),
+  require('./calculator'),
+  require('./unitConverter'),
+  require('./notes')
+];
+
+// Give up on a tool that takes longer than this
+const TOOL_TIMEOUT_MS = 10000;
+
+// Longest tool result sent back to Claude
+const RESULT_MAX_LENGTH = 8000;
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const ALL_TOOLS = TOOL_MODULES.flat();
+
+ALL_TOOLS.forEach(tool => {
+  if (!NAME_PATTERN.test(tool.name) || !tool.description || !tool.inputSchema || typeof tool.run !== 'function') {
+    throw new Error(`Invalid tool definition: ${tool.name}`);
+  }
+});
+
+// Comma-separated tool names to enable (unset = all, empty = none)
+const ENABLED_TOOLS = process.env.ENABLED_TOOLS === undefined
+  ? ALL_TOOLS
+  : ALL_TOOLS.filter(tool => process.env.ENABLED_TOOLS.split(',').map(name => name.trim()).includes(tool.name));
+
+/**
+ * Get the enabled tools in Claude API format
+ * @returns {Array<{name: string, description: string, input_schema: object}>}
+ */
+function getToolDefinitions() {
+  return ENABLED_TOOLS.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.inputSchema
+  }));
+}
+
+/**
+ * Check tool input against the top level of its schema
+ * (required fields, primitive types and enums)
+ * @param {object} schema - The tool's inputSchema
+ * @param {object} input - Input from Claude
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateInput(schema, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Input must be an object';
+  }
+
+  const missing = (schema.required || []).find(field => input[field] === undefined);
+  if (missing) {
+    return `Missing required field: ${missing}`;
+  }
+
+  for (const [field, property] of Object.entries(schema.properties || {})) {
+    const value = input[field];
+    if (value === undefined) continue;
+
+    if (property.type === 'number' && typeof value !== 'number') return `${field} must be a number`;
+    if (property.type === 'string' && typeof value !== 'string') return `${field} must be a string`;
+    if (property.type === 'boolean' && typeof value !== 'boolean') return `${field} must be a boolean`;
+    if (property.enum && !property.enum.includes(value)) {
+      return `${field} must be one of: ${property.enum.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a tool call from Claude
+ * Never throws - failures are returned as an error result so Claude can
+ * explain or retry.
+ * @param {string} name - Tool name
+ * @param {object} input - Tool input
+ * @returns {Promise<{output: *, error: string|undefined}>}
+ */
+async function runTool(name, input) {
+  const tool = ENABLED_TOOLS.find(candidate => candidate.name === name);
+  if (!tool) {
+    return { error: `Unknown tool: ${name}` };
+  }
+
+  const inputError = validateInput(tool.inputSchema, input);
+  if (inputError) {
+    return { error: inputError };
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Tool timed out after ${TOOL_TIMEOUT_MS / 1000}s`)), TOOL_TIMEOUT_MS);
+  });
+
+  try {
+    const output = await Promise.race([tool.run(input), timeout]);
+    return { output };
+  } catch (error) {
+    console.error(`Tool ${name} failed:`, error.message);
+    return { error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Format a tool result as tool_result content for Claude
+ * @param {object} result - Result of runTool
+ * @returns {string}
+ */
+function formatToolResult(result) {
+  const text = result.error
+    ? `Error: ${result.error}`
+    : (typeof result.output === 'string' ? result.output : JSON.stringify(result.output));
+
+  return text.length > RESULT_MAX_LENGTH ? text.substring(0, RESULT_MAX_LENGTH) + '… (truncated)' : text;
+}
+
+module.exports = {
+  getToolDefinitions,
+  runTool,
+  formatToolResult
+};
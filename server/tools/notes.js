@@ -0,0 +1,66 @@
+/**
+ * Notes Tools
+ * Let Claude save, find and delete short notes in the local note store
+ */
+
+const noteStore = require('../services/noteStore');
+
+// Keep tool results small enough to send back to Claude
+const MAX_RESULTS = 20;
+
+module.exports = [
+  {
+    name: 'save_note',
+    description: 'Save a short note for the user, e.g. when they say "remember that..." or "make a note". ' +
+      'Write the note so it makes sense on its own later.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'The note text' }
+      },
+      required: ['text']
+    },
+
+    async run({ text }) {
+      return noteStore.addNote(text);
+    }
+  },
+  {
+    name: 'search_notes',
+    description: 'Find the user\'s saved notes. Pass words to search for, or leave the query empty to list ' +
+      'the most recent notes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words the note must contain (optional)' }
+      }
+    },
+
+    async run({ query }) {
+      const notes = await noteStore.searchNotes(query);
+      return {
+        total: notes.length,
+        notes: notes.slice(0, MAX_RESULTS)
+      };
+    }
+  },
+  {
+    name: 'delete_note',
+    description: 'Delete a saved note by its id. Search for the note first to get its id.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'The note id' }
+      },
+      required: ['id']
+    },
+
+    async run({ id }) {
+      const deleted = await noteStore.deleteNote(id);
+      if (!deleted) {
+        throw new Error(`No note with id ${id}`);
+      }
+      return { deleted: true, id };
+    }
+  }
+];
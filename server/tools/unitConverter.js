@@ -0,0 +1,132 @@
+/**
+ * Unit Conversion Tool
+ * Converts between common units of length, mass, volume, speed, area, time,
+ * data and temperature
+ */
+
+// Factors to each category's base unit (meter, kilogram, liter, m/s, m², second, byte)
+const UNITS = {
+  length: {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852
+  },
+  mass: {
+    mg: 0.000001, g: 0.001, kg: 1, t: 1000,
+    oz: 0.028349523125, lb: 0.45359237, st: 6.35029318
+  },
+  volume: {
+    ml: 0.001, l: 1, m3: 1000,
+    tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625,
+    cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784
+  },
+  speed: {
+    'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444444
+  },
+  area: {
+    m2: 1, km2: 1000000, ha: 10000, ft2: 0.09290304, acre: 4046.8564224, mi2: 2589988.110336
+  },
+  time: {
+    ms: 0.001, s: 1, min: 60, h: 3600, day: 86400, week: 604800, year: 31557600
+  },
+  data: {
+    b: 1, kb: 1000, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1048576, gib: 1073741824
+  }
+};
+
+// Spoken and plural spellings Claude might pass
+const ALIASES = {
+  millimeter: 'mm', centimeter: 'cm', meter: 'm', metre: 'm', kilometer: 'km', kilometre: 'km',
+  inch: 'in', foot: 'ft', feet: 'ft', yard: 'yd', mile: 'mi', 'nautical mile': 'nmi',
+  milligram: 'mg', gram: 'g', kilogram: 'kg', tonne: 't', ounce: 'oz', pound: 'lb', lbs: 'lb', stone: 'st',
+  milliliter: 'ml', liter: 'l', litre: 'l', 'cubic meter': 'm3', teaspoon: 'tsp', tablespoon: 'tbsp',
+  'fluid ounce': 'floz', 'fl oz': 'floz', pint: 'pt', quart: 'qt', gallon: 'gal',
+  mps: 'm/s', kph: 'km/h', kmh: 'km/h', knot: 'kn', kt: 'kn',
+  'square meter': 'm2', 'square kilometer': 'km2', hectare: 'ha', 'square foot': 'ft2', 'square feet': 'ft2',
+  'square mile': 'mi2',
+  millisecond: 'ms', second: 's', sec: 's', minute: 'min', hour: 'h', hr: 'h',
+  byte: 'b', kilobyte: 'kb', megabyte: 'mb', gigabyte: 'gb', terabyte: 'tb',
+  celsius: 'c', '°c': 'c', fahrenheit: 'f', '°f': 'f', kelvin: 'k'
+};
+
+const TEMPERATURE_UNITS = ['c', 'f', 'k'];
+
+/**
+ * Normalize a unit name to its key in UNITS
+ * @param {string} unit - e.g. "Kilometers", "km", "°F"
+ * @returns {string}
+ */
+function normalizeUnit(unit) {
+  const lower = String(unit).trim().toLowerCase();
+
+  // Try the name as given, then without a plural ending
+  const candidates = [lower, lower.replace(/s$/, ''), lower.replace(/es$/, '')];
+  for (const candidate of candidates) {
+    if (ALIASES[candidate]) return ALIASES[candidate];
+    if (findCategory(candidate)) return candidate;
+  }
+
+  return lower;
+}
+
+/**
+ * Find which category a unit belongs to
+ * @param {string} unit - Normalized unit
+ * @returns {string|null}
+ */
+function findCategory(unit) {
+  if (TEMPERATURE_UNITS.includes(unit)) return 'temperature';
+  return Object.keys(UNITS).find(category => UNITS[category][unit] !== undefined) || null;
+}
+
+/**
+ * Convert a temperature between Celsius, Fahrenheit and Kelvin
+ * @param {number} value
+ * @param {string} from - 'c' | 'f' | 'k'
+ * @param {string} to - 'c' | 'f' | 'k'
+ * @returns {number}
+ */
+function convertTemperature(value, from, to) {
+  const celsius = from === 'f' ? (value - 32) * 5 / 9 : from === 'k' ? value - 273.15 : value;
+  if (to === 'f') return celsius * 9 / 5 + 32;
+  if (to === 'k') return celsius + 273.15;
+  return celsius;
+}
+
+module.exports = {
+  name: 'convert_units',
+  description: 'Convert a value between units of length, mass, volume, speed, area, time, data size or ' +
+    'temperature. Use unit symbols or names, e.g. km, mi, lb, kg, cup, l, mph, km/h, acre, GB, GiB, C, F, K.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'The amount to convert' },
+      from: { type: 'string', description: 'Unit to convert from, e.g. "mi"' },
+      to: { type: 'string', description: 'Unit to convert to, e.g. "km"' }
+    },
+    required: ['value', 'from', 'to']
+  },
+
+  async run({ value, from, to }) {
+    const fromUnit = normalizeUnit(from);
+    const toUnit = normalizeUnit(to);
+    const fromCategory = findCategory(fromUnit);
+    const toCategory = findCategory(toUnit);
+
+    if (!fromCategory) throw new Error(`Unknown unit: ${from}`);
+    if (!toCategory) throw new Error(`Unknown unit: ${to}`);
+    if (fromCategory !== toCategory) {
+      throw new Error(`Cannot convert ${fromCategory} (${from}) to ${toCategory} (${to})`);
+    }
+
+    const result = fromCategory === 'temperature'
+      ? convertTemperature(value, fromUnit, toUnit)
+      : value * UNITS[fromCategory][fromUnit] / UNITS[toCategory][toUnit];
+
+    return {
+      value,
+      from: fromUnit,
+      to: toUnit,
+      result: Number(result.toPrecision(12))
+    };
+  }
+};
@@ -0,0 +1,192 @@
+/**
+ * Google Cloud TTS Provider
+ * Native-sounding voices (WaveNet/Neural2), including Russian
+ */
+
+const { TextToSpeechClient } = require('@google-cloud/text-to-speech');
+const { defaultVoice } = require('../../shared/languages');
+const { abortable } = require('../utils/abort');
+
+// Google voice names start with their locale, e.g. 'ru-RU-Wavenet-B'
+const VOICE_NAME_PATTERN = /^[a-z]{2,3}-[A-Z]{2}-/;
+
+// Voices offered in the voice picker: a choice for English and Russian, and
+// the default voice of every other language in shared/languages.js (Google
+// has many more; any of them can still be set as a persona's voice)
+const VOICES = [
+  { id: 'en-US-Neural2-C', language: 'en-US', gender: 'female', tier: 'neural2' },
+  { id: 'en-US-Neural2-F', language: 'en-US', gender: 'female', tier: 'neural2' },
+  { id: 'en-US-Neural2-A', language: 'en-US', gender: 'male', tier: 'neural2' },
+  { id: 'en-US-Neural2-D', language: 'en-US', gender: 'male', tier: 'neural2' },
+  { id: 'en-US-Wavenet-C', language: 'en-US', gender: 'female', tier: 'wavenet' },
+  { id: 'en-US-Wavenet-D', language: 'en-US', gender: 'male', tier: 'wavenet' },
+  { id: 'en-US-Standard-C', language: 'en-US', gender: 'female', tier: 'standard' },
+  { id: 'en-US-Standard-B', language: 'en-US', gender: 'male', tier: 'standard' },
+  { id: 'en-GB-Neural2-A', language: 'en-GB', gender: 'female', tier: 'neural2' },
+  { id: 'en-GB-Neural2-B', language: 'en-GB', gender: 'male', tier: 'neural2' },
+  { id: 'ru-RU-Wavenet-C', language: 'ru-RU', gender: 'female', tier: 'wavenet' },
+  { id: 'ru-RU-Wavenet-A', language: 'ru-RU', gender: 'female', tier: 'wavenet' },
+  { id: 'ru-RU-Wavenet-E', language: 'ru-RU', gender: 'female', tier: 'wavenet' },
+  { id: 'ru-RU-Wavenet-B', language: 'ru-RU', gender: 'male', tier: 'wavenet' },
+  { id: 'ru-RU-Wavenet-D', language: 'ru-RU', gender: 'male', tier: 'wavenet' },
+  { id: 'ru-RU-Standard-A', language: 'ru-RU', gender: 'female', tier: 'standard' },
+  { id: 'ru-RU-Standard-B', language: 'ru-RU', gender: 'male', tier: 'standard' },
+  { id: 'af-ZA-Standard-A', language: 'af-ZA', gender: 'female', tier: 'standard' },
+  { id: 'ar-XA-Wavenet-A', language: 'ar-XA', gender: 'female', tier: 'wavenet' },
+  { id: 'bg-BG-Standard-A', language: 'bg-BG', gender: 'female', tier: 'standard' },
+  { id: 'bn-IN-Wavenet-A', language: 'bn-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'ca-ES-Standard-A', language: 'ca-ES', gender: 'female', tier: 'standard' },
+  { id: 'cmn-CN-Wavenet-A', language: 'cmn-CN', gender: 'female', tier: 'wavenet' },
+  { id: 'cs-CZ-Wavenet-A', language: 'cs-CZ', gender: 'female', tier: 'wavenet' },
+  { id: 'da-DK-Wavenet-A', language: 'da-DK', gender: 'female', tier: 'wavenet' },
+  { id: 'de-DE-Wavenet-A', language: 'de-DE', gender: 'female', tier: 'wavenet' },
+  { id: 'el-GR-Wavenet-A', language: 'el-GR', gender: 'female', tier: 'wavenet' },
+  { id: 'es-ES-Wavenet-C', language: 'es-ES', gender: 'female', tier: 'wavenet' },
+  { id: 'et-EE-Standard-A', language: 'et-EE', gender: 'male', tier: 'standard' },
+  { id: 'eu-ES-Standard-A', language: 'eu-ES', gender: 'female', tier: 'standard' },
+  { id: 'fi-FI-Wavenet-A', language: 'fi-FI', gender: 'female', tier: 'wavenet' },
+  { id: 'fil-PH-Wavenet-A', language: 'fil-PH', gender: 'female', tier: 'wavenet' },
+  { id: 'fr-FR-Wavenet-A', language: 'fr-FR', gender: 'female', tier: 'wavenet' },
+  { id: 'gl-ES-Standard-A', language: 'gl-ES', gender: 'female', tier: 'standard' },
+  { id: 'gu-IN-Wavenet-A', language: 'gu-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'he-IL-Wavenet-A', language: 'he-IL', gender: 'female', tier: 'wavenet' },
+  { id: 'hi-IN-Wavenet-A', language: 'hi-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'hu-HU-Wavenet-A', language: 'hu-HU', gender: 'female', tier: 'wavenet' },
+  { id: 'id-ID-Wavenet-A', language: 'id-ID', gender: 'female', tier: 'wavenet' },
+  { id: 'is-IS-Standard-A', language: 'is-IS', gender: 'female', tier: 'standard' },
+  { id: 'it-IT-Wavenet-A', language: 'it-IT', gender: 'female', tier: 'wavenet' },
+  { id: 'ja-JP-Wavenet-B', language: 'ja-JP', gender: 'female', tier: 'wavenet' },
+  { id: 'kn-IN-Wavenet-A', language: 'kn-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'ko-KR-Wavenet-A', language: 'ko-KR', gender: 'female', tier: 'wavenet' },
+  { id: 'lt-LT-Standard-A', language: 'lt-LT', gender: 'male', tier: 'standard' },
+  { id: 'lv-LV-Standard-A', language: 'lv-LV', gender: 'male', tier: 'standard' },
+  { id: 'ml-IN-Wavenet-A', language: 'ml-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'mr-IN-Wavenet-A', language: 'mr-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'ms-MY-Wavenet-A', language: 'ms-MY', gender: 'female', tier: 'wavenet' },
+  { id: 'nb-NO-Wavenet-A', language: 'nb-NO', gender: 'female', tier: 'wavenet' },
+  { id: 'nl-NL-Wavenet-A', language: 'nl-NL', gender: 'female', tier: 'wavenet' },
+  { id: 'pa-IN-Wavenet-A', language: 'pa-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'pl-PL-Wavenet-A', language: 'pl-PL', gender: 'female', tier: 'wavenet' },
+  { id: 'pt-BR-Wavenet-A', language: 'pt-BR', gender: 'female', tier: 'wavenet' },
+  { id: 'ro-RO-Wavenet-A', language: 'ro-RO', gender: 'female', tier: 'wavenet' },
+  { id: 'sk-SK-Wavenet-A', language: 'sk-SK', gender: 'female', tier: 'wavenet' },
+  { id: 'sr-RS-Standard-A', language: 'sr-RS', gender: 'female', tier: 'standard' },
+  { id: 'sv-SE-Wavenet-A', language: 'sv-SE', gender: 'female', tier: 'wavenet' },
+  { id: 'ta-IN-Wavenet-A', language: 'ta-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'te-IN-Standard-A', language: 'te-IN', gender: 'female', tier: 'standard' },
+  { id: 'th-TH-Standard-A', language: 'th-TH', gender: 'female', tier: 'standard' },
+  { id: 'tr-TR-Wavenet-A', language: 'tr-TR', gender: 'female', tier: 'wavenet' },
+  { id: 'uk-UA-Wavenet-A', language: 'uk-UA', gender: 'female', tier: 'wavenet' },
+  { id: 'ur-IN-Wavenet-A', language: 'ur-IN', gender: 'female', tier: 'wavenet' },
+  { id: 'vi-VN-Wavenet-A', language: 'vi-VN', gender: 'female', tier: 'wavenet' },
+  { id: 'yue-HK-Standard-A', language: 'yue-HK', gender: 'female', tier: 'standard' }
+];
+
+// Google's audioEncoding for each output format (LINEAR16 comes with a WAV header)
+const ENCODINGS = {
+  mp3: { audioEncoding: 'MP3', mimeType: 'audio/mpeg' },
+  opus: { audioEncoding: 'OGG_OPUS', mimeType: 'audio/ogg; codecs=opus' },
+  wav: { audioEncoding: 'LINEAR16', mimeType: 'audio/wav' }
+};
+
+/**
+ * Create the Google Cloud TTS client from the configured credentials
+ * @returns {TextToSpeechClient}
+ */
+function createClient() {
+  // Option 1: Use JSON credentials from environment variable
+  if (process.env.GOOGLE_CLOUD_CREDENTIALS) {
+    let credentials;
+    try {
+      credentials = JSON.parse(process.env.GOOGLE_CLOUD_CREDENTIALS);
+    } catch (error) {
+      throw new Error('GOOGLE_CLOUD_CREDENTIALS is not valid JSON');
+    }
+    console.log('Google Cloud TTS initialized with credentials from env variable');
+    return new TextToSpeechClient({ credentials: credentials });
+  }
+
+  // Option 2: Use credentials file path (GOOGLE_APPLICATION_CREDENTIALS)
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+    console.log('Google Cloud TTS initialized with credentials file');
+    return new TextToSpeechClient({ keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS });
+  }
+
+  // Option 3: Default (will use gcloud CLI auth if available)
+  console.log('Google Cloud TTS initialized with default credentials');
+  return new TextToSpeechClient();
+}
+
+/**
+ * Pick the Google language code and voice for a language
+ * @param {string} language - e.g. 'en', 'de-DE', 'german'
+ * @param {string} requestedVoice - Explicit voice; used if it is a Google voice
+ * @returns {{languageCode: string, voiceName: string}}
+ * @throws {Error} - With unsupported set if Google has no voice for the language
+ */
+function selectVoice(language, requestedVoice) {
+  // An explicit voice (e.g., from a persona) wins; otherwise the language's native default
+  const voiceName = requestedVoice && VOICE_NAME_PATTERN.test(requestedVoice)
+    ? requestedVoice
+    : defaultVoice(language || 'en');
+
+  if (!voiceName) {
+    const error = new Error(`No Google voice for language "${language}"`);
+    error.unsupported = true;
+    throw error;
+  }
+
+  // Voice names carry their locale, e.g. 'cmn-CN-Wavenet-A'
+  return {
+    languageCode: voiceName.split('-').slice(0, 2).join('-'),
+    voiceName: voiceName
+  };
+}
+
+module.exports = {
+  name: 'google',
+
+  /**
+   * @param {object} config - TTS configuration from the registry
+   */
+  create(config) {
+    let client;
+
+    return {
+      name: 'google',
+      voices: VOICES,
+      prosody: { rate: [0.25, 4], pitch: [-20, 20], volume: [-96, 16] },
+      formats: Object.keys(ENCODINGS),
+
+      async synthesize(text, { language, voiceName: requestedVoice, ssml, prosody = {}, format = 'mp3', signal } = {}) {
+        const { languageCode, voiceName } = selectVoice(language, requestedVoice);
+        console.log('Google TTS: Using voice:', voiceName);
+
+        // Created on first use so a missing credential only fails Google, not startup
+        client = client || createClient();
+
+        // Check credentials first: when they are missing, the client's own setup
+        // leaves rejected promises nobody handles, which would stop the server
+        await client.auth.getClient();
+
+        // The client can't cancel a call once sent (Google bills it anyway), so an abort only stops the wait
+        const [response] = await abortable(client.synthesizeSpeech({
+          // SSML gives lists their pauses and bold text its emphasis
+          input: ssml ? { ssml: ssml } : { text: text },
+          voice: {
+            languageCode: languageCode,
+            name: voiceName
+          },
+          audioConfig: {
+            audioEncoding: ENCODINGS[format].audioEncoding,
+            speakingRate: prosody.rate || 1.0, // 0.25 to 4.0
+            pitch: prosody.pitch || 0.0, // Semitones, -20.0 to 20.0
+            volumeGainDb: prosody.volume || 0.0 // -96.0 to 16.0
+          }
+        }, { timeout: config.timeout, retry: null }), signal);
+
+        return { audio: Buffer.from(response.audioContent), mimeType: ENCODINGS[format].mimeType };
+      }
+    };
+  }
+};
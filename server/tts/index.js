@@ -0,0 +1,477 @@
+/**
+ * Text-to-Speech Providers
+ * Every route synthesizes through this module. Providers are tried in priority
+ * order (TTS_PROVIDERS), with per-language preferences first
+ * (TTS_LANGUAGE_PROVIDERS). A provider that keeps failing is skipped for a
+ * cooldown period (circuit breaker) so requests don't wait on it.
+ *
+ * A provider module exports:
+ * - name: string - The name used in TTS_PROVIDERS
+ * - create(config): object - Returns { name, voices, prosody, formats,
+ *   synthesize(text, { language, voiceName, ssml, prosody, format, signal }) }, where
+ *   synthesize resolves to { audio: Buffer, mimeType: string }; throw at
+ *   create() time if the provider can't be used (it is then left out)
+ *
+ * ssml, when given, is the same speech as SSML; providers that support SSML
+ * should speak it instead of text. signal, when given, is an AbortSignal that
+ * fires when nobody wants the audio any more; providers should stop the request.
+ *
+ * synthesize() should throw an error with unsupported: true for a language it
+ * has no voice for; the next provider is tried without counting it as a failure.
+ *
+ * voices lists the voices offered to users: { id, language, gender, tier }, with
+ * language a locale such as 'en-US', or null for voices that speak any language.
+ * synthesize() must accept any of their ids as voiceName.
+ *
+ * prosody lists the speaking style settings the provider can apply, with the
+ * range it accepts, e.g. { rate: [0.25, 4] }. synthesize() receives only
+ * those, clamped to the range; see PROSODY_RANGES for the units.
+ *
+ * formats lists the output formats (keys of FORMATS) the provider can produce,
+ * its default first. synthesize() is asked for one of them and must return it
+ * with FORMATS[format].mimeType.
+ *
+ * To add a provider, create a module in this directory and add it to PROVIDER_MODULES.
+ */
+
+const { envInt } = require('../utils/env');
+const { languageCode } = require('../../shared/languages');
+
+const PROVIDER_MODULES = [
+  require('./google'),
+  require('./openai'),
+  require('./local')
+];
+
+const TTS_CONFIG = {
+  providers: parseList(process.env.TTS_PROVIDERS || 'google,openai'),
+  languageProviders: parseLanguageProviders(process.env.TTS_LANGUAGE_PROVIDERS || ''),
+  timeout: envInt('TTS_TIMEOUT_MS', 15000),
+  openaiModel: process.env.OPENAI_TTS_MODEL || 'tts-1',
+  breakerThreshold: envInt('TTS_BREAKER_THRESHOLD', 3),
+  breakerCooldown: envInt('TTS_BREAKER_COOLDOWN_MS', 60000)
+};
+
+// Speaking style users can ask for, in Google's units: rate is a speed
+// multiplier, pitch is in semitones and volume is a gain in dB
+const PROSODY_RANGES = {
+  rate: { min: 0.25, max: 4, default: 1 },
+  pitch: { min: -20, max: 20, default: 0 },
+  volume: { min: -96, max: 16, default: 0 }
+};
+
+// Output formats clients can ask for, and the MIME types that name them
+const FORMATS = {
+  mp3: { mimeType: 'audio/mpeg', accepts: ['audio/mpeg', 'audio/mp3'] },
+  opus: { mimeType: 'audio/ogg; codecs=opus', accepts: ['audio/ogg', 'audio/opus'] },
+  wav: { mimeType: 'audio/wav', accepts: ['audio/wav', 'audio/x-wav', 'audio/wave'] }
+};
+
+/**
+ * Parse a comma-separated list of provider names
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Parse per-language preferences, e.g. "ru=google,openai;ja=openai"
+ * @param {string} value
+ * @returns {object} - Provider names keyed by language
+ */
+function parseLanguageProviders(value) {
+  const preferences = {};
+
+  value.split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [language, names] = entry.split('=');
+    if (!language || !names) {
+      throw new Error(`Invalid TTS_LANGUAGE_PROVIDERS entry "${entry}" (expected language=provider,provider)`);
+    }
+    preferences[languageCode(language)] = parseList(names);
+  });
+
+  return preferences;
+}
+
+// Every provider named anywhere in the configuration
+const configuredNames = [...new Set([
+  ...TTS_CONFIG.providers,
+  ...Object.values(TTS_CONFIG.languageProviders).flat()
+])];
+
+// Check names up front so a typo fails at startup rather than silently
+const knownNames = PROVIDER_MODULES.map(candidate => candidate.name);
+configuredNames.forEach(name => {
+  if (!knownNames.includes(name)) {
+    throw new Error(`Unknown TTS provider "${name}" (expected one of: ${knownNames.join(', ')})`);
+  }
+});
+
+// Create the enabled providers; one that can't be used is left out with a warning
+const providers = new Map();
+configuredNames.forEach(name => {
+  try {
+    providers.set(name, PROVIDER_MODULES.find(candidate => candidate.name === name).create(TTS_CONFIG));
+  } catch (error) {
+    console.warn(`TTS provider ${name} disabled: ${error.message}`);
+  }
+});
+console.log('Text-to-speech providers:', [...providers.keys()].join(', ') || 'none');
+
+// Circuit breaker state per provider: { failures, openUntil, trial }
+const breakers = new Map([...providers.keys()].map(name => [name, { failures: 0, openUntil: 0, trial: false }]));
+
+/**
+ * Whether a provider may be tried now
+ * Once the cooldown is over, one request is let through as a trial (the
+ * breaker stays open for everyone else); it closes the breaker on success
+ * and reopens it on failure. A trial that ends without either must be
+ * handed back with releaseTrial().
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+function canTry(name) {
+  const breaker = breakers.get(name);
+  if (Date.now() < breaker.openUntil) return false;
+
+  if (breaker.failures >= TTS_CONFIG.breakerThreshold) {
+    breaker.openUntil = Date.now() + TTS_CONFIG.breakerCooldown;
+    breaker.trial = true;
+  }
+  return true;
+}
+
+/**
+ * Let the next request run the trial when this one recorded no result
+ * (it was cancelled, or the provider had no voice for the language)
+ * @param {string} name - Provider name
+ */
+function releaseTrial(name) {
+  const breaker = breakers.get(name);
+  if (!breaker.trial) return;
+
+  breaker.trial = false;
+  breaker.openUntil = 0;
+}
+
+/**
+ * Record the outcome of a synthesis attempt
+ * @param {string} name - Provider name
+ * @param {boolean} success
+ */
+function recordResult(name, success) {
+  const breaker = breakers.get(name);
+  breaker.trial = false;
+
+  if (success) {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    return;
+  }
+
+  breaker.failures++;
+  if (breaker.failures >= TTS_CONFIG.breakerThreshold) {
+    breaker.openUntil = Date.now() + TTS_CONFIG.breakerCooldown;
+    console.warn(`TTS provider ${name} failed ${breaker.failures} times in a row, ` +
+      `skipping it for ${TTS_CONFIG.breakerCooldown / 1000}s`);
+  }
+}
+
+/**
+ * The order to try providers in for a language
+ * @param {string} language
+ * @returns {Array<string>} - Enabled provider names, preferred first
+ */
+function providerOrder(language) {
+  const preferred = TTS_CONFIG.languageProviders[languageCode(language)] || [];
+  return [...new Set([...preferred, ...TTS_CONFIG.providers])].filter(name => providers.has(name));
+}
+
+/**
+ * The order synthesize() tries providers in for a request
+ * @param {string} language
+ * @param {string} voiceName - Preferred voice (optional); a catalog voice's provider comes first
+ * @returns {Array<string>} - Enabled provider names
+ */
+function candidateProviders(language, voiceName) {
+  const voice = voiceName ? findVoice(voiceName) : null;
+  return voice
+    ? [...new Set([voice.provider, ...providerOrder(language)])]
+    : providerOrder(language);
+}
+
+/**
+ * Look up a voice offered by an enabled provider
+ * @param {string} id - Voice id (e.g. 'ru-RU-Wavenet-B', 'nova')
+ * @returns {{id: string, provider: string, language: string|null, gender: string, tier: string}|null}
+ */
+function findVoice(id) {
+  for (const [name, provider] of providers) {
+    const voice = provider.voices.find(candidate => candidate.id === id);
+    if (voice) return { ...voice, provider: name };
+  }
+  return null;
+}
+
+/**
+ * Whether a voice can speak a language
+ * @param {object} voice - A voice from a provider's catalog
+ * @param {string} language
+ * @returns {boolean}
+ */
+function speaksLanguage(voice, language) {
+  return voice.language === null || languageCode(voice.language) === languageCode(language);
+}
+
+/**
+ * List the voices of the enabled providers, in provider priority order
+ * @param {string} language - Only voices that can speak this language (optional)
+ * @returns {Array<{id: string, provider: string, language: string|null, gender: string, tier: string}>}
+ */
+function listVoices(language) {
+  return [...providers].flatMap(([name, provider]) => provider.voices
+    .filter(voice => !language || speaksLanguage(voice, language))
+    .map(voice => ({ ...voice, provider: name })));
+}
+
+/**
+ * The languages users can pick a voice for: those of the catalog voices and
+ * of TTS_LANGUAGE_PROVIDERS, plus English
+ * @returns {Array<string>} - Language keys, e.g. ['en', 'ru']
+ */
+function listLanguages() {
+  const languages = listVoices()
+    .filter(voice => voice.language !== null)
+    .map(voice => languageCode(voice.language));
+
+  return [...new Set(['en', ...languages, ...Object.keys(TTS_CONFIG.languageProviders)])].sort();
+}
+
+/**
+ * Validate a user's preferred voice per language, e.g. { en: 'en-US-Neural2-D', ru: 'nova' }
+ * @param {object} voices - Voice ids keyed by language (optional)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateVoicePreferences(voices) {
+  if (voices === undefined || voices === null) return null;
+
+  if (typeof voices !== 'object' || Array.isArray(voices)) {
+    return 'voices must be an object of voice ids keyed by language';
+  }
+
+  for (const [language, id] of Object.entries(voices)) {
+    const voice = typeof id === 'string' ? findVoice(id) : null;
+    if (!voice) {
+      return `Unknown voice for ${language}: ${id} (see GET /api/voices)`;
+    }
+    if (!speaksLanguage(voice, language)) {
+      return `Voice ${id} does not speak ${language}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick a user's preferred voice for a language
+ * @param {object} voices - Voice ids keyed by language (already validated; optional)
+ * @param {string} language - e.g. 'ru', 'ru-RU', 'russian'
+ * @returns {string|undefined}
+ */
+function preferredVoice(voices, language) {
+  if (!voices) return undefined;
+
+  const key = languageCode(language);
+  const match = Object.keys(voices).find(candidate => languageCode(candidate) === key);
+  return match ? voices[match] : undefined;
+}
+
+/**
+ * Validate a speaking style, e.g. { rate: 1.2, pitch: -2, volume: 3 }
+ * @param {object} prosody - Any of rate, pitch and volume (optional)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateProsody(prosody) {
+  if (prosody === undefined || prosody === null) return null;
+
+  if (typeof prosody !== 'object' || Array.isArray(prosody)) {
+    return 'prosody must be an object with rate, pitch and/or volume';
+  }
+
+  for (const [name, value] of Object.entries(prosody)) {
+    const range = PROSODY_RANGES[name];
+    if (!range) {
+      return `Unknown prosody setting: ${name} (expected rate, pitch or volume)`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+      return `${name} must be a number from ${range.min} to ${range.max}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fill in the defaults of a speaking style
+ * @param {object} prosody - Validated settings (optional)
+ * @returns {{rate: number, pitch: number, volume: number}}
+ */
+function normalizeProsody(prosody) {
+  const normalized = {};
+  Object.keys(PROSODY_RANGES).forEach(name => {
+    normalized[name] = prosody && prosody[name] !== undefined ? prosody[name] : PROSODY_RANGES[name].default;
+  });
+  return normalized;
+}
+
+/**
+ * The part of a speaking style a provider can apply, clamped to its ranges
+ * @param {object} provider - Provider instance
+ * @param {object} prosody - Normalized settings
+ * @returns {object} - e.g. { rate: 1.2 } for a provider without pitch or volume
+ */
+function providerProsody(provider, prosody) {
+  const supported = {};
+  Object.entries(provider.prosody || {}).forEach(([name, [min, max]]) => {
+    supported[name] = Math.min(max, Math.max(min, prosody[name]));
+  });
+  return supported;
+}
+
+/**
+ * Work out which formats an Accept header allows
+ * @param {Array<string>} types - Accepted MIME types, best first (Express's req.accepts())
+ * @returns {Array<string>|null} - Format names, best first; null if any format will do
+ *   (no audio type named); [] if only other audio types are accepted
+ */
+function acceptedFormats(types) {
+  const formats = [];
+  let wildcard = false;
+
+  types.forEach(type => {
+    const mimeType = type.split(';')[0].trim().toLowerCase();
+    if (mimeType === '*/*' || mimeType === 'audio/*') {
+      wildcard = true;
+      return;
+    }
+    const format = Object.keys(FORMATS).find(name => FORMATS[name].accepts.includes(mimeType));
+    if (format && !formats.includes(format)) {
+      formats.push(format);
+    }
+  });
+
+  if (formats.length === 0) {
+    const namesAudio = types.some(type => type.trim().toLowerCase().startsWith('audio/'));
+    return wildcard || !namesAudio ? null : [];
+  }
+
+  // A wildcard after the named types lets any other format follow them
+  return wildcard ? [...new Set([...formats, ...Object.keys(FORMATS)])] : formats;
+}
+
+/**
+ * The format a provider would produce for a request
+ * @param {string} name - Provider name
+ * @param {Array<string>} formats - Acceptable formats, best first (optional - any will do)
+ * @returns {string|null} - Null if the provider can't produce any of them
+ */
+function providerFormat(name, formats) {
+  const supported = providers.get(name).formats;
+  if (!formats) return supported[0];
+  return formats.find(format => supported.includes(format)) || null;
+}
+
+/**
+ * Synthesize speech with the first provider that succeeds
+ * @param {string} text - The text to speak
+ * @param {object} options
+ * @param {string} options.language - The language to speak (e.g., 'en', 'de-DE', 'german')
+ * @param {string} options.voiceName - Preferred voice; providers that don't have it use their default
+ * @param {string} options.ssml - The same speech as SSML, for providers that support it (optional)
+ * @param {object} options.prosody - Speaking style { rate, pitch, volume } (validated; optional).
+ *   Providers apply what they support.
+ * @param {Array<string>} options.formats - Acceptable output formats, best first (optional - any
+ *   will do); providers that can produce none of them are skipped
+ * @param {AbortSignal} options.signal - Stops synthesis (optional); the abort is rethrown as is
+ * @returns {Promise<{audio: Buffer, mimeType: string, provider: string, format: string}>}
+ * @throws {Error} - With statusCode 503 and errorCode 'tts_unavailable' if every provider failed or was skipped
+ */
+async function synthesize(text, { language = 'en', voiceName, ssml, prosody, formats, signal } = {}) {
+  const failures = [];
+  const style = normalizeProsody(prosody);
+
+  for (const name of candidateProviders(language, voiceName)) {
+    if (signal) signal.throwIfAborted();
+
+    // Checked first so a provider that can't be used here doesn't take the breaker's trial
+    const format = providerFormat(name, formats);
+    if (!format) {
+      failures.push(`${name}: can't produce ${formats.join(' or ')}`);
+      continue;
+    }
+
+    if (!canTry(name)) {
+      failures.push(`${name}: skipped after repeated failures`);
+      continue;
+    }
+
+    try {
+      console.log(`TTS (${name}): Generating speech for text:`, text.substring(0, 50) + '...');
+      const provider = providers.get(name);
+      const result = await provider.synthesize(text, {
+        language,
+        voiceName,
+        ssml,
+        prosody: providerProsody(provider, style),
+        format,
+        signal
+      });
+      recordResult(name, true);
+
+      console.log(`TTS (${name}): Speech generated successfully, size:`, result.audio.length);
+      return { ...result, provider: name, format };
+    } catch (error) {
+      // Cancelled, not failed: don't fail over or count it against the provider
+      if (signal && signal.aborted) {
+        releaseTrial(name);
+        throw error;
+      }
+
+      console.error(`TTS (${name}) failed:`, error.message);
+      // A language the provider has no voice for says nothing about its health
+      if (error.unsupported) {
+        releaseTrial(name);
+      } else {
+        recordResult(name, false);
+      }
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+
+  console.error(failures.length > 0
+    ? `Text-to-speech failed (${failures.join('; ')})`
+    : 'No text-to-speech provider is configured');
+
+  const error = new Error('The text-to-speech service is unavailable.');
+  error.statusCode = 503;
+  error.errorCode = 'tts_unavailable';
+  throw error;
+}
+
+module.exports = {
+  FORMATS,
+  synthesize,
+  candidateProviders,
+  findVoice,
+  speaksLanguage,
+  listVoices,
+  listLanguages,
+  validateVoicePreferences,
+  preferredVoice,
+  validateProsody,
+  normalizeProsody,
+  acceptedFormats,
+  providerFormat
+};
@@ -0,0 +1,72 @@
+/**
+ * Local Stand-in Provider
+ * Offline placeholder audio for development and tests: one short beep per
+ * word, as a WAV file. Deterministic, instant and free - but not speech, so
+ * it is only used when listed in TTS_PROVIDERS.
+ */
+
+const SAMPLE_RATE = 16000;
+const BEEP_SECONDS = 0.12;
+const GAP_SECONDS = 0.08;
+const MAX_WORDS = 60;
+
+/**
+ * Render PCM samples as a 16-bit mono WAV file
+ * @param {Int16Array} samples
+ * @returns {Buffer}
+ */
+function toWav(samples) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);             // fmt chunk size
+  buffer.writeUInt16LE(1, 20);              // PCM
+  buffer.writeUInt16LE(1, 22);              // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  buffer.writeUInt16LE(2, 32);              // block align
+  buffer.writeUInt16LE(16, 34);             // bits per sample
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  Buffer.from(samples.buffer).copy(buffer, 44);
+  return buffer;
+}
+
+module.exports = {
+  name: 'local',
+
+  create() {
+    return {
+      name: 'local',
+      voices: [],
+      // Faster speech means shorter beeps
+      prosody: { rate: [0.25, 4] },
+      formats: ['wav'],
+
+      async synthesize(text, { prosody = {} } = {}) {
+        const rate = prosody.rate || 1;
+        const words = Math.min(MAX_WORDS, Math.max(1, text.trim().split(/\s+/).length));
+        const beepLength = Math.round(BEEP_SECONDS * SAMPLE_RATE / rate);
+        const wordLength = beepLength + Math.round(GAP_SECONDS * SAMPLE_RATE / rate);
+        const samples = new Int16Array(words * wordLength);
+
+        for (let word = 0; word < words; word++) {
+          // Alternate two pitches so words are easy to count
+          const frequency = word % 2 === 0 ? 440 : 523.25;
+          for (let i = 0; i < beepLength; i++) {
+            samples[word * wordLength + i] = Math.round(
+              Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * 6000
+            );
+          }
+        }
+
+        return { audio: toWav(samples), mimeType: 'audio/wav' };
+      }
+    };
+  }
+};
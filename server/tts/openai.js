@@ -0,0 +1,86 @@
+/**
+ * OpenAI TTS Provider
+ * Multilingual voices from OpenAI's speech API
+ */
+
+const OpenAI = require('openai');
+const { languageCode } = require('../../shared/languages');
+
+// All voices speak every supported language
+const VOICES = [
+  { id: 'alloy', gender: 'neutral' },
+  { id: 'echo', gender: 'male' },
+  { id: 'fable', gender: 'neutral' },
+  { id: 'onyx', gender: 'male' },
+  { id: 'nova', gender: 'female' },
+  { id: 'shimmer', gender: 'female' }
+];
+
+// OpenAI's response_format for each output format (opus comes in an Ogg container)
+const RESPONSE_FORMATS = {
+  mp3: { responseFormat: 'mp3', mimeType: 'audio/mpeg' },
+  opus: { responseFormat: 'opus', mimeType: 'audio/ogg; codecs=opus' },
+  wav: { responseFormat: 'wav', mimeType: 'audio/wav' }
+};
+
+/**
+ * Pick a voice for a language
+ * @param {string} language - e.g. 'en', 'ru-RU', 'russian'
+ * @param {string} requestedVoice - Explicit voice; used if it is an OpenAI voice
+ * @returns {string}
+ */
+function selectVoice(language, requestedVoice) {
+  if (requestedVoice && VOICES.some(voice => voice.id === requestedVoice)) {
+    return requestedVoice;
+  }
+
+  // Nova sounds good in Russian
+  return languageCode(language) === 'ru' ? 'nova' : 'alloy';
+}
+
+module.exports = {
+  name: 'openai',
+
+  /**
+   * @param {object} config - TTS configuration from the registry
+   */
+  create(config) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY is not set');
+    }
+
+    const client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: config.timeout,
+      maxRetries: 0  // The registry fails over instead
+    });
+
+    return {
+      name: 'openai',
+      // language: null - the voice speaks any language
+      voices: VOICES.map(voice => ({
+        ...voice,
+        language: null,
+        tier: config.openaiModel === 'tts-1-hd' ? 'hd' : 'standard'
+      })),
+      // The speech API has no pitch or volume setting
+      prosody: { rate: [0.25, 4] },
+      formats: Object.keys(RESPONSE_FORMATS),
+
+      async synthesize(text, { language, voiceName, prosody = {}, format = 'mp3', signal } = {}) {
+        const voice = selectVoice(language, voiceName);
+        console.log('OpenAI TTS: Using voice:', voice);
+
+        const speech = await client.audio.speech.create({
+          model: config.openaiModel,
+          voice: voice,
+          input: text,
+          response_format: RESPONSE_FORMATS[format].responseFormat,
+          speed: prosody.rate || 1.0 // 0.25 to 4.0
+        }, { signal });
+
+        return { audio: Buffer.from(await speech.arrayBuffer()), mimeType: RESPONSE_FORMATS[format].mimeType };
+      }
+    };
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Abort Helpers
+ * Stop upstream work (Claude, speech-to-text, text-to-speech) once the
+ * client that asked for it has gone away or cancelled the turn
+ */
+
+/**
+ * Create an AbortController that fires when the client disconnects
+ * before the response has been fully sent
+ * Routes pass its signal to every upstream call so nobody pays for a reply
+ * that won't be read. Services rethrow the abort as is, and the route drops
+ * it quietly since there is no one left to answer.
+ * @param {object} res - Express response
+ * @returns {AbortController}
+ */
+function abortOnDisconnect(res) {
+  const abortController = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client disconnected before response finished, aborting');
+      abortController.abort();
+    }
+  });
+
+  return abortController;
+}
+
+/**
+ * Stop waiting for a promise when a signal aborts
+ * For SDKs that can't cancel a request themselves; the work carries on
+ * upstream but its result is ignored.
+ * @param {Promise} promise - The work to wait for
+ * @param {AbortSignal} signal - Rejects with the signal's reason when aborted (optional)
+ * @returns {Promise}
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+module.exports = {
+  abortOnDisconnect,
+  abortable
+};
@@ -0,0 +1,32 @@
+/**
+ * Environment Helpers
+ * Read typed configuration values from process.env
+ */
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number}
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Read a number (any sign, fractions allowed) from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  const value = raw !== undefined && raw.trim() !== '' ? Number(raw) : NaN;
+  return Number.isFinite(value) ? value : fallback;
+}
+
+module.exports = {
+  envInt,
+  envNumber
+};
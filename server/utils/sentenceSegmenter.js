@@ -0,0 +1,100 @@
+/**
+ * Sentence Segmenter
+ * Splits streaming text into speakable sentences as soon as they are complete
+ * (a fenced code block is kept together as one)
+ */
+
+// Abbreviations that end with a period but don't end a sentence
+const ABBREVIATIONS = [
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'no'
+];
+
+// Sentence terminators followed by whitespace, or a line break
+const BOUNDARY_PATTERN = /([.!?…。！？]+["')\]]*)(\s+)|(\n+)/g;
+
+/**
+ * Check if the text before a period ends with a known abbreviation
+ * @param {string} text - Text up to (but not including) the terminator
+ * @returns {boolean}
+ */
+function endsWithAbbreviation(text) {
+  const lastWord = text.split(/\s+/).pop().toLowerCase();
+  return ABBREVIATIONS.includes(lastWord);
+}
+
+/**
+ * Check if text ends inside a fenced code block (an odd number of fences)
+ * @param {string} text - Text since the last sentence
+ * @returns {boolean}
+ */
+function insideCodeBlock(text) {
+  return (text.match(/^[ \t]*(```|~~~)/gm) || []).length % 2 === 1;
+}
+
+/**
+ * Create a segmenter that buffers text deltas and emits complete sentences
+ * @param {object} options - Segmenter options
+ * @param {number} options.minLength - Sentences shorter than this are merged with the next one
+ * @returns {{push: function(string): string[], flush: function(): string[]}}
+ */
+function createSentenceSegmenter({ minLength = 20 } = {}) {
+  let buffer = '';
+
+  /**
+   * Add a text delta and return any sentences it completed
+   * @param {string} text - Text delta from the stream
+   * @returns {string[]} - Completed sentences (may be empty)
+   */
+  function push(text) {
+    buffer += text;
+
+    const sentences = [];
+    let start = 0;
+    let match;
+
+    BOUNDARY_PATTERN.lastIndex = 0;
+    while ((match = BOUNDARY_PATTERN.exec(buffer)) !== null) {
+      const end = match.index + (match[1] ? match[1].length : 0);
+      const candidate = buffer.slice(start, end).trim();
+
+      // Code blocks are kept whole so they can be summarized rather than read
+      if (insideCodeBlock(buffer.slice(start, match.index))) {
+        continue;
+      }
+
+      // "Dr. Smith" - keep going
+      if (match[1] && match[1] === '.' && endsWithAbbreviation(buffer.slice(start, match.index))) {
+        continue;
+      }
+
+      // Too short to be worth a separate TTS request - merge with the next sentence
+      if (candidate.length < minLength && !match[3]) {
+        continue;
+      }
+
+      if (candidate) {
+        sentences.push(candidate);
+      }
+      start = match.index + match[0].length;
+    }
+
+    buffer = buffer.slice(start);
+    return sentences;
+  }
+
+  /**
+   * Return whatever text is left once the stream has ended
+   * @returns {string[]} - The remaining sentence, if any
+   */
+  function flush() {
+    const rest = buffer.trim();
+    buffer = '';
+    return rest ? [rest] : [];
+  }
+
+  return { push, flush };
+}
+
+module.exports = {
+  createSentenceSegmenter
+};
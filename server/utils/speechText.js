@@ -0,0 +1,309 @@
+/**
+ * Speech Text
+ * Turns assistant markdown into something worth listening to: plain text for
+ * providers that read text, and SSML (pauses, emphasis) for providers that
+ * read SSML. Code blocks are summarized, lists are read with pauses, bold
+ * text is emphasized and URLs are shortened to their domain.
+ */
+
+const { createSentenceSegmenter } = require('./sentenceSegmenter');
+
+// Pauses between blocks, in SSML
+const PAUSES = {
+  heading: '<break time="600ms"/>',
+  item: '<break time="400ms"/>',
+  block: '<break time="300ms"/>'
+};
+
+// SSML elements /api/text-to-speech accepts (what Google supports, minus <audio> and
+// <media>: their src would have Google fetch any URL a client names)
+const SSML_ELEMENTS = [
+  'speak', 'p', 's', 'break', 'emphasis', 'prosody', 'say-as', 'sub', 'lang', 'phoneme', 'mark', 'voice', 'par', 'seq'
+];
+
+// Names for code block languages, e.g. ```js
+const CODE_LANGUAGES = {
+  js: 'JavaScript', javascript: 'JavaScript', ts: 'TypeScript', typescript: 'TypeScript',
+  py: 'Python', python: 'Python', rb: 'Ruby', ruby: 'Ruby', java: 'Java', go: 'Go',
+  rs: 'Rust', rust: 'Rust', c: 'C', cpp: 'C++', cs: 'C#', csharp: 'C#', php: 'PHP',
+  sh: 'shell', bash: 'shell', shell: 'shell', zsh: 'shell', sql: 'SQL', html: 'HTML',
+  css: 'CSS', json: 'JSON', yaml: 'YAML', yml: 'YAML', xml: 'XML', swift: 'Swift', kotlin: 'Kotlin'
+};
+
+/**
+ * Escape text for use in SSML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Shorten a URL to its domain, e.g. 'https://www.example.com/a?b' → 'example.com'
+ * @param {string} url
+ * @returns {string}
+ */
+function urlDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return 'a link';
+  }
+}
+
+/**
+ * Split a line of markdown into spoken runs
+ * A * or _ between word characters (2*3*4, snake_case), or a * on its own
+ * (2 * 3), is not markdown and is kept.
+ * @param {string} line - Markdown (one block's worth)
+ * @returns {Array<{text: string, emphasis: boolean}>}
+ */
+function parseInline(line) {
+  const text = line
+    .replace(/<\/?[a-zA-Z][^>]*>/g, '')                            // HTML tags
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')                     // images → alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')                      // links → label
+    .replace(/<?(https?:\/\/[^\s>)]+)>?/g, (match, url) => urlDomain(url.replace(/[.,;:!?]+$/, '')))
+    .replace(/`([^`]+)`/g, '$1')                                  // inline code
+    .replace(/~~(.+?)~~/g, '$1')                                  // strikethrough
+    .replace(/(^|[^\w*])[*_](?=\S)([^*_]+?)(?<=\S)[*_](?![\w*])/g, '$1$2'); // italics
+
+  // Bold becomes emphasis; everything else is plain
+  const runs = [];
+  const boldPattern = /(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g;
+  let last = 0;
+  let match;
+  while ((match = boldPattern.exec(text)) !== null) {
+    runs.push({ text: text.slice(last, match.index), emphasis: false });
+    runs.push({ text: match[2], emphasis: true });
+    last = match.index + match[0].length;
+  }
+  runs.push({ text: text.slice(last), emphasis: false });
+
+  // Stray markers (an unclosed ** mid-stream, table pipes) aren't worth reading
+  return runs
+    .map(run => ({ ...run, text: run.text.replace(/\*\*|__|(?<!\w)\*(?=\w)|(?<=\w)\*(?!\w)|[#|]/g, ' ').replace(/\s+/g, ' ') }))
+    .filter(run => run.text.trim());
+}
+
+/**
+ * Summarize a code block instead of reading it out
+ * @param {string} language - The fence's language tag (may be empty)
+ * @returns {string}
+ */
+function codeSummary(language) {
+  const name = CODE_LANGUAGES[language.toLowerCase()];
+  return name ? `See the ${name} code on screen.` : 'See the code on screen.';
+}
+
+/**
+ * Split markdown into spoken blocks
+ * @param {string} markdown
+ * @returns {Array<{kind: string, runs: Array}>} - kind is 'heading', 'item' or 'block'
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block (possibly unclosed at the end of the text)
+    const fence = line.match(/^\s*(```|~~~)\s*([\w+#-]*)/);
+    if (fence) {
+      while (i + 1 < lines.length && !lines[i + 1].trim().startsWith(fence[1])) i++;
+      i++;
+      blocks.push({ kind: 'block', runs: [{ text: codeSummary(fence[2]), emphasis: false }] });
+      continue;
+    }
+
+    // Horizontal rules and table separator rows say nothing
+    if (/^\s*([-*_]\s*){3,}$/.test(line) || /^\s*\|?\s*:?-{3,}/.test(line)) continue;
+
+    const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+    const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+    const content = heading ? heading[1] : item ? item[1] : line.replace(/^\s*>+\s?/, '');
+
+    // Table rows are read cell by cell
+    const runs = parseInline(/^\s*\|/.test(content) ? content.split('|').map(cell => cell.trim()).filter(Boolean).join(', ') : content);
+    if (runs.length === 0) continue;
+
+    blocks.push({ kind: heading ? 'heading' : item ? 'item' : 'block', runs });
+  }
+
+  return blocks;
+}
+
+/**
+ * End a block with punctuation so it is read as a separate phrase
+ * @param {string} text
+ * @returns {string}
+ */
+function withStop(text) {
+  const trimmed = text.trim();
+  return /[.!?…:;,。！？]["')\]]*$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+/**
+ * Turn markdown into speech input
+ * @param {string} markdown - Assistant text (plain text works too)
+ * @returns {{text: string, ssml: string|null}} - Plain text and SSML to speak;
+ *   text is '' (and ssml null) when there is nothing to say
+ */
+function prepareSpeech(markdown) {
+  const blocks = parseBlocks(markdown || '');
+  if (blocks.length === 0) {
+    return { text: '', ssml: null };
+  }
+
+  // Lists and headings get a full stop so text-only voices pause too
+  const text = blocks
+    .map(block => {
+      const spoken = block.runs.map(run => run.text).join('').trim();
+      return block.kind === 'block' && blocks.length === 1 ? spoken : withStop(spoken);
+    })
+    .join(' ');
+
+  const ssmlBlocks = blocks.map(block => {
+    const spoken = block.runs
+      .map(run => (run.emphasis ? `<emphasis level="moderate">${escapeXml(run.text)}</emphasis>` : escapeXml(run.text)))
+      .join('')
+      .trim();
+    return { spoken, pause: PAUSES[block.kind] };
+  });
+
+  const ssml = ssmlBlocks
+    .map(({ spoken, pause }, index) => (index < ssmlBlocks.length - 1 ? `${spoken}${pause}` : spoken))
+    .join(' ');
+
+  return { text, ssml: `<speak>${ssml}</speak>` };
+}
+
+/**
+ * The part of a reply that had been spoken when playback stopped
+ * The reply is split into sentences the way the streaming speech pipeline
+ * splits it (sentences with nothing to say get no segment), so segment
+ * indexes line up with the ones the client played. A reply played as one clip
+ * reports a share of the whole reply instead, which is spread over the
+ * sentences by their spoken length. A code block cut short is left out rather
+ * than cut mid-code.
+ * @param {string} markdown - The reply as written
+ * @param {object} position - Where playback stopped
+ * @param {number} position.segments - Segments played to the end
+ * @param {number} position.fraction - Share of the next segment played (0 to 1)
+ * @param {boolean} position.whole - fraction is a share of the whole reply (optional)
+ * @returns {string} - The start of the reply, cut back to a whole word
+ */
+function spokenPrefix(markdown, { segments, fraction = 0, whole = false }) {
+  const segmenter = createSentenceSegmenter();
+  const spoken = [...segmenter.push(markdown), ...segmenter.flush()]
+    .map(sentence => ({ sentence, length: prepareSpeech(sentence).text.length }))
+    .filter(({ length }) => length > 0);
+
+  // Sentences are trimmed slices of the reply, in order
+  let cursor = 0;
+  const ranges = [];
+  for (const { sentence, length } of spoken) {
+    const start = markdown.indexOf(sentence, cursor);
+    // Nowhere to cut: better to keep the whole reply than a wrong part of it
+    if (start === -1) return markdown;
+    cursor = start + sentence.length;
+    ranges.push({ start, end: cursor, length });
+  }
+
+  if (whole) {
+    let remaining = fraction * ranges.reduce((total, range) => total + range.length, 0);
+    segments = 0;
+    while (segments < ranges.length && remaining >= ranges[segments].length) {
+      remaining -= ranges[segments].length;
+      segments++;
+    }
+    fraction = segments < ranges.length ? remaining / ranges[segments].length : 0;
+  }
+
+  if (segments >= ranges.length) return markdown;
+
+  let cut = segments > 0 ? ranges[segments - 1].end : 0;
+  const next = ranges[segments];
+  const partial = markdown.slice(next.start, next.start + Math.floor((next.end - next.start) * fraction) + 1);
+  if (fraction > 0 && !/^\s*(```|~~~)/m.test(partial)) {
+    const words = partial.replace(/\s*\S*$/, '');
+    if (words) cut = next.start + words.length;
+  }
+
+  return markdown.slice(0, cut).trim();
+}
+
+/**
+ * Check that SSML is a single well-formed <speak> document using known elements
+ * @param {string} ssml
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateSsml(ssml) {
+  if (typeof ssml !== 'string' || !/^\s*<speak[\s>][\s\S]*<\/speak>\s*$/.test(ssml)) {
+    return 'SSML must be a string wrapped in <speak>...</speak>';
+  }
+
+  const stack = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let last = 0;
+  let match;
+
+  while ((match = tagPattern.exec(ssml)) !== null) {
+    if (ssml.slice(last, match.index).includes('<')) {
+      return 'SSML contains a malformed tag';
+    }
+    last = match.index + match[0].length;
+
+    const [, closing, name, , selfClosing] = match;
+    if (!SSML_ELEMENTS.includes(name)) {
+      return `Unsupported SSML element: <${name}>`;
+    }
+
+    if (closing) {
+      if (stack.pop() !== name) return `Unexpected </${name}> in SSML`;
+    } else if (!selfClosing) {
+      stack.push(name);
+    }
+
+    // Nothing may follow the root element
+    if (stack.length === 0 && ssml.slice(last).trim()) {
+      return 'SSML must have a single <speak> root';
+    }
+  }
+
+  if (ssml.slice(last).includes('<')) return 'SSML contains a malformed tag';
+  if (stack.length > 0) return `Unclosed <${stack.pop()}> in SSML`;
+  return null;
+}
+
+/**
+ * Read the text out of SSML, for providers that don't support it
+ * @param {string} ssml - Valid SSML
+ * @returns {string}
+ */
+function ssmlToText(ssml) {
+  return ssml
+    .replace(/<sub\s+alias\s*=\s*("([^"]*)"|'([^']*)')\s*>[\s\S]*?<\/sub>/g, (match, quoted, double, single) => double || single || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  prepareSpeech,
+  spokenPrefix,
+  validateSsml,
+  ssmlToText
+};
@@ -0,0 +1,34 @@
+/**
+ * Server-Sent Events helpers
+ * Used by routes that stream results to the browser as they are produced
+ */
+
+/**
+ * Prepare a response for Server-Sent Events and flush the headers
+ * @param {object} res - Express response
+ */
+function initEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Render)
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Send a single named event with a JSON payload
+ * @param {object} res - Express response
+ * @param {string} event - Event name
+ * @param {object} data - Payload (serialized as JSON)
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  initEventStream,
+  sendEvent
+};
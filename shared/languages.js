@@ -0,0 +1,222 @@
+/**
+ * Languages
+ * Shared by the server (require) and the browser (window.Languages): maps the
+ * languages speech-to-text reports - Whisper names such as 'german', ISO codes
+ * such as 'de' or locales such as 'de-DE' - to a BCP-47 locale and a default
+ * Google TTS voice.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Languages = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // [code, Whisper name, locale, default Google voice (null if Google has none)]
+  // Every language Whisper can detect; Google voices carry their own locale.
+  const LANGUAGE_TABLE = [
+    ['af', 'afrikaans', 'af-ZA', 'af-ZA-Standard-A'],
+    ['am', 'amharic', 'am-ET', null],
+    ['ar', 'arabic', 'ar-SA', 'ar-XA-Wavenet-A'],
+    ['as', 'assamese', 'as-IN', null],
+    ['az', 'azerbaijani', 'az-AZ', null],
+    ['ba', 'bashkir', 'ba-RU', null],
+    ['be', 'belarusian', 'be-BY', null],
+    ['bg', 'bulgarian', 'bg-BG', 'bg-BG-Standard-A'],
+    ['bn', 'bengali', 'bn-IN', 'bn-IN-Wavenet-A'],
+    ['bo', 'tibetan', 'bo-CN', null],
+    ['br', 'breton', 'br-FR', null],
+    ['bs', 'bosnian', 'bs-BA', null],
+    ['ca', 'catalan', 'ca-ES', 'ca-ES-Standard-A'],
+    ['cs', 'czech', 'cs-CZ', 'cs-CZ-Wavenet-A'],
+    ['cy', 'welsh', 'cy-GB', null],
+    ['da', 'danish', 'da-DK', 'da-DK-Wavenet-A'],
+    ['de', 'german', 'de-DE', 'de-DE-Wavenet-A'],
+    ['el', 'greek', 'el-GR', 'el-GR-Wavenet-A'],
+    ['en', 'english', 'en-US', 'en-US-Neural2-C'],
+    ['es', 'spanish', 'es-ES', 'es-ES-Wavenet-C'],
+    ['et', 'estonian', 'et-EE', 'et-EE-Standard-A'],
+    ['eu', 'basque', 'eu-ES', 'eu-ES-Standard-A'],
+    ['fa', 'persian', 'fa-IR', null],
+    ['fi', 'finnish', 'fi-FI', 'fi-FI-Wavenet-A'],
+    ['fo', 'faroese', 'fo-FO', null],
+    ['fr', 'french', 'fr-FR', 'fr-FR-Wavenet-A'],
+    ['gl', 'galician', 'gl-ES', 'gl-ES-Standard-A'],
+    ['gu', 'gujarati', 'gu-IN', 'gu-IN-Wavenet-A'],
+    ['ha', 'hausa', 'ha-NG', null],
+    ['haw', 'hawaiian', 'haw-US', null],
+    ['he', 'hebrew', 'he-IL', 'he-IL-Wavenet-A'],
+    ['hi', 'hindi', 'hi-IN', 'hi-IN-Wavenet-A'],
+    ['hr', 'croatian', 'hr-HR', null],
+    ['ht', 'haitian creole', 'ht-HT', null],
+    ['hu', 'hungarian', 'hu-HU', 'hu-HU-Wavenet-A'],
+    ['hy', 'armenian', 'hy-AM', null],
+    ['id', 'indonesian', 'id-ID', 'id-ID-Wavenet-A'],
+    ['is', 'icelandic', 'is-IS', 'is-IS-Standard-A'],
+    ['it', 'italian', 'it-IT', 'it-IT-Wavenet-A'],
+    ['ja', 'japanese', 'ja-JP', 'ja-JP-Wavenet-B'],
+    ['jv', 'javanese', 'jv-ID', null],
+    ['ka', 'georgian', 'ka-GE', null],
+    ['kk', 'kazakh', 'kk-KZ', null],
+    ['km', 'khmer', 'km-KH', null],
+    ['kn', 'kannada', 'kn-IN', 'kn-IN-Wavenet-A'],
+    ['ko', 'korean', 'ko-KR', 'ko-KR-Wavenet-A'],
+    ['la', 'latin', 'la', null],
+    ['lb', 'luxembourgish', 'lb-LU', null],
+    ['ln', 'lingala', 'ln-CD', null],
+    ['lo', 'lao', 'lo-LA', null],
+    ['lt', 'lithuanian', 'lt-LT', 'lt-LT-Standard-A'],
+    ['lv', 'latvian', 'lv-LV', 'lv-LV-Standard-A'],
+    ['mg', 'malagasy', 'mg-MG', null],
+    ['mi', 'maori', 'mi-NZ', null],
+    ['mk', 'macedonian', 'mk-MK', null],
+    ['ml', 'malayalam', 'ml-IN', 'ml-IN-Wavenet-A'],
+    ['mn', 'mongolian', 'mn-MN', null],
+    ['mr', 'marathi', 'mr-IN', 'mr-IN-Wavenet-A'],
+    ['ms', 'malay', 'ms-MY', 'ms-MY-Wavenet-A'],
+    ['mt', 'maltese', 'mt-MT', null],
+    ['my', 'myanmar', 'my-MM', null],
+    ['ne', 'nepali', 'ne-NP', null],
+    ['nl', 'dutch', 'nl-NL', 'nl-NL-Wavenet-A'],
+    ['nn', 'nynorsk', 'nn-NO', null],
+    ['no', 'norwegian', 'nb-NO', 'nb-NO-Wavenet-A'],
+    ['oc', 'occitan', 'oc-FR', null],
+    ['pa', 'punjabi', 'pa-IN', 'pa-IN-Wavenet-A'],
+    ['pl', 'polish', 'pl-PL', 'pl-PL-Wavenet-A'],
+    ['ps', 'pashto', 'ps-AF', null],
+    ['pt', 'portuguese', 'pt-BR', 'pt-BR-Wavenet-A'],
+    ['ro', 'romanian', 'ro-RO', 'ro-RO-Wavenet-A'],
+    ['ru', 'russian', 'ru-RU', 'ru-RU-Wavenet-C'],
+    ['sa', 'sanskrit', 'sa-IN', null],
+    ['sd', 'sindhi', 'sd-PK', null],
+    ['si', 'sinhala', 'si-LK', null],
+    ['sk', 'slovak', 'sk-SK', 'sk-SK-Wavenet-A'],
+    ['sl', 'slovenian', 'sl-SI', null],
+    ['sn', 'shona', 'sn-ZW', null],
+    ['so', 'somali', 'so-SO', null],
+    ['sq', 'albanian', 'sq-AL', null],
+    ['sr', 'serbian', 'sr-RS', 'sr-RS-Standard-A'],
+    ['su', 'sundanese', 'su-ID', null],
+    ['sv', 'swedish', 'sv-SE', 'sv-SE-Wavenet-A'],
+    ['sw', 'swahili', 'sw-KE', null],
+    ['ta', 'tamil', 'ta-IN', 'ta-IN-Wavenet-A'],
+    ['te', 'telugu', 'te-IN', 'te-IN-Standard-A'],
+    ['tg', 'tajik', 'tg-TJ', null],
+    ['th', 'thai', 'th-TH', 'th-TH-Standard-A'],
+    ['tk', 'turkmen', 'tk-TM', null],
+    ['tl', 'tagalog', 'fil-PH', 'fil-PH-Wavenet-A'],
+    ['tr', 'turkish', 'tr-TR', 'tr-TR-Wavenet-A'],
+    ['tt', 'tatar', 'tt-RU', null],
+    ['uk', 'ukrainian', 'uk-UA', 'uk-UA-Wavenet-A'],
+    ['ur', 'urdu', 'ur-IN', 'ur-IN-Wavenet-A'],
+    ['uz', 'uzbek', 'uz-UZ', null],
+    ['vi', 'vietnamese', 'vi-VN', 'vi-VN-Wavenet-A'],
+    ['yi', 'yiddish', 'yi', null],
+    ['yo', 'yoruba', 'yo-NG', null],
+    ['yue', 'cantonese', 'yue-HK', 'yue-HK-Standard-A'],
+    ['zh', 'chinese', 'zh-CN', 'cmn-CN-Wavenet-A']
+  ];
+
+  // Other names and codes for the same languages (Whisper's aliases, ISO 639-2/3
+  // codes and the codes Google and browsers use)
+  const ALIASES = {
+    burmese: 'my',
+    castilian: 'es',
+    cmn: 'zh',
+    fil: 'tl',
+    filipino: 'tl',
+    flemish: 'nl',
+    haitian: 'ht',
+    iw: 'he',
+    jw: 'jv',
+    letzeburgesch: 'lb',
+    mandarin: 'zh',
+    moldavian: 'ro',
+    moldovan: 'ro',
+    nb: 'no',
+    panjabi: 'pa',
+    pushto: 'ps',
+    sinhalese: 'si',
+    valencian: 'ca'
+  };
+
+  const LANGUAGES = LANGUAGE_TABLE.map(([code, name, locale, voice]) => ({ code, name, locale, voice }));
+
+  // Languages by code, Whisper name and alias
+  const BY_KEY = new Map();
+  LANGUAGES.forEach(language => {
+    BY_KEY.set(language.code, language);
+    BY_KEY.set(language.name, language);
+  });
+  Object.keys(ALIASES).forEach(alias => BY_KEY.set(alias, BY_KEY.get(ALIASES[alias])));
+
+  // A language subtag with a region, e.g. 'pt-PT' or 'pt_pt'
+  const LOCALE_PATTERN = /^([a-z]{2,3})-([a-z]{2})$/;
+
+  /**
+   * Clean up a language as reported by speech-to-text or sent by a client
+   * @param {string} language
+   * @returns {string} - Lowercase, with '-' separators ('' if not a string)
+   */
+  function clean(language) {
+    return typeof language === 'string' ? language.trim().toLowerCase().replace(/_/g, '-') : '';
+  }
+
+  /**
+   * Look up a language
+   * @param {string} language - e.g. 'german', 'de', 'de-DE', 'DE_de'
+   * @returns {{code: string, name: string, locale: string, voice: string|null}|null} - Null if unknown
+   */
+  function findLanguage(language) {
+    const value = clean(language);
+    return BY_KEY.get(value) || BY_KEY.get(value.split('-')[0]) || null;
+  }
+
+  /**
+   * Reduce a language to its short code, e.g. 'russian' → 'ru', 'pt-BR' → 'pt'
+   * Unknown languages keep their first subtag; a missing one is English.
+   * @param {string} language
+   * @returns {string}
+   */
+  function languageCode(language) {
+    const found = findLanguage(language);
+    if (found) return found.code;
+    return clean(language).split('-')[0] || 'en';
+  }
+
+  /**
+   * The BCP-47 locale to speak a language in, e.g. 'german' → 'de-DE'
+   * A locale that already names a region is kept ('pt-PT' stays 'pt-PT').
+   * Unknown languages are spoken as American English.
+   * @param {string} language
+   * @returns {string}
+   */
+  function languageLocale(language) {
+    const match = clean(language).match(LOCALE_PATTERN);
+    if (match) return `${match[1]}-${match[2].toUpperCase()}`;
+
+    const found = findLanguage(language);
+    return found ? found.locale : 'en-US';
+  }
+
+  /**
+   * The default Google TTS voice for a language
+   * @param {string} language
+   * @returns {string|null} - e.g. 'de-DE-Wavenet-A', or null if Google has no voice for it
+   */
+  function defaultVoice(language) {
+    const found = findLanguage(language);
+    return found ? found.voice : null;
+  }
+
+  return {
+    LANGUAGES,
+    findLanguage,
+    languageCode,
+    languageLocale,
+    defaultVoice
+  };
+}));